@@ -0,0 +1,64 @@
+-- CreateTable
+CREATE TABLE `elections` (
+    `id` VARCHAR(191) NOT NULL,
+    `name` VARCHAR(191) NOT NULL,
+    `description` VARCHAR(191) NULL,
+    `status` ENUM('DRAFT', 'NOMINATIONS', 'VOTING', 'CLOSED', 'CERTIFIED', 'ARCHIVED') NOT NULL DEFAULT 'DRAFT',
+    `is_current` BOOLEAN NOT NULL DEFAULT false,
+    `created_by` VARCHAR(191) NULL,
+    `archived_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- Backfill: existing positions, voters and ballots belong to one legacy election
+-- that stays current so running cycles are not interrupted. Its status is set
+-- from the position windows once the positions are linked (see below).
+INSERT INTO `elections` (`id`, `name`, `status`, `is_current`, `updated_at`)
+VALUES ('00000000-0000-0000-0000-000000000001', 'Legacy Election', 'DRAFT', true, CURRENT_TIMESTAMP(3));
+
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `election_id` VARCHAR(191) NOT NULL DEFAULT '00000000-0000-0000-0000-000000000001';
+ALTER TABLE `positions` ALTER COLUMN `election_id` DROP DEFAULT;
+
+-- Backfill: the legacy election is VOTING while any voting window is open,
+-- CLOSED once every window has closed, NOMINATIONS before voting opens and
+-- DRAFT if there are no positions at all
+UPDATE `elections` SET `status` = CASE
+    WHEN EXISTS (SELECT 1 FROM `positions` WHERE CURRENT_TIMESTAMP(3) BETWEEN `voting_opens_at` AND `voting_closes_at`) THEN 'VOTING'
+    WHEN NOT EXISTS (SELECT 1 FROM `positions`) THEN 'DRAFT'
+    WHEN NOT EXISTS (SELECT 1 FROM `positions` WHERE `voting_closes_at` >= CURRENT_TIMESTAMP(3)) THEN 'CLOSED'
+    ELSE 'NOMINATIONS'
+END
+WHERE `id` = '00000000-0000-0000-0000-000000000001';
+
+-- AlterTable
+ALTER TABLE `eligible_voters` ADD COLUMN `election_id` VARCHAR(191) NOT NULL DEFAULT '00000000-0000-0000-0000-000000000001';
+ALTER TABLE `eligible_voters` ALTER COLUMN `election_id` DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE `ballots` ADD COLUMN `election_id` VARCHAR(191) NOT NULL DEFAULT '00000000-0000-0000-0000-000000000001';
+ALTER TABLE `ballots` ALTER COLUMN `election_id` DROP DEFAULT;
+
+-- DropIndex
+DROP INDEX `eligible_voters_reg_no_key` ON `eligible_voters`;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `eligible_voters_election_id_reg_no_key` ON `eligible_voters`(`election_id`, `reg_no`);
+
+-- CreateIndex
+CREATE INDEX `positions_election_id_idx` ON `positions`(`election_id`);
+
+-- CreateIndex
+CREATE INDEX `ballots_election_id_idx` ON `ballots`(`election_id`);
+
+-- AddForeignKey
+ALTER TABLE `positions` ADD CONSTRAINT `positions_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `eligible_voters` ADD CONSTRAINT `eligible_voters_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `ballots` ADD CONSTRAINT `ballots_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `min_selections` INTEGER NOT NULL DEFAULT 1;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `votes_ballot_id_candidate_id_key` ON `votes`(`ballot_id`, `candidate_id`);
+
+-- CreateIndex
+CREATE INDEX `votes_ballot_id_position_id_idx` ON `votes`(`ballot_id`, `position_id`);
+
+-- DropIndex
+DROP INDEX `votes_ballot_id_position_id_key` ON `votes`;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `description` TEXT NULL,
+    ADD COLUMN `question_type` ENUM('CANDIDATE', 'REFERENDUM') NOT NULL DEFAULT 'CANDIDATE',
+    MODIFY `voting_method` ENUM('PLURALITY', 'APPROVAL', 'IRV', 'STV') NOT NULL DEFAULT 'PLURALITY';
+
+-- AlterTable
+ALTER TABLE `votes` MODIFY `candidate_id` VARCHAR(191) NULL,
+    ADD COLUMN `choice` ENUM('YES', 'NO', 'ABSTAIN') NULL;
@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE `vote_receipts` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+    `receipt_hash` VARCHAR(191) NOT NULL,
+
+    UNIQUE INDEX `vote_receipts_receipt_hash_key`(`receipt_hash`),
+    INDEX `vote_receipts_election_id_idx`(`election_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `vote_receipts` ADD CONSTRAINT `vote_receipts_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE `audit_logs` ADD COLUMN `sequence` INTEGER NULL,
+    ADD COLUMN `prev_hash` VARCHAR(64) NULL,
+    ADD COLUMN `hash` VARCHAR(64) NULL;
+
+-- Number existing entries in the order they were written; they stay unhashed
+SET @audit_sequence := 0;
+UPDATE `audit_logs` SET `sequence` = (@audit_sequence := @audit_sequence + 1) ORDER BY `created_at` ASC, `id` ASC;
+
+ALTER TABLE `audit_logs` MODIFY `sequence` INTEGER NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `audit_logs_sequence_key` ON `audit_logs`(`sequence`);
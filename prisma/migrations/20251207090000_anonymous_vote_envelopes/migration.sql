@@ -0,0 +1,63 @@
+-- CreateTable
+CREATE TABLE `vote_envelopes` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+
+    INDEX `vote_envelopes_election_id_idx`(`election_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `vote_envelopes` ADD CONSTRAINT `vote_envelopes_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- Move existing votes into envelopes with fresh ids; the ballot -> envelope
+-- mapping only lives in this temporary table and is dropped below
+CREATE TEMPORARY TABLE `ballot_envelopes` (
+    `ballot_id` VARCHAR(191) NOT NULL,
+    `envelope_id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+    PRIMARY KEY (`ballot_id`)
+);
+
+INSERT INTO `ballot_envelopes` (`ballot_id`, `envelope_id`, `election_id`)
+SELECT DISTINCT `v`.`ballot_id`, UUID(), `b`.`election_id`
+FROM `votes` `v` INNER JOIN `ballots` `b` ON `b`.`id` = `v`.`ballot_id`;
+
+INSERT INTO `vote_envelopes` (`id`, `election_id`)
+SELECT `envelope_id`, `election_id` FROM `ballot_envelopes` ORDER BY `envelope_id`;
+
+ALTER TABLE `votes` ADD COLUMN `envelope_id` VARCHAR(191) NULL;
+
+UPDATE `votes` `v` INNER JOIN `ballot_envelopes` `be` ON `be`.`ballot_id` = `v`.`ballot_id`
+SET `v`.`envelope_id` = `be`.`envelope_id`;
+
+DROP TEMPORARY TABLE `ballot_envelopes`;
+
+ALTER TABLE `votes` MODIFY `envelope_id` VARCHAR(191) NOT NULL;
+
+-- DropForeignKey
+ALTER TABLE `votes` DROP FOREIGN KEY `votes_ballot_id_fkey`;
+
+-- DropIndex
+DROP INDEX `votes_ballot_id_candidate_id_key` ON `votes`;
+DROP INDEX `votes_ballot_id_position_id_idx` ON `votes`;
+
+-- AlterTable: drop the ballot link and the cast timestamp (it could be matched to ballots.consumed_at)
+ALTER TABLE `votes` DROP COLUMN `ballot_id`,
+    DROP COLUMN `cast_at`;
+
+-- CreateIndex
+CREATE UNIQUE INDEX `votes_envelope_id_candidate_id_key` ON `votes`(`envelope_id`, `candidate_id`);
+CREATE INDEX `votes_envelope_id_position_id_idx` ON `votes`(`envelope_id`, `position_id`);
+
+-- AddForeignKey
+ALTER TABLE `votes` ADD CONSTRAINT `votes_envelope_id_fkey` FOREIGN KEY (`envelope_id`) REFERENCES `vote_envelopes`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Redact the choices earlier CAST_VOTE audit entries recorded next to the voter.
+-- Entries already in the hash chain keep their old hash and no longer match it;
+-- the server re-seals the chain from the first of them on its next start and
+-- records that in a RESEAL_AUDIT_CHAIN entry (see resealRedactedEntries).
+UPDATE `audit_logs`
+SET `payload` = JSON_SET(JSON_REMOVE(`payload`, '$.positions'), '$.choicesRedacted', true)
+WHERE `action` = 'CAST_VOTE'
+    AND JSON_CONTAINS_PATH(`payload`, 'one', '$.positions');
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `eligibility` JSON NULL;
+
+-- AlterTable
+ALTER TABLE `eligible_voters` ADD COLUMN `attributes` JSON NULL;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE `ballots` ADD COLUMN `expires_at` DATETIME(3) NULL,
+    ADD COLUMN `client_hash` VARCHAR(191) NULL;
+
+-- Existing ballots get the default 30 minute lifetime
+UPDATE `ballots` SET `expires_at` = DATE_ADD(`issued_at`, INTERVAL 30 MINUTE);
+
+ALTER TABLE `ballots` MODIFY `expires_at` DATETIME(3) NOT NULL;
+
+-- CreateIndex
+CREATE INDEX `ballots_status_expires_at_idx` ON `ballots`(`status`, `expires_at`);
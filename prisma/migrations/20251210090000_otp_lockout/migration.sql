@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE `eligible_voters` ADD COLUMN `failed_otp_attempts` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `locked_until` DATETIME(3) NULL,
+    ADD COLUMN `lockout_count` INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE `verifications` ADD COLUMN `attempts` INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN `invalidated_at` DATETIME(3) NULL;
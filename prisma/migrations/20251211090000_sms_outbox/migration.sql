@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE `sms_outbox` (
+    `id` VARCHAR(191) NOT NULL,
+    `to` VARCHAR(191) NOT NULL,
+    `message` TEXT NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `sms_outbox_to_idx`(`to`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
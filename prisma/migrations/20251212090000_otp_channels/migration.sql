@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE `verifications` ADD COLUMN `requested_channel` VARCHAR(191) NULL,
+    ADD COLUMN `delivery_status` VARCHAR(191) NOT NULL DEFAULT 'PENDING';
+
+-- Earlier OTPs were all sent by SMS; their delivery outcome was never recorded
+UPDATE `verifications` SET `method` = 'sms', `requested_channel` = 'sms', `delivery_status` = 'UNKNOWN';
@@ -0,0 +1,28 @@
+-- CreateTable
+CREATE TABLE `notifications` (
+    `id` VARCHAR(191) NOT NULL,
+    `channel` VARCHAR(191) NOT NULL,
+    `recipient` VARCHAR(191) NOT NULL,
+    `template` VARCHAR(191) NOT NULL,
+    `payload` JSON NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'PENDING',
+    `attempts` INTEGER NOT NULL DEFAULT 0,
+    `max_attempts` INTEGER NOT NULL DEFAULT 5,
+    `next_attempt_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `expires_at` DATETIME(3) NULL,
+    `last_error` TEXT NULL,
+    `provider` VARCHAR(191) NULL,
+    `provider_message_id` VARCHAR(191) NULL,
+    `verification_id` VARCHAR(191) NULL,
+    `fallback_channel` VARCHAR(191) NULL,
+    `sent_at` DATETIME(3) NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `updated_at` DATETIME(3) NOT NULL,
+
+    INDEX `notifications_status_next_attempt_at_idx`(`status`, `next_attempt_at`),
+    INDEX `notifications_verification_id_idx`(`verification_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `notifications` ADD CONSTRAINT `notifications_verification_id_fkey` FOREIGN KEY (`verification_id`) REFERENCES `verifications`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE `scheduler_events` (
+    `id` VARCHAR(191) NOT NULL,
+    `key` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+    `type` VARCHAR(191) NOT NULL,
+    `scheduled_for` DATETIME(3) NOT NULL,
+    `position_ids` JSON NOT NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'RUNNING',
+    `attempts` INTEGER NOT NULL DEFAULT 1,
+    `result` JSON NULL,
+    `error` TEXT NULL,
+    `started_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `finished_at` DATETIME(3) NULL,
+
+    UNIQUE INDEX `scheduler_events_key_key`(`key`),
+    INDEX `scheduler_events_election_id_idx`(`election_id`),
+    INDEX `scheduler_events_status_idx`(`status`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `scheduler_events` ADD CONSTRAINT `scheduler_events_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,38 @@
+-- CreateTable
+CREATE TABLE `result_certifications` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'PENDING',
+    `snapshot` JSON NOT NULL,
+    `content_hash` VARCHAR(64) NOT NULL,
+    `required_signatures` INTEGER NOT NULL DEFAULT 0,
+    `created_by` VARCHAR(191) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `certified_at` DATETIME(3) NULL,
+
+    UNIQUE INDEX `result_certifications_election_id_key`(`election_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- CreateTable
+CREATE TABLE `certification_signatures` (
+    `id` VARCHAR(191) NOT NULL,
+    `certification_id` VARCHAR(191) NOT NULL,
+    `user_id` VARCHAR(191) NOT NULL,
+    `content_hash` VARCHAR(64) NOT NULL,
+    `note` TEXT NULL,
+    `signed_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    INDEX `certification_signatures_user_id_idx`(`user_id`),
+    UNIQUE INDEX `certification_signatures_certification_id_user_id_key`(`certification_id`, `user_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `result_certifications` ADD CONSTRAINT `result_certifications_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `certification_signatures` ADD CONSTRAINT `certification_signatures_certification_id_fkey` FOREIGN KEY (`certification_id`) REFERENCES `result_certifications`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE `certification_signatures` ADD CONSTRAINT `certification_signatures_user_id_fkey` FOREIGN KEY (`user_id`) REFERENCES `users`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `tie_break` ENUM('RUNOFF', 'LOT', 'MANUAL') NOT NULL DEFAULT 'MANUAL';
+
+-- CreateTable
+CREATE TABLE `tie_resolutions` (
+    `id` VARCHAR(191) NOT NULL,
+    `position_id` VARCHAR(191) NOT NULL,
+    `method` ENUM('RUNOFF', 'LOT', 'MANUAL') NOT NULL,
+    `tied_candidate_ids` JSON NOT NULL,
+    `tied_votes` INTEGER NOT NULL,
+    `seats_contested` INTEGER NOT NULL,
+    `winner_ids` JSON NOT NULL,
+    `seed` VARCHAR(128) NULL,
+    `runoff_position_id` VARCHAR(191) NULL,
+    `note` TEXT NULL,
+    `decided_by` VARCHAR(191) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `tie_resolutions_position_id_key`(`position_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `tie_resolutions` ADD CONSTRAINT `tie_resolutions_position_id_fkey` FOREIGN KEY (`position_id`) REFERENCES `positions`(`id`) ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE `positions` ADD COLUMN `win_threshold` DOUBLE NULL,
+    ADD COLUMN `runoff_of_id` VARCHAR(191) NULL;
+
+-- CreateIndex
+CREATE INDEX `positions_runoff_of_id_idx` ON `positions`(`runoff_of_id`);
+
+-- AddForeignKey
+ALTER TABLE `positions` ADD CONSTRAINT `positions_runoff_of_id_fkey` FOREIGN KEY (`runoff_of_id`) REFERENCES `positions`(`id`) ON DELETE SET NULL ON UPDATE CASCADE;
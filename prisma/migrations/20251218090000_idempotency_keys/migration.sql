@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE `idempotency_keys` (
+    `id` VARCHAR(191) NOT NULL,
+    `key_hash` VARCHAR(64) NOT NULL,
+    `request_hash` VARCHAR(64) NOT NULL,
+    `status_code` INTEGER NOT NULL,
+    `response` TEXT NOT NULL,
+    `expires_at` DATETIME(3) NOT NULL,
+
+    UNIQUE INDEX `idempotency_keys_key_hash_key`(`key_hash`),
+    INDEX `idempotency_keys_expires_at_idx`(`expires_at`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
@@ -0,0 +1,23 @@
+-- CreateTable
+CREATE TABLE `voter_imports` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+    `created_by` VARCHAR(191) NOT NULL,
+    `file_name` VARCHAR(191) NULL,
+    `dry_run` BOOLEAN NOT NULL DEFAULT false,
+    `remove_missing` BOOLEAN NOT NULL DEFAULT false,
+    `status` VARCHAR(191) NOT NULL DEFAULT 'RUNNING',
+    `total_rows` INTEGER NOT NULL DEFAULT 0,
+    `summary` JSON NULL,
+    `diff` JSON NULL,
+    `applied` INTEGER NOT NULL DEFAULT 0,
+    `error` TEXT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+    `finished_at` DATETIME(3) NULL,
+
+    INDEX `voter_imports_election_id_idx`(`election_id`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `voter_imports` ADD CONSTRAINT `voter_imports_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
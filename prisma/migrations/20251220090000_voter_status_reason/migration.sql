@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE `eligible_voters` ADD COLUMN `status_reason` TEXT NULL;
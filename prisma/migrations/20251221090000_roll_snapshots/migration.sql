@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE `elections` ADD COLUMN `roll_frozen_at` DATETIME(3) NULL,
+    ADD COLUMN `roll_frozen_by` VARCHAR(191) NULL,
+    ADD COLUMN `frozen_roll_version` INTEGER NULL;
+
+-- CreateTable
+CREATE TABLE `voter_roll_snapshots` (
+    `id` VARCHAR(191) NOT NULL,
+    `election_id` VARCHAR(191) NOT NULL,
+    `version` INTEGER NOT NULL,
+    `reason` VARCHAR(191) NOT NULL,
+    `import_id` VARCHAR(191) NULL,
+    `voter_count` INTEGER NOT NULL,
+    `voters` JSON NOT NULL,
+    `content_hash` VARCHAR(64) NOT NULL,
+    `created_by` VARCHAR(191) NOT NULL,
+    `created_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+
+    UNIQUE INDEX `voter_roll_snapshots_election_id_version_key`(`election_id`, `version`),
+    PRIMARY KEY (`id`)
+) DEFAULT CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
+
+-- AddForeignKey
+ALTER TABLE `voter_roll_snapshots` ADD CONSTRAINT `voter_roll_snapshots_election_id_fkey` FOREIGN KEY (`election_id`) REFERENCES `elections`(`id`) ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,9 @@
+-- AlterTable: ranked counts can hold one resolution per round, and STV totals are fractional
+ALTER TABLE `tie_resolutions` ADD COLUMN `round` INTEGER NOT NULL DEFAULT 0,
+    MODIFY `tied_votes` DOUBLE NOT NULL;
+
+-- CreateIndex (before the old one goes - the foreign key needs an index on position_id)
+CREATE UNIQUE INDEX `tie_resolutions_position_id_round_key` ON `tie_resolutions`(`position_id`, `round`);
+
+-- DropIndex
+DROP INDEX `tie_resolutions_position_id_key` ON `tie_resolutions`;
@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE `voter_imports` ADD COLUMN `active_key` VARCHAR(191) NULL,
+    ADD COLUMN `progress_at` DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3);
+
+-- Imports run inside their request, so none left RUNNING survived the restart
+UPDATE `voter_imports`
+SET `status` = 'FAILED', `error` = 'Interrupted by a server restart', `finished_at` = CURRENT_TIMESTAMP(3)
+WHERE `status` = 'RUNNING';
+
+-- CreateIndex
+CREATE UNIQUE INDEX `voter_imports_active_key_key` ON `voter_imports`(`active_key`);
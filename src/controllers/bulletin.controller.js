@@ -0,0 +1,155 @@
+const { prisma } = require('../config/prisma');
+const { resolveElection } = require('../utils/electionContext');
+const { digestReceipts } = require('../utils/receipts');
+const { getCertifiedResults, describeCertification } = require('../utils/results');
+
+// The full receipt list is only published once no more ballots can be cast
+const PUBLISHED_STATUSES = ['CLOSED', 'CERTIFIED', 'ARCHIVED'];
+const MAX_PAGE_SIZE = 1000;
+
+// Digest per election, keyed by receipt count - a published list only changes
+// if voting reopens (a runoff), which also changes the count
+const digestCache = new Map();
+
+const getReceiptDigest = async (electionId, totalReceipts) => {
+  const cached = digestCache.get(electionId);
+  if (cached && cached.totalReceipts === totalReceipts) {
+    return cached.digest;
+  }
+
+  const receipts = await prisma.voteReceipt.findMany({
+    where: { electionId },
+    select: { receiptHash: true },
+  });
+  const digest = digestReceipts(receipts.map((r) => r.receiptHash));
+  digestCache.set(electionId, { totalReceipts, digest });
+  return digest;
+};
+
+/**
+ * Get the public bulletin board for an election
+ * Lists receipt hashes a page at a time plus a digest over the whole list, so voters can
+ * confirm their receipt is included and that the receipt count matches the
+ * ballots counted in the results.
+ */
+exports.getBulletin = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MAX_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (!PUBLISHED_STATUSES.includes(election.status)) {
+      return res.status(400).json({
+        error: 'The bulletin board is published once voting closes',
+        electionStatus: election.status,
+      });
+    }
+
+    const [receipts, totalReceipts, ballotsCast] = await Promise.all([
+      prisma.voteReceipt.findMany({
+        where: { electionId: election.id },
+        select: { receiptHash: true },
+        orderBy: { receiptHash: 'asc' },
+        skip: (page - 1) * limit,
+        take: limit,
+      }),
+      prisma.voteReceipt.count({
+        where: { electionId: election.id },
+      }),
+      prisma.ballot.count({
+        where: { electionId: election.id, status: 'CONSUMED' },
+      }),
+    ]);
+
+    res.json({
+      election: { id: election.id, name: election.name, status: election.status },
+      totalReceipts,
+      ballotsCast,
+      digest: await getReceiptDigest(election.id, totalReceipts),
+      receipts: receipts.map((r) => r.receiptHash),
+      pagination: {
+        page,
+        limit,
+        total: totalReceipts,
+        totalPages: Math.ceil(totalReceipts / limit),
+      },
+    });
+  } catch (error) {
+    console.error('Get bulletin error:', error);
+    res.status(500).json({ error: 'Failed to fetch bulletin board' });
+  }
+};
+
+// Check whether a single receipt code is on the bulletin board of an election
+// Like the board itself, only once voting has closed - the answer must not
+// reveal who has voted while the election is running
+exports.checkReceipt = async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    if (!code || !/^[a-f0-9]{64}$/i.test(code)) {
+      return res.status(400).json({ error: 'Invalid receipt code' });
+    }
+
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (!PUBLISHED_STATUSES.includes(election.status)) {
+      return res.status(400).json({
+        error: 'Receipts can be checked once voting closes',
+        electionStatus: election.status,
+        hint: 'Pass electionId to check a receipt from an earlier election',
+      });
+    }
+
+    const receipt = await prisma.voteReceipt.findUnique({
+      where: { receiptHash: code.toLowerCase() },
+      select: { electionId: true },
+    });
+
+    res.json({
+      included: receipt?.electionId === election.id,
+      election: { id: election.id, name: election.name, status: election.status },
+    });
+  } catch (error) {
+    console.error('Check receipt error:', error);
+    res.status(500).json({ error: 'Failed to check receipt' });
+  }
+};
+
+// Certified results of an election - only ever the frozen snapshot, never a live count
+exports.getResults = async (req, res) => {
+  try {
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    const certification = await getCertifiedResults(election.id);
+
+    if (!certification) {
+      return res.status(404).json({
+        error: 'Results are published once they have been certified',
+        electionStatus: election.status,
+      });
+    }
+
+    res.json({
+      ...certification.snapshot,
+      election: { id: election.id, name: election.name, status: election.status },
+      certification: describeCertification(certification),
+    });
+  } catch (error) {
+    console.error('Get certified results error:', error);
+    res.status(500).json({ error: 'Failed to fetch results' });
+  }
+};
@@ -1,5 +1,6 @@
 const { prisma } = require('../config/prisma');
 const { logAudit } = require('../utils/auditLogger');
+const { resolveElection, isElectionEditable } = require('../utils/electionContext');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -87,12 +88,25 @@ exports.submitNomination = async (req, res) => {
     // Check if position exists and nomination window is open
     const position = await prisma.position.findUnique({
       where: { id: positionId },
+      include: { election: true },
     });
 
     if (!position) {
       return res.status(404).json({ error: 'Position not found' });
     }
 
+    if (position.questionType === 'REFERENDUM') {
+      return res.status(400).json({ error: 'Referendum questions do not take nominations' });
+    }
+
+    if (position.election.status !== 'NOMINATIONS') {
+      return res.status(400).json({
+        error: 'Nominations are not open for this election',
+        electionStatus: position.election.status,
+        hint: 'An admin opens nominations with PATCH /api/elections/:id/status ({ "status": "NOMINATIONS" })',
+      });
+    }
+
     const now = new Date();
     if (now < position.nominationOpens || now > position.nominationCloses) {
       return res.status(400).json({ 
@@ -186,6 +200,13 @@ exports.getMyNominations = async (req, res) => {
           select: {
             id: true,
             name: true,
+            election: {
+              select: {
+                id: true,
+                name: true,
+                status: true,
+              },
+            },
             nominationOpens: true,
             nominationCloses: true,
             votingOpens: true,
@@ -210,7 +231,15 @@ exports.getAllNominations = async (req, res) => {
   try {
     const { status, positionId } = req.query;
 
-    const where = {};
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    const where = {
+      position: { electionId: election.id },
+    };
     if (status) {
       where.status = status;
     }
@@ -276,6 +305,10 @@ exports.approveNomination = async (req, res) => {
         position: {
           select: {
             name: true,
+            nominationCloses: true,
+            election: {
+              select: { status: true },
+            },
           },
         },
         user: {
@@ -291,6 +324,19 @@ exports.approveNomination = async (req, res) => {
       return res.status(404).json({ error: 'Nomination not found' });
     }
 
+    if (!isElectionEditable(candidate.position.election)) {
+      return res.status(400).json({ error: `Nominations of a ${candidate.position.election.status} election cannot be reviewed` });
+    }
+
+    // Nominations are frozen once the position's nomination window has closed
+    if (new Date() > candidate.position.nominationCloses) {
+      return res.status(400).json({
+        error: 'Nominations for this position have closed and can no longer be reviewed',
+        nominationCloses: candidate.position.nominationCloses,
+        hint: 'Extend the nomination window with PUT /api/positions/:id to review it',
+      });
+    }
+
     if (candidate.status === 'APPROVED') {
       return res.status(400).json({ error: 'Nomination is already approved' });
     }
@@ -346,6 +392,10 @@ exports.rejectNomination = async (req, res) => {
         position: {
           select: {
             name: true,
+            nominationCloses: true,
+            election: {
+              select: { status: true },
+            },
           },
         },
         user: {
@@ -361,6 +411,19 @@ exports.rejectNomination = async (req, res) => {
       return res.status(404).json({ error: 'Nomination not found' });
     }
 
+    if (!isElectionEditable(candidate.position.election)) {
+      return res.status(400).json({ error: `Nominations of a ${candidate.position.election.status} election cannot be reviewed` });
+    }
+
+    // Nominations are frozen once the position's nomination window has closed
+    if (new Date() > candidate.position.nominationCloses) {
+      return res.status(400).json({
+        error: 'Nominations for this position have closed and can no longer be reviewed',
+        nominationCloses: candidate.position.nominationCloses,
+        hint: 'Extend the nomination window with PUT /api/positions/:id to review it',
+      });
+    }
+
     if (candidate.status === 'REJECTED') {
       return res.status(400).json({ error: 'Nomination is already rejected' });
     }
@@ -412,6 +475,9 @@ exports.deleteCandidate = async (req, res) => {
         position: {
           select: {
             name: true,
+            election: {
+              select: { status: true },
+            },
           },
         },
         user: {
@@ -432,6 +498,10 @@ exports.deleteCandidate = async (req, res) => {
       return res.status(404).json({ error: 'Candidate not found' });
     }
 
+    if (!isElectionEditable(candidate.position.election)) {
+      return res.status(400).json({ error: `Candidates of a ${candidate.position.election.status} election cannot be deleted` });
+    }
+
     // Check if candidate has votes
     if (candidate._count.votes > 0) {
       return res.status(400).json({ 
@@ -483,13 +553,29 @@ exports.deleteCandidate = async (req, res) => {
   }
 };
 
-// Delete all candidates (Admin only)
+// Delete all candidates of an election (Admin only)
 exports.deleteAllCandidates = async (req, res) => {
   try {
     const adminId = req.user.id;
 
-    // Get all candidates with their file paths
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (!isElectionEditable(election)) {
+      return res.status(400).json({ error: `Candidates of a ${election.status} election cannot be deleted` });
+    }
+
+    const electionScope = { position: { electionId: election.id } };
+
+    // Get candidates without votes, with their file paths
     const candidates = await prisma.candidate.findMany({
+      where: {
+        ...electionScope,
+        votes: { none: {} },
+      },
       select: {
         id: true,
         manifestoUrl: true,
@@ -521,6 +607,7 @@ exports.deleteAllCandidates = async (req, res) => {
     // Get candidates with votes to exclude them from deletion
     const candidatesWithVotes = await prisma.candidate.findMany({
       where: {
+        ...electionScope,
         votes: {
           some: {},
         },
@@ -535,6 +622,7 @@ exports.deleteAllCandidates = async (req, res) => {
     // Delete only candidates without votes
     const result = await prisma.candidate.deleteMany({
       where: {
+        ...electionScope,
         id: {
           notIn: candidatesWithVotesIds.length > 0 ? candidatesWithVotesIds : [],
         },
@@ -549,6 +637,7 @@ exports.deleteAllCandidates = async (req, res) => {
         action: 'DELETE_ALL_CANDIDATES',
         entity: 'candidate',
         payload: {
+          electionId: election.id,
           candidatesDeleted: result.count,
           candidatesWithVotesSkipped: candidatesWithVotes.length,
           reason: 'Admin requested bulk deletion of all candidates. Candidates with votes were skipped.',
@@ -0,0 +1,334 @@
+const { prisma } = require('../config/prisma');
+const { logAudit, auditedTransaction } = require('../utils/auditLogger');
+const { buildResults, hashResults } = require('../utils/results');
+const { settleRunoffTies } = require('../utils/runoffs');
+
+// Co-signatures required by default besides the certifying admin
+const DEFAULT_REQUIRED_SIGNATURES = parseInt(process.env.CERTIFICATION_REQUIRED_SIGNATURES, 10) || 0;
+
+const SIGNATURE_INCLUDE = {
+  signatures: {
+    include: { user: { select: { id: true, name: true, email: true, role: true } } },
+    orderBy: { signedAt: 'asc' },
+  },
+};
+
+// Move a certification (and its election) to CERTIFIED once enough officers have signed
+const completeIfSigned = async (certification, signatureCount) => {
+  // The certifying admin's own signature doesn't count towards the co-signatures
+  if (signatureCount - 1 < certification.requiredSignatures) {
+    return false;
+  }
+
+  const certifiedAt = new Date();
+  return auditedTransaction(async (tx) => {
+    const completed = await tx.resultCertification.updateMany({
+      where: { id: certification.id, status: 'PENDING' },
+      data: { status: 'CERTIFIED', certifiedAt },
+    });
+    if (completed.count === 0) {
+      return false;
+    }
+
+    await tx.election.updateMany({
+      where: { id: certification.electionId, status: 'CLOSED' },
+      data: { status: 'CERTIFIED' },
+    });
+    await logAudit({
+      actorType: 'system',
+      action: 'RESULTS_CERTIFIED',
+      entity: 'election',
+      entityId: certification.electionId,
+      payload: {
+        certificationId: certification.id,
+        contentHash: certification.contentHash,
+        signatures: signatureCount,
+      },
+    }, { tx });
+
+    return true;
+  });
+};
+
+// Get an election's certification with its signatures (Admin/Officer)
+// ?verify=true also recounts the live results and compares them with the snapshot
+exports.getCertification = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const certification = await prisma.resultCertification.findUnique({
+      where: { electionId: id },
+      include: { ...SIGNATURE_INCLUDE, election: true },
+    });
+
+    if (!certification) {
+      return res.status(404).json({ error: 'This election has not been submitted for certification' });
+    }
+
+    const { election, ...rest } = certification;
+    const response = {
+      ...rest,
+      snapshotIntact: hashResults(certification.snapshot) === certification.contentHash,
+      coSignatures: certification.signatures.length - 1,
+    };
+
+    if (req.query.verify === 'true') {
+      const live = await buildResults(election);
+      // Status moves on after certification; compare the counts only
+      live.election.status = certification.snapshot.election.status;
+      live.generatedAt = certification.snapshot.generatedAt;
+      response.liveResultsMatch = hashResults(JSON.parse(JSON.stringify(live))) === certification.contentHash;
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Get certification error:', error);
+    res.status(500).json({ error: 'Failed to fetch certification' });
+  }
+};
+
+// Freeze the results of a closed election and certify them (Admin only)
+// With requiredSignatures > 0 the certification waits for that many officer co-signatures
+exports.certifyResults = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { requiredSignatures = DEFAULT_REQUIRED_SIGNATURES, note } = req.body;
+
+    const election = await prisma.election.findUnique({
+      where: { id },
+      include: { certification: true },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (election.certification) {
+      return res.status(409).json({
+        error: election.certification.status === 'CERTIFIED'
+          ? 'Results of this election are already certified'
+          : 'Results of this election are already awaiting co-signatures',
+      });
+    }
+
+    if (election.status !== 'CLOSED') {
+      return res.status(400).json({
+        error: `Only closed elections can be certified (this one is ${election.status})`,
+        hint: 'Close voting first so the results can no longer change',
+      });
+    }
+
+    const required = parseInt(requiredSignatures, 10);
+    if (!Number.isInteger(required) || required < 0) {
+      return res.status(400).json({ error: 'requiredSignatures must be a whole number of 0 or more' });
+    }
+
+    // Make sure enough other admins/officers exist to ever complete the certification
+    const availableSigners = await prisma.user.count({
+      where: { role: { in: ['ADMIN', 'OFFICER'] }, status: 'ACTIVE', id: { not: req.user.id } },
+    });
+    if (required > availableSigners) {
+      return res.status(400).json({
+        error: `${required} co-signatures required but only ${availableSigners} other active admin/officer account(s) exist`,
+      });
+    }
+
+    // Ties referred to a runoff take the runoff's winners before anything is frozen
+    await settleRunoffTies(election);
+
+    // Round-trip through JSON so the hash is over exactly what is stored
+    const snapshot = JSON.parse(JSON.stringify({
+      ...(await buildResults(election)),
+      generatedAt: new Date(),
+    }));
+
+    // Every seat must be awarded before the results can be frozen
+    const unresolved = snapshot.positions.filter((position) => position.tie?.status === 'UNRESOLVED');
+    if (unresolved.length > 0) {
+      return res.status(400).json({
+        error: 'Results with unresolved ties cannot be certified',
+        positions: unresolved.map((position) => ({ positionId: position.positionId, positionName: position.positionName, tie: position.tie })),
+        hint: 'Resolve each tie with POST /api/positions/:id/tie/resolve',
+      });
+    }
+
+    const awaitingRunoff = snapshot.positions.filter((position) => position.tie?.status === 'RUNOFF');
+    if (awaitingRunoff.length > 0) {
+      return res.status(400).json({
+        error: 'Results with ties still awaiting their runoff cannot be certified',
+        positions: awaitingRunoff.map((position) => ({ positionId: position.positionId, positionName: position.positionName, tie: position.tie })),
+        hint: 'The runoff must close with a winner for every contested seat; a tied runoff needs its own tie resolved first',
+      });
+    }
+
+    const contentHash = hashResults(snapshot);
+
+    let certification;
+    try {
+      certification = await auditedTransaction(async (tx) => {
+        const created = await tx.resultCertification.create({
+          data: {
+            electionId: election.id,
+            snapshot,
+            contentHash,
+            requiredSignatures: required,
+            createdBy: req.user.id,
+            signatures: {
+              create: { userId: req.user.id, contentHash, note: note || null },
+            },
+          },
+        });
+
+        await logAudit({
+          actorType: 'admin',
+          actorId: req.user.id,
+          action: 'CERTIFY_RESULTS',
+          entity: 'election',
+          entityId: election.id,
+          payload: { name: election.name, certificationId: created.id, contentHash, requiredSignatures: required },
+        }, { tx });
+
+        return created;
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'Results of this election are already being certified' });
+      }
+      throw error;
+    }
+
+    const certified = await completeIfSigned(certification, 1);
+
+    const result = await prisma.resultCertification.findUnique({
+      where: { id: certification.id },
+      include: SIGNATURE_INCLUDE,
+    });
+
+    res.status(201).json({
+      message: certified
+        ? 'Results certified and frozen'
+        : `Results frozen - awaiting ${required} co-signature(s)`,
+      certification: result,
+    });
+  } catch (error) {
+    console.error('Certify results error:', error);
+    res.status(500).json({ error: 'Failed to certify results' });
+  }
+};
+
+// Co-sign a pending certification (Admin/Officer)
+// The signer sends back the content hash they reviewed, so they sign exactly that snapshot
+exports.signCertification = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { contentHash, note } = req.body;
+
+    if (!contentHash) {
+      return res.status(400).json({ error: 'contentHash is required', hint: 'Use the contentHash of the snapshot you reviewed' });
+    }
+
+    const certification = await prisma.resultCertification.findUnique({
+      where: { electionId: id },
+    });
+
+    if (!certification) {
+      return res.status(404).json({ error: 'This election has not been submitted for certification' });
+    }
+
+    if (certification.status !== 'PENDING') {
+      return res.status(400).json({ error: 'Results of this election are already certified' });
+    }
+
+    if (contentHash !== certification.contentHash) {
+      return res.status(409).json({ error: 'contentHash does not match the frozen results', contentHash: certification.contentHash });
+    }
+
+    if (hashResults(certification.snapshot) !== certification.contentHash) {
+      return res.status(409).json({ error: 'The stored results snapshot no longer matches its content hash' });
+    }
+
+    try {
+      await auditedTransaction(async (tx) => {
+        await tx.certificationSignature.create({
+          data: { certificationId: certification.id, userId: req.user.id, contentHash, note: note || null },
+        });
+
+        await logAudit({
+          actorType: req.user.role === 'ADMIN' ? 'admin' : 'officer',
+          actorId: req.user.id,
+          action: 'SIGN_CERTIFICATION',
+          entity: 'election',
+          entityId: id,
+          payload: { certificationId: certification.id, contentHash },
+        }, { tx });
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'You have already signed this certification' });
+      }
+      throw error;
+    }
+
+    const signatureCount = await prisma.certificationSignature.count({
+      where: { certificationId: certification.id },
+    });
+    const certified = await completeIfSigned(certification, signatureCount);
+
+    const result = await prisma.resultCertification.findUnique({
+      where: { id: certification.id },
+      include: SIGNATURE_INCLUDE,
+    });
+
+    res.json({
+      message: certified
+        ? 'Signature recorded - results certified'
+        : `Signature recorded - ${certification.requiredSignatures - (signatureCount - 1)} more needed`,
+      certification: result,
+    });
+  } catch (error) {
+    console.error('Sign certification error:', error);
+    res.status(500).json({ error: 'Failed to sign certification' });
+  }
+};
+
+// Withdraw a certification that is still awaiting co-signatures (Admin only)
+exports.cancelCertification = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const certification = await prisma.resultCertification.findUnique({
+      where: { electionId: id },
+      include: { _count: { select: { signatures: true } } },
+    });
+
+    if (!certification) {
+      return res.status(404).json({ error: 'This election has not been submitted for certification' });
+    }
+
+    if (certification.status !== 'PENDING') {
+      return res.status(400).json({ error: 'Certified results cannot be withdrawn' });
+    }
+
+    await auditedTransaction(async (tx) => {
+      await tx.resultCertification.delete({ where: { id: certification.id } });
+
+      await logAudit({
+        actorType: 'admin',
+        actorId: req.user.id,
+        action: 'CANCEL_CERTIFICATION',
+        entity: 'election',
+        entityId: id,
+        payload: {
+          certificationId: certification.id,
+          contentHash: certification.contentHash,
+          signatures: certification._count.signatures,
+        },
+      }, { tx });
+    });
+
+    res.json({ message: 'Certification withdrawn' });
+  } catch (error) {
+    console.error('Cancel certification error:', error);
+    res.status(500).json({ error: 'Failed to withdraw certification' });
+  }
+};
@@ -0,0 +1,351 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const { ELECTION_TRANSITIONS, canTransition } = require('../utils/electionContext');
+
+// Get all elections (newest first)
+exports.getAllElections = async (req, res) => {
+  try {
+    const { includeArchived } = req.query;
+
+    const where = {};
+    if (includeArchived !== 'true') {
+      where.status = { not: 'ARCHIVED' };
+    }
+
+    const elections = await prisma.election.findMany({
+      where,
+      orderBy: {
+        createdAt: 'desc',
+      },
+      include: {
+        _count: {
+          select: {
+            positions: true,
+            voters: true,
+            ballots: true,
+          },
+        },
+      },
+    });
+
+    res.json(elections);
+  } catch (error) {
+    console.error('Get elections error:', error);
+    res.status(500).json({ error: 'Failed to fetch elections' });
+  }
+};
+
+// Get the current election (public - used by voting and nomination screens)
+exports.getCurrentElection = async (req, res) => {
+  try {
+    const election = await prisma.election.findFirst({
+      where: { isCurrent: true },
+      select: {
+        id: true,
+        name: true,
+        description: true,
+        status: true,
+      },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'No current election' });
+    }
+
+    res.json(election);
+  } catch (error) {
+    console.error('Get current election error:', error);
+    res.status(500).json({ error: 'Failed to fetch current election' });
+  }
+};
+
+// Get election by ID
+exports.getElectionById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const election = await prisma.election.findUnique({
+      where: { id },
+      include: {
+        positions: {
+          orderBy: { name: 'asc' },
+        },
+        _count: {
+          select: {
+            voters: true,
+            ballots: true,
+          },
+        },
+      },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    res.json(election);
+  } catch (error) {
+    console.error('Get election error:', error);
+    res.status(500).json({ error: 'Failed to fetch election' });
+  }
+};
+
+// Create election (Admin only)
+exports.createElection = async (req, res) => {
+  try {
+    const { name, description, makeCurrent } = req.body;
+
+    if (!name || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Election name is required' });
+    }
+
+    const election = await prisma.$transaction(async (tx) => {
+      if (makeCurrent) {
+        await tx.election.updateMany({
+          where: { isCurrent: true },
+          data: { isCurrent: false },
+        });
+      }
+
+      return tx.election.create({
+        data: {
+          name: name.trim(),
+          description: description?.trim() || null,
+          status: 'DRAFT',
+          isCurrent: Boolean(makeCurrent),
+          createdBy: req.user.id,
+        },
+      });
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'CREATE_ELECTION',
+      entity: 'election',
+      entityId: election.id,
+      payload: { name: election.name, makeCurrent: Boolean(makeCurrent) },
+    });
+
+    res.status(201).json({
+      message: 'Election created successfully',
+      election,
+    });
+  } catch (error) {
+    console.error('Create election error:', error);
+    res.status(500).json({ error: 'Failed to create election' });
+  }
+};
+
+// Update election details (Admin only)
+exports.updateElection = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, description } = req.body;
+
+    const existing = await prisma.election.findUnique({ where: { id } });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (existing.status === 'ARCHIVED') {
+      return res.status(400).json({ error: 'Archived elections cannot be modified' });
+    }
+
+    const election = await prisma.election.update({
+      where: { id },
+      data: {
+        ...(name && { name: name.trim() }),
+        ...(description !== undefined && { description: description?.trim() || null }),
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'UPDATE_ELECTION',
+      entity: 'election',
+      entityId: id,
+      payload: { name, description },
+    });
+
+    res.json({
+      message: 'Election updated successfully',
+      election,
+    });
+  } catch (error) {
+    console.error('Update election error:', error);
+    res.status(500).json({ error: 'Failed to update election' });
+  }
+};
+
+// Move an election to the next lifecycle state (Admin only)
+exports.updateStatus = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+
+    if (!status || !Object.keys(ELECTION_TRANSITIONS).includes(status)) {
+      return res.status(400).json({
+        error: `Invalid status. Must be one of ${Object.keys(ELECTION_TRANSITIONS).join(', ')}`,
+      });
+    }
+
+    const existing = await prisma.election.findUnique({
+      where: { id },
+      include: { certification: { select: { status: true } } },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    // Certification freezes a results snapshot, so it has its own endpoint
+    if (status === 'CERTIFIED') {
+      return res.status(400).json({
+        error: 'Results are certified through the certification workflow',
+        hint: `POST /api/elections/${id}/certify`,
+      });
+    }
+
+    // Frozen results must not change underneath the officers signing them
+    if (existing.certification && status === 'VOTING') {
+      return res.status(409).json({
+        error: 'Voting cannot be reopened while results are frozen for certification',
+        hint: 'Withdraw the pending certification first',
+      });
+    }
+
+    if (!canTransition(existing, status)) {
+      return res.status(400).json({
+        error: `Cannot move election from ${existing.status} to ${status}`,
+        allowed: ELECTION_TRANSITIONS[existing.status],
+      });
+    }
+
+    const election = await prisma.election.update({
+      where: { id },
+      data: {
+        status,
+        ...(status === 'ARCHIVED' && { archivedAt: new Date(), isCurrent: false }),
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'UPDATE_ELECTION_STATUS',
+      entity: 'election',
+      entityId: id,
+      payload: { name: existing.name, from: existing.status, to: status },
+    });
+
+    res.json({
+      message: `Election moved to ${status}`,
+      election,
+    });
+  } catch (error) {
+    console.error('Update election status error:', error);
+    res.status(500).json({ error: 'Failed to update election status' });
+  }
+};
+
+// Make an election the current one used by public flows (Admin only)
+exports.switchElection = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.election.findUnique({ where: { id } });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (existing.status === 'ARCHIVED') {
+      return res.status(400).json({ error: 'Archived elections cannot be made current' });
+    }
+
+    const previous = await prisma.election.findFirst({ where: { isCurrent: true } });
+
+    const [, election] = await prisma.$transaction([
+      prisma.election.updateMany({
+        where: { isCurrent: true },
+        data: { isCurrent: false },
+      }),
+      prisma.election.update({
+        where: { id },
+        data: { isCurrent: true },
+      }),
+    ]);
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'SWITCH_ELECTION',
+      entity: 'election',
+      entityId: id,
+      payload: {
+        name: existing.name,
+        previousElectionId: previous?.id || null,
+      },
+    });
+
+    res.json({
+      message: 'Current election switched successfully',
+      election,
+    });
+  } catch (error) {
+    console.error('Switch election error:', error);
+    res.status(500).json({ error: 'Failed to switch election' });
+  }
+};
+
+// Archive an election - keeps all of its data queryable but read-only (Admin only)
+exports.archiveElection = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.election.findUnique({ where: { id } });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (existing.status === 'ARCHIVED') {
+      return res.status(400).json({ error: 'Election is already archived' });
+    }
+
+    if (!canTransition(existing, 'ARCHIVED')) {
+      return res.status(400).json({
+        error: `Cannot archive an election in ${existing.status} state. Close voting first.`,
+      });
+    }
+
+    const election = await prisma.election.update({
+      where: { id },
+      data: {
+        status: 'ARCHIVED',
+        isCurrent: false,
+        archivedAt: new Date(),
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'ARCHIVE_ELECTION',
+      entity: 'election',
+      entityId: id,
+      payload: { name: existing.name, previousStatus: existing.status },
+    });
+
+    res.json({
+      message: 'Election archived successfully',
+      election,
+    });
+  } catch (error) {
+    console.error('Archive election error:', error);
+    res.status(500).json({ error: 'Failed to archive election' });
+  }
+};
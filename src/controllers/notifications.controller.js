@@ -0,0 +1,141 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const { deliverNotification } = require('../utils/notificationOutbox');
+
+const STATUSES = ['PENDING', 'SENDING', 'SENT', 'FAILED'];
+
+// Fields shown to admins - payloads are left out since pending OTPs are secrets
+const NOTIFICATION_FIELDS = {
+  id: true,
+  channel: true,
+  recipient: true,
+  template: true,
+  status: true,
+  attempts: true,
+  maxAttempts: true,
+  nextAttemptAt: true,
+  expiresAt: true,
+  lastError: true,
+  provider: true,
+  providerMessageId: true,
+  verificationId: true,
+  fallbackChannel: true,
+  sentAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+// List notifications - failed deliveries by default (Admin only)
+exports.getNotifications = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, status = 'FAILED', channel, template } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = {};
+    if (status !== 'ALL') {
+      if (!STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status. Must be one of ALL, ${STATUSES.join(', ')}` });
+      }
+      where.status = status;
+    }
+    if (channel) {
+      where.channel = channel;
+    }
+    if (template) {
+      where.template = template;
+    }
+
+    const [notifications, total, statusCounts] = await Promise.all([
+      prisma.notification.findMany({
+        where,
+        select: NOTIFICATION_FIELDS,
+        skip,
+        take: parseInt(limit),
+        orderBy: {
+          createdAt: 'desc',
+        },
+      }),
+      prisma.notification.count({ where }),
+      prisma.notification.groupBy({
+        by: ['status'],
+        _count: { _all: true },
+      }),
+    ]);
+
+    res.json({
+      notifications,
+      summary: Object.fromEntries(statusCounts.map((s) => [s.status, s._count._all])),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+};
+
+// Re-send a failed notification (Admin only)
+exports.resendNotification = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const notification = await prisma.notification.findUnique({ where: { id } });
+
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    if (notification.status !== 'FAILED') {
+      return res.status(400).json({ error: `Only failed notifications can be re-sent (this one is ${notification.status})` });
+    }
+
+    // OTP codes are discarded once delivery fails and would have expired anyway
+    if (notification.template === 'OTP') {
+      return res.status(400).json({
+        error: 'OTP messages cannot be re-sent',
+        hint: 'Ask the voter to request a new OTP',
+      });
+    }
+
+    const queued = await prisma.notification.update({
+      where: { id },
+      data: {
+        status: 'PENDING',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'RESEND_NOTIFICATION',
+      entity: 'notification',
+      entityId: id,
+      payload: {
+        channel: notification.channel,
+        recipient: notification.recipient,
+        previousError: notification.lastError,
+      },
+    });
+
+    const status = await deliverNotification(queued);
+
+    const updated = await prisma.notification.findUnique({
+      where: { id },
+      select: NOTIFICATION_FIELDS,
+    });
+
+    res.json({
+      message: status === 'SENT' ? 'Notification re-sent successfully' : 'Notification queued for re-sending',
+      notification: updated,
+    });
+  } catch (error) {
+    console.error('Resend notification error:', error);
+    res.status(500).json({ error: 'Failed to re-send notification' });
+  }
+};
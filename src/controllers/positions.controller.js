@@ -1,5 +1,12 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../config/prisma');
-const { logAudit } = require('../utils/auditLogger');
+const { logAudit, auditedTransaction } = require('../utils/auditLogger');
+const { resolveElection, isElectionEditable } = require('../utils/electionContext');
+const { normalizeEligibilityRules } = require('../utils/eligibility');
+const { TIE_BREAK_RULES, drawLots } = require('../utils/tieBreak');
+const { tallyPosition, buildResults } = require('../utils/results');
+const { selectRunoffCandidates } = require('../utils/runoffs');
 
 // Helper function to parse dates consistently
 // Dates from datetime-local inputs are in format "YYYY-MM-DDTHH:mm" (no timezone)
@@ -24,10 +31,72 @@ const parseDate = (dateString) => {
   return new Date(dateString);
 };
 
-// Get all positions
+const VOTING_METHODS = ['PLURALITY', 'APPROVAL', 'IRV', 'STV'];
+const QUESTION_TYPES = ['CANDIDATE', 'REFERENDUM'];
+
+// Validate seats / minimum selections / voting method combination
+// Returns an error message or null
+const validateBallotRules = (seats, minSelections, votingMethod, questionType = 'CANDIDATE') => {
+  // Referendums are a single YES/NO/ABSTAIN answer
+  if (questionType === 'REFERENDUM') {
+    if (seats !== 1 || minSelections !== 1 || votingMethod !== 'PLURALITY') {
+      return 'Referendum questions take a single answer and cannot set seats, minimum selections or a voting method';
+    }
+    return null;
+  }
+  if (isNaN(seats) || seats < 1) {
+    return 'Seats must be a positive number';
+  }
+  if (!VOTING_METHODS.includes(votingMethod)) {
+    return `Invalid voting method. Must be one of ${VOTING_METHODS.join(', ')}`;
+  }
+  if (votingMethod === 'IRV' && seats !== 1) {
+    return 'IRV positions elect a single candidate. Use STV for multi-seat ranked positions';
+  }
+  if (isNaN(minSelections) || minSelections < 1) {
+    return 'Minimum selections must be at least 1';
+  }
+  // Plurality voters pick at most `seats`; approval and ranked voters may pick every candidate
+  if (votingMethod === 'PLURALITY' && minSelections > seats) {
+    return 'Minimum selections must be between 1 and the number of seats';
+  }
+  return null;
+};
+
+// Read a winning threshold from a request body: undefined (not sent), null (none) or a number
+const parseWinThreshold = (value) => {
+  if (value === undefined) return undefined;
+  if (value === null || value === '') return null;
+  return Number(value);
+};
+
+// Validate a winning threshold (percent of the position's ballots a winner must exceed)
+// Only plurality and approval positions take one; ranked counts have their own quota
+// Returns an error message or null
+const validateWinThreshold = (threshold, votingMethod, questionType = 'CANDIDATE') => {
+  if (threshold === undefined || threshold === null) {
+    return null;
+  }
+  if (questionType === 'REFERENDUM' || !['PLURALITY', 'APPROVAL'].includes(votingMethod)) {
+    return 'A winning threshold can only be set on plurality and approval positions';
+  }
+  if (isNaN(threshold) || threshold < 0 || threshold >= 100) {
+    return 'Winning threshold must be a percentage from 0 up to (not including) 100';
+  }
+  return null;
+};
+
+// Get all positions (scoped to an election)
 exports.getAllPositions = async (req, res) => {
   try {
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
     const positions = await prisma.position.findMany({
+      where: { electionId: election.id },
       orderBy: {
         createdAt: 'desc',
       },
@@ -56,6 +125,13 @@ exports.getPositionById = async (req, res) => {
     const position = await prisma.position.findUnique({
       where: { id },
       include: {
+        election: {
+          select: {
+            id: true,
+            name: true,
+            status: true,
+          },
+        },
         candidates: {
           include: {
             user: {
@@ -104,13 +180,69 @@ exports.createPosition = async (req, res) => {
       return res.status(403).json({ error: 'Only administrators can create positions' });
     }
 
-    const { name, seats, nominationOpens, nominationCloses, votingOpens, votingCloses } = req.body;
+    const {
+      name,
+      description,
+      questionType,
+      seats,
+      minSelections,
+      votingMethod,
+      tieBreak,
+      winThreshold,
+      eligibility,
+      nominationOpens,
+      nominationCloses,
+      votingOpens,
+      votingCloses,
+    } = req.body;
+
+    const type = questionType || 'CANDIDATE';
+    if (!QUESTION_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Invalid question type. Must be one of ${QUESTION_TYPES.join(', ')}` });
+    }
+    const isReferendum = type === 'REFERENDUM';
 
-    // Validation
-    if (!name || !seats || !nominationOpens || !nominationCloses || !votingOpens || !votingCloses) {
+    // Validation (referendums have no seats or nomination window)
+    if (!name || !votingOpens || !votingCloses || (!isReferendum && (!seats || !nominationOpens || !nominationCloses))) {
       return res.status(400).json({ error: 'All fields are required' });
     }
 
+    // Voters pick between minSelections (default 1) and seats candidates, or rank them
+    const seatCount = isReferendum ? 1 : parseInt(seats);
+    const minCount = minSelections !== undefined && !isReferendum ? parseInt(minSelections) : 1;
+    const method = (!isReferendum && votingMethod) || 'PLURALITY';
+    const rulesError = validateBallotRules(seatCount, minCount, method, type);
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
+
+    if (tieBreak && !TIE_BREAK_RULES.includes(tieBreak)) {
+      return res.status(400).json({ error: `Invalid tie-break rule. Must be one of ${TIE_BREAK_RULES.join(', ')}` });
+    }
+
+    const threshold = parseWinThreshold(winThreshold) ?? null;
+    const thresholdError = validateWinThreshold(threshold, method, type);
+    if (thresholdError) {
+      return res.status(400).json({ error: thresholdError });
+    }
+
+    // Optional constituency (e.g. only voters of certain programs)
+    const constituency = normalizeEligibilityRules(eligibility);
+    if (constituency.error) {
+      return res.status(400).json({ error: constituency.error });
+    }
+
+    // Positions always belong to an election (electionId or the current election)
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (!isElectionEditable(election)) {
+      return res.status(400).json({ error: `Cannot add positions to a ${election.status} election` });
+    }
+
     // Validate dates
     console.log('Create Position - Raw dates from frontend:', {
       nominationOpens,
@@ -119,10 +251,11 @@ exports.createPosition = async (req, res) => {
       votingCloses,
     });
     
-    const nomOpen = parseDate(nominationOpens);
-    const nomClose = parseDate(nominationCloses);
     const voteOpen = parseDate(votingOpens);
     const voteClose = parseDate(votingCloses);
+    // A referendum's (unused) nomination window collapses onto the start of voting
+    const nomOpen = isReferendum ? voteOpen : parseDate(nominationOpens);
+    const nomClose = isReferendum ? voteOpen : parseDate(nominationCloses);
     
     console.log('Create Position - Parsed dates (UTC):', {
       nominationOpens: nomOpen.toISOString(),
@@ -131,7 +264,7 @@ exports.createPosition = async (req, res) => {
       votingCloses: voteClose.toISOString(),
     });
 
-    if (nomClose <= nomOpen) {
+    if (!isReferendum && nomClose <= nomOpen) {
       return res.status(400).json({ error: 'Nomination close date must be after open date' });
     }
 
@@ -146,8 +279,16 @@ exports.createPosition = async (req, res) => {
     // Create position
     const position = await prisma.position.create({
       data: {
+        electionId: election.id,
         name,
-        seats: parseInt(seats),
+        description: description || null,
+        questionType: type,
+        seats: seatCount,
+        minSelections: minCount,
+        votingMethod: method,
+        ...(tieBreak && { tieBreak }),
+        winThreshold: threshold,
+        eligibility: constituency.rules || Prisma.DbNull,
         nominationOpens: nomOpen,
         nominationCloses: nomClose,
         votingOpens: voteOpen,
@@ -162,7 +303,7 @@ exports.createPosition = async (req, res) => {
       action: 'CREATE_POSITION',
       entity: 'position',
       entityId: position.id,
-      payload: { name, seats, nominationOpens, nominationCloses, votingOpens, votingCloses },
+      payload: { electionId: election.id, name, questionType: type, seats: seatCount, minSelections: minCount, votingMethod: method, tieBreak: position.tieBreak, winThreshold: threshold, eligibility: constituency.rules, nominationOpens, nominationCloses, votingOpens, votingCloses },
     });
 
     res.status(201).json({
@@ -179,17 +320,80 @@ exports.createPosition = async (req, res) => {
 exports.updatePosition = async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, seats, nominationOpens, nominationCloses, votingOpens, votingCloses } = req.body;
+    const { name, description, seats, minSelections, votingMethod, tieBreak, winThreshold, eligibility, nominationOpens, nominationCloses, votingOpens, votingCloses } = req.body;
 
     // Check if position exists
     const existingPosition = await prisma.position.findUnique({
       where: { id },
+      include: { election: true },
     });
 
     if (!existingPosition) {
       return res.status(404).json({ error: 'Position not found' });
     }
 
+    if (!isElectionEditable(existingPosition.election)) {
+      return res.status(400).json({ error: `Positions of a ${existingPosition.election.status} election cannot be modified` });
+    }
+
+    // Validate ballot rules against the resulting position
+    const finalSeats = seats ? parseInt(seats) : existingPosition.seats;
+    const finalMin = minSelections !== undefined ? parseInt(minSelections) : existingPosition.minSelections;
+    const finalMethod = votingMethod || existingPosition.votingMethod;
+    const rulesError = validateBallotRules(finalSeats, finalMin, finalMethod, existingPosition.questionType);
+    if (rulesError) {
+      return res.status(400).json({ error: rulesError });
+    }
+
+    if (tieBreak && !TIE_BREAK_RULES.includes(tieBreak)) {
+      return res.status(400).json({ error: `Invalid tie-break rule. Must be one of ${TIE_BREAK_RULES.join(', ')}` });
+    }
+
+    // Changing the method keeps the threshold, so check it against the resulting position
+    const threshold = parseWinThreshold(winThreshold);
+    const finalThreshold = threshold !== undefined ? threshold : existingPosition.winThreshold;
+    const thresholdError = validateWinThreshold(finalThreshold, finalMethod, existingPosition.questionType);
+    if (thresholdError) {
+      return res.status(400).json({ error: thresholdError });
+    }
+
+    const constituency = normalizeEligibilityRules(eligibility);
+    if (eligibility !== undefined && constituency.error) {
+      return res.status(400).json({ error: constituency.error });
+    }
+
+    // Changing how a position is counted after votes exist would invalidate them
+    if (votingMethod && votingMethod !== existingPosition.votingMethod) {
+      const existingVotes = await prisma.vote.count({ where: { positionId: id } });
+      if (existingVotes > 0) {
+        return res.status(400).json({ error: 'Cannot change the voting method of a position with existing votes' });
+      }
+    }
+
+    // The tie-break rule must be settled before anyone can see a tie coming
+    if (tieBreak && tieBreak !== existingPosition.tieBreak) {
+      const existingVotes = await prisma.vote.count({ where: { positionId: id } });
+      if (existingVotes > 0) {
+        return res.status(400).json({ error: 'Cannot change the tie-break rule of a position with existing votes' });
+      }
+    }
+
+    // Moving the bar after votes are in could decide the outcome
+    if (threshold !== undefined && threshold !== existingPosition.winThreshold) {
+      const existingVotes = await prisma.vote.count({ where: { positionId: id } });
+      if (existingVotes > 0) {
+        return res.status(400).json({ error: 'Cannot change the winning threshold of a position with existing votes' });
+      }
+    }
+
+    // Likewise, votes already cast came from the old constituency
+    if (eligibility !== undefined) {
+      const existingVotes = await prisma.vote.count({ where: { positionId: id } });
+      if (existingVotes > 0) {
+        return res.status(400).json({ error: 'Cannot change the eligibility of a position with existing votes' });
+      }
+    }
+
     // Validate dates if provided
     if (nominationOpens && nominationCloses) {
       const nomOpen = parseDate(nominationOpens);
@@ -212,7 +416,13 @@ exports.updatePosition = async (req, res) => {
       where: { id },
       data: {
         ...(name && { name }),
+        ...(description !== undefined && { description: description || null }),
         ...(seats && { seats: parseInt(seats) }),
+        ...(minSelections !== undefined && { minSelections: finalMin }),
+        ...(votingMethod && { votingMethod }),
+        ...(tieBreak && { tieBreak }),
+        ...(threshold !== undefined && { winThreshold: threshold }),
+        ...(eligibility !== undefined && { eligibility: constituency.rules || Prisma.DbNull }),
         ...(nominationOpens && { nominationOpens: parseDate(nominationOpens) }),
         ...(nominationCloses && { nominationCloses: parseDate(nominationCloses) }),
         ...(votingOpens && { votingOpens: parseDate(votingOpens) }),
@@ -227,7 +437,7 @@ exports.updatePosition = async (req, res) => {
       action: 'UPDATE_POSITION',
       entity: 'position',
       entityId: position.id,
-      payload: { name, seats, nominationOpens, nominationCloses, votingOpens, votingCloses },
+      payload: { name, seats, minSelections, votingMethod, tieBreak, winThreshold: threshold, eligibility, nominationOpens, nominationCloses, votingOpens, votingCloses },
     });
 
     res.json({
@@ -249,6 +459,7 @@ exports.deletePosition = async (req, res) => {
     const position = await prisma.position.findUnique({
       where: { id },
       include: {
+        election: true,
         _count: {
           select: {
             candidates: true,
@@ -262,6 +473,10 @@ exports.deletePosition = async (req, res) => {
       return res.status(404).json({ error: 'Position not found' });
     }
 
+    if (!isElectionEditable(position.election)) {
+      return res.status(400).json({ error: `Positions of a ${position.election.status} election cannot be deleted` });
+    }
+
     // Prevent deletion if there are candidates or votes
     if (position._count.candidates > 0) {
       return res.status(400).json({ error: 'Cannot delete position with existing candidates' });
@@ -299,12 +514,20 @@ exports.getOpenPositions = async (req, res) => {
     // Get current time - this will be in the server's local timezone
     // Since positions are stored by parsing datetime-local as local time,
     // we compare using local time (which Prisma/MySQL will handle correctly)
+    const election = await resolveElection(req);
+
+    // Nominations are only taken while the election is in its nomination phase
+    if (!election || election.status !== 'NOMINATIONS') {
+      return res.json([]);
+    }
+
     const now = new Date();
     console.log('Backend getOpenPositions - now (local):', now.toString());
     console.log('Backend getOpenPositions - now (UTC):', now.toISOString());
     
     // First, get ALL positions to debug
     const allPositions = await prisma.position.findMany({
+      where: { electionId: election.id },
       orderBy: {
         nominationCloses: 'asc',
       },
@@ -333,6 +556,8 @@ exports.getOpenPositions = async (req, res) => {
     // This ensures database-level filtering with consistent timezone handling
     const openPositions = await prisma.position.findMany({
       where: {
+        electionId: election.id,
+        questionType: 'CANDIDATE', // Referendums take no nominations
         nominationOpens: {
           lte: now, // Nomination has opened (now >= nominationOpens)
         },
@@ -370,12 +595,17 @@ exports.extendTime = async (req, res) => {
     // Check if position exists
     const position = await prisma.position.findUnique({
       where: { id },
+      include: { election: true },
     });
 
     if (!position) {
       return res.status(404).json({ error: 'Position not found' });
     }
 
+    if (!isElectionEditable(position.election)) {
+      return res.status(400).json({ error: `Time windows of a ${position.election.status} election cannot be extended` });
+    }
+
     // Validate extension values
     if (extendNominationHours === undefined && extendVotingHours === undefined) {
       return res.status(400).json({ error: 'At least one extension value is required (extendNominationHours or extendVotingHours)' });
@@ -446,3 +676,402 @@ exports.extendTime = async (req, res) => {
   }
 };
 
+
+// Load a position with everything needed to tally it and find a tie for its last seat
+const loadPositionTie = async (id) => {
+  const position = await prisma.position.findUnique({
+    where: { id },
+    include: {
+      election: true,
+      candidates: {
+        where: { status: 'APPROVED' },
+        include: { _count: { select: { votes: true } } },
+      },
+      tieResolutions: true,
+    },
+  });
+
+  if (!position) {
+    return { position: null, tie: null };
+  }
+
+  const { tie } = await tallyPosition(position);
+  return { position, tie };
+};
+
+// Resolve a tie for the last seat, or an unbroken tie in a ranked count, with the
+// position's tie-break rule (Admin only)
+// LOT: lots drawn from a seed the server generates once the tie is known
+// MANUAL: `winnerIds` from the tied candidates and a `note` explaining the decision
+// RUNOFF: `runoffPositionId` of the position the tied candidates contest again
+exports.resolveTie = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { seed, winnerIds, note, runoffPositionId } = req.body;
+
+    // A seed picked after the tied candidates are known could be tried until it favours one of them
+    if (seed !== undefined) {
+      return res.status(400).json({ error: 'Lot draw seeds are generated by the server and cannot be supplied' });
+    }
+
+    const { position, tie } = await loadPositionTie(id);
+
+    if (!position) {
+      return res.status(404).json({ error: 'Position not found' });
+    }
+
+    if (['CERTIFIED', 'ARCHIVED'].includes(position.election.status)) {
+      return res.status(400).json({ error: `Ties of a ${position.election.status} election cannot be resolved` });
+    }
+
+    // The count is only final once voting on the position has closed
+    if (position.votingCloses > new Date() && position.election.status === 'VOTING') {
+      return res.status(400).json({ error: 'Ties can only be resolved after voting on the position closes' });
+    }
+
+    if (!tie) {
+      return res.status(400).json({ error: 'There is no tie to resolve for this position' });
+    }
+
+    if (tie.status !== 'UNRESOLVED') {
+      return res.status(409).json({ error: 'This tie has already been resolved', tie });
+    }
+
+    const tiedIds = tie.candidates.map((candidate) => candidate.candidateId);
+    const resolution = {
+      round: tie.round,
+      method: position.tieBreak,
+      tiedCandidateIds: tiedIds,
+      tiedVotes: tie.votes,
+      seatsContested: tie.seatsContested,
+      decidedBy: req.user.id,
+      note: note || null,
+    };
+    let auditPayload = {};
+
+    if (position.tieBreak === 'LOT') {
+      const drawSeed = crypto.randomBytes(32).toString('hex');
+      const draw = drawLots(drawSeed, tiedIds, tie.seatsContested);
+      resolution.seed = drawSeed;
+      resolution.winnerIds = draw.winnerIds;
+      // Everything needed to repeat the draw goes into the audit chain
+      auditPayload = { seed: drawSeed, draw: draw.order };
+    } else if (position.tieBreak === 'MANUAL') {
+      if (!Array.isArray(winnerIds) || winnerIds.length !== tie.seatsContested) {
+        return res.status(400).json({ error: `winnerIds must list exactly ${tie.seatsContested} of the tied candidates` });
+      }
+      if (new Set(winnerIds).size !== winnerIds.length || !winnerIds.every((winnerId) => tiedIds.includes(winnerId))) {
+        return res.status(400).json({ error: 'winnerIds must be distinct candidates from the tie', tied: tie.candidates });
+      }
+      if (!note || !String(note).trim()) {
+        return res.status(400).json({ error: 'A note explaining the decision is required' });
+      }
+      resolution.winnerIds = winnerIds;
+    } else {
+      if (!runoffPositionId || runoffPositionId === position.id) {
+        return res.status(400).json({ error: 'runoffPositionId is required' });
+      }
+      const runoff = await prisma.position.findUnique({ where: { id: runoffPositionId } });
+      if (!runoff || runoff.electionId !== position.electionId) {
+        return res.status(400).json({ error: 'The runoff position must belong to the same election' });
+      }
+      resolution.runoffPositionId = runoffPositionId;
+      resolution.winnerIds = [];
+    }
+
+    let saved;
+    try {
+      saved = await auditedTransaction(async (tx) => {
+        // A stale resolution (for a tie that changed) is replaced
+        await tx.tieResolution.deleteMany({ where: { positionId: position.id, round: tie.round } });
+        const created = await tx.tieResolution.create({ data: { positionId: position.id, ...resolution } });
+
+        await logAudit({
+          actorType: 'admin',
+          actorId: req.user.id,
+          action: `RESOLVE_TIE_${position.tieBreak}`,
+          entity: 'position',
+          entityId: position.id,
+          payload: {
+            positionName: position.name,
+            round: tie.round,
+            kind: tie.kind,
+            tied: tie.candidates,
+            tiedVotes: tie.votes,
+            seatsContested: tie.seatsContested,
+            winnerIds: resolution.winnerIds,
+            runoffPositionId: resolution.runoffPositionId || null,
+            note: resolution.note,
+            ...auditPayload,
+          },
+        }, { tx });
+
+        return created;
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: 'This tie is already being resolved' });
+      }
+      throw error;
+    }
+
+    const { tie: resolvedTie } = await loadPositionTie(id);
+
+    res.json({
+      message: position.tieBreak === 'RUNOFF' ? 'Tie referred to a runoff' : 'Tie resolved',
+      resolution: saved,
+      tie: resolvedTie,
+    });
+  } catch (error) {
+    console.error('Resolve tie error:', error);
+    res.status(500).json({ error: 'Failed to resolve tie' });
+  }
+};
+
+// Remove a tie resolution so it can be decided again (Admin only, not after certification)
+// ?round= picks the round of a ranked count; the latest resolution by default
+exports.clearTieResolution = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const round = req.query.round !== undefined ? parseInt(req.query.round, 10) : null;
+
+    if (round !== null && (!Number.isInteger(round) || round < 0)) {
+      return res.status(400).json({ error: 'round must be a whole number of 0 or more' });
+    }
+
+    const resolution = await prisma.tieResolution.findFirst({
+      where: { positionId: id, ...(round !== null && { round }) },
+      include: { position: { include: { election: true } } },
+      orderBy: { round: 'desc' },
+    });
+
+    if (!resolution) {
+      return res.status(404).json({ error: 'This position has no tie resolution' });
+    }
+
+    if (['CERTIFIED', 'ARCHIVED'].includes(resolution.position.election.status)) {
+      return res.status(400).json({ error: `Ties of a ${resolution.position.election.status} election cannot be reopened` });
+    }
+
+    // A lot draw is final - repeating it until a preferred outcome comes up defeats the point
+    if (resolution.method === 'LOT') {
+      return res.status(400).json({ error: 'Lot draws cannot be undone' });
+    }
+
+    await auditedTransaction(async (tx) => {
+      await tx.tieResolution.delete({ where: { id: resolution.id } });
+
+      await logAudit({
+        actorType: 'admin',
+        actorId: req.user.id,
+        action: 'CLEAR_TIE_RESOLUTION',
+        entity: 'position',
+        entityId: id,
+        payload: {
+          positionName: resolution.position.name,
+          round: resolution.round,
+          method: resolution.method,
+          winnerIds: resolution.winnerIds,
+          runoffPositionId: resolution.runoffPositionId,
+        },
+      }, { tx });
+    });
+
+    res.json({ message: 'Tie resolution removed' });
+  } catch (error) {
+    console.error('Clear tie resolution error:', error);
+    res.status(500).json({ error: 'Failed to remove tie resolution' });
+  }
+};
+
+// Create a runoff for a position whose tie goes to a runoff or whose winners fell below its threshold (Admin only)
+// Body: votingOpens, votingCloses, and optionally `candidates` (how many go through on a
+// threshold runoff, default one more than the open seats) and `name`
+exports.createRunoff = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { votingOpens, votingCloses, candidates: candidateCount, name } = req.body;
+
+    const position = await prisma.position.findUnique({
+      where: { id },
+      include: {
+        election: { include: { certification: true } },
+        runoffs: { select: { id: true, name: true } },
+      },
+    });
+
+    if (!position) {
+      return res.status(404).json({ error: 'Position not found' });
+    }
+
+    if (['CERTIFIED', 'ARCHIVED'].includes(position.election.status)) {
+      return res.status(400).json({ error: `Runoffs cannot be added to a ${position.election.status} election` });
+    }
+
+    if (position.election.certification) {
+      return res.status(409).json({
+        error: 'Results of this election are awaiting certification',
+        hint: 'Withdraw the pending certification before holding a runoff',
+      });
+    }
+
+    // The count is only final once voting on the position has closed
+    if (position.votingCloses > new Date()) {
+      return res.status(400).json({ error: 'A runoff can only be created after voting on the position closes' });
+    }
+
+    if (position.runoffs.length > 0) {
+      return res.status(409).json({ error: 'This position already has a runoff', runoffs: position.runoffs });
+    }
+
+    if (!votingOpens || !votingCloses) {
+      return res.status(400).json({ error: 'votingOpens and votingCloses are required' });
+    }
+
+    const voteOpen = parseDate(votingOpens);
+    const voteClose = parseDate(votingCloses);
+
+    if (isNaN(voteOpen.getTime()) || isNaN(voteClose.getTime())) {
+      return res.status(400).json({ error: 'Invalid voting dates' });
+    }
+
+    if (voteClose <= voteOpen) {
+      return res.status(400).json({ error: 'Voting close date must be after open date' });
+    }
+
+    if (voteOpen < position.votingCloses) {
+      return res.status(400).json({ error: 'The runoff must open after voting on the original position closed' });
+    }
+
+    const [result] = (await buildResults(position.election, [position.id])).positions;
+
+    if (!result.runoffReason) {
+      return res.status(400).json({
+        error: 'This position does not need a runoff',
+        hint: 'Runoffs decide ties under the RUNOFF tie-break rule and winners below the position\'s winning threshold',
+      });
+    }
+
+    // A tie sends the tied candidates through for the tied seats; a missed
+    // threshold sends the top candidates through for the seats left unfilled
+    let seats;
+    let contenders;
+    if (result.runoffReason === 'TIE') {
+      const tiedIds = result.tie.candidates.map((candidate) => candidate.candidateId);
+      seats = result.tie.seatsContested;
+      contenders = result.candidates.filter((candidate) => tiedIds.includes(candidate.candidateId));
+    } else {
+      const unelected = result.candidates.filter((candidate) => !candidate.isWinner);
+      seats = result.seats - (result.candidates.length - unelected.length);
+      const count = candidateCount !== undefined ? parseInt(candidateCount) : seats + 1;
+      if (isNaN(count) || count <= seats) {
+        return res.status(400).json({ error: `candidates must be more than the ${seats} seat(s) left to fill` });
+      }
+      contenders = selectRunoffCandidates(unelected, count);
+    }
+
+    if (contenders.length <= seats) {
+      return res.status(400).json({ error: 'Not enough candidates to hold a runoff' });
+    }
+
+    const reopen = position.election.status === 'CLOSED';
+    const contenderIds = contenders.map((candidate) => candidate.candidateId);
+    const originals = await prisma.candidate.findMany({ where: { id: { in: contenderIds } } });
+
+    const runoff = await auditedTransaction(async (tx) => {
+      const created = await tx.position.create({
+        data: {
+          electionId: position.electionId,
+          runoffOfId: position.id,
+          name: name || `${position.name} (Runoff)`,
+          description: position.description,
+          seats,
+          minSelections: 1,
+          votingMethod: 'PLURALITY',
+          tieBreak: position.tieBreak,
+          // Only the original constituency votes again
+          eligibility: position.eligibility || Prisma.DbNull,
+          // Nobody is nominated to a runoff - its nomination window collapses onto the start of voting
+          nominationOpens: voteOpen,
+          nominationCloses: voteOpen,
+          votingOpens: voteOpen,
+          votingCloses: voteClose,
+          candidates: {
+            create: originals.map((candidate) => ({
+              userId: candidate.userId,
+              name: candidate.name,
+              program: candidate.program,
+              manifestoUrl: candidate.manifestoUrl,
+              photoUrl: candidate.photoUrl,
+              status: 'APPROVED',
+            })),
+          },
+        },
+        include: { candidates: true },
+      });
+
+      // The tie now stands referred to the runoff
+      if (result.runoffReason === 'TIE') {
+        await tx.tieResolution.deleteMany({ where: { positionId: position.id, round: result.tie.round } });
+        await tx.tieResolution.create({
+          data: {
+            positionId: position.id,
+            round: result.tie.round,
+            method: 'RUNOFF',
+            tiedCandidateIds: contenderIds,
+            tiedVotes: result.tie.votes,
+            seatsContested: seats,
+            winnerIds: [],
+            runoffPositionId: created.id,
+            decidedBy: req.user.id,
+          },
+        });
+      }
+
+      await logAudit({
+        actorType: 'admin',
+        actorId: req.user.id,
+        action: 'CREATE_RUNOFF',
+        entity: 'position',
+        entityId: created.id,
+        payload: {
+          runoffOf: position.id,
+          positionName: position.name,
+          reason: result.runoffReason,
+          winThreshold: result.winThreshold,
+          seats,
+          candidates: contenders.map((candidate) => ({ candidateId: candidate.candidateId, name: candidate.name, votes: candidate.votes })),
+          votingOpens,
+          votingCloses,
+        },
+      }, { tx });
+
+      // A closed election reopens for the runoff
+      if (reopen) {
+        await tx.election.update({
+          where: { id: position.electionId },
+          data: { status: 'VOTING' },
+        });
+        await logAudit({
+          actorType: 'admin',
+          actorId: req.user.id,
+          action: 'UPDATE_ELECTION_STATUS',
+          entity: 'election',
+          entityId: position.electionId,
+          payload: { name: position.election.name, from: 'CLOSED', to: 'VOTING', reason: `Runoff for ${position.name}` },
+        }, { tx });
+      }
+
+      return created;
+    });
+
+    res.status(201).json({
+      message: reopen ? 'Runoff created - the election is open for voting again' : 'Runoff created',
+      reason: result.runoffReason,
+      position: runoff,
+    });
+  } catch (error) {
+    console.error('Create runoff error:', error);
+    res.status(500).json({ error: 'Failed to create runoff' });
+  }
+};
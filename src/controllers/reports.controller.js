@@ -1,8 +1,227 @@
 const { prisma } = require('../config/prisma');
 const PDFDocument = require('pdfkit');
 const { loadCandidatePhoto } = require('../utils/pdfHelpers');
+const { resolveElection } = require('../utils/electionContext');
+const { buildResults, getCertifiedResults, describeCertification } = require('../utils/results');
+const { verifyAuditChain, getAuditChainHead, stableStringify } = require('../utils/auditLogger');
+const { isVoterEligible, describeConstituency } = require('../utils/eligibility');
+const { getCounters, subscribe } = require('../utils/liveStats');
+const { getMinGroupSize, suppressSmallGroups, bucketByHour } = require('../utils/turnoutStats');
+const { getTurnoutRoll } = require('../utils/rollSnapshots');
+const { issueStreamTicket } = require('../utils/streamTickets');
 const path = require('path');
 
+/**
+ * Turnout per constituency
+ * Each distinct set of eligibility rules is one constituency; its turnout is
+ * measured against its own slice of the roll rather than the whole election.
+ * Open positions (no rules) are covered by the election-wide figures.
+ * @param {String} electionId
+ * @param {Object} roll - From getTurnoutRoll (the frozen roll once frozen)
+ */
+const getConstituencyTurnout = async (electionId, roll) => {
+  const positions = await prisma.position.findMany({
+    where: { electionId },
+    select: { id: true, name: true, eligibility: true },
+    orderBy: { name: 'asc' },
+  });
+
+  const constituencies = new Map();
+  positions
+    .filter((position) => Array.isArray(position.eligibility) && position.eligibility.length > 0)
+    .forEach((position) => {
+      const key = JSON.stringify(position.eligibility);
+      if (!constituencies.has(key)) {
+        constituencies.set(key, { rules: position.eligibility, positions: [] });
+      }
+      constituencies.get(key).positions.push(position.name);
+    });
+
+  if (constituencies.size === 0) {
+    return [];
+  }
+
+  const minGroupSize = getMinGroupSize();
+
+  return [...constituencies.values()].map(({ rules, positions: positionNames }) => {
+    const slice = roll.voters.filter((voter) => isVoterEligible({ eligibility: rules }, voter));
+    const votesCast = slice.filter((voter) => roll.votedIds.has(voter.id)).length;
+    // Too small to report without exposing individual voters
+    const suppressed = slice.length < minGroupSize;
+    return {
+      constituency: describeConstituency(rules),
+      rules,
+      positions: positionNames,
+      totalVoters: slice.length,
+      votesCast: suppressed ? null : votesCast,
+      turnout: suppressed ? null : (slice.length > 0 ? parseFloat(((votesCast / slice.length) * 100).toFixed(2)) : 0),
+      suppressed,
+    };
+  });
+};
+
+/**
+ * Turnout per program (small programs pooled, see utils/turnoutStats.js) and
+ * an hourly series of OTPs verified and ballots consumed
+ * @param {String} electionId
+ * @param {Object} roll - From getTurnoutRoll
+ */
+const getTurnoutBreakdown = async (electionId, roll) => {
+  const [consumed, verified] = await Promise.all([
+    prisma.ballot.findMany({
+      where: { electionId, status: 'CONSUMED', consumedAt: { not: null } },
+      select: { consumedAt: true },
+    }),
+    prisma.verification.findMany({
+      where: { verifiedAt: { not: null }, voter: { electionId } },
+      select: { verifiedAt: true },
+    }),
+  ]);
+
+  const programs = new Map();
+  roll.voters.forEach((voter) => {
+    const group = voter.program || 'Unspecified';
+    if (!programs.has(group)) {
+      programs.set(group, { group, totalVoters: 0, votesCast: 0 });
+    }
+    programs.get(group).totalVoters++;
+    if (roll.votedIds.has(voter.id)) {
+      programs.get(group).votesCast++;
+    }
+  });
+  const minGroupSize = getMinGroupSize();
+
+  return {
+    minGroupSize,
+    byProgram: suppressSmallGroups([...programs.values()], minGroupSize),
+    hourly: bucketByHour({
+      otpsVerified: verified.map((verification) => verification.verifiedAt),
+      ballotsConsumed: consumed.map((ballot) => ballot.consumedAt),
+    }),
+  };
+};
+
+// Result label for a candidate in the exports, spelling out ties for the last seat
+const describeOutcome = (candidate, tie) => {
+  const tied = tie && tie.candidates.some((entry) => entry.candidateId === candidate.candidateId);
+  if (candidate.isWinner) {
+    return tied && tie.resolution ? `WINNER (tie resolved by ${tie.resolution.method})` : 'WINNER';
+  }
+  if (candidate.belowThreshold) {
+    return 'BELOW THRESHOLD';
+  }
+  return tied ? `TIED - ${tie.status}` : '';
+};
+
+// One-line summary of a tie for the results PDF
+const describeTie = (tie) => {
+  const names = tie.candidates.map((candidate) => candidate.name).join(', ');
+  const subject = {
+    ELIMINATION: `Elimination tie in round ${tie.round}`,
+    ELECTION: `Tie for the last ${tie.seatsContested > 1 ? `${tie.seatsContested} seats` : 'seat'} in round ${tie.round}`,
+  }[tie.kind] || `Tie for the last ${tie.seatsContested > 1 ? `${tie.seatsContested} seats` : 'seat'}`;
+  let line = `${subject}: ${names} (${tie.votes} votes each) - ${tie.status}`;
+  if (tie.resolution?.seed) {
+    line += `, lots drawn with seed ${tie.resolution.seed}`;
+  }
+  if (tie.resolution?.note) {
+    line += `. ${tie.resolution.note}`;
+  }
+  return line;
+};
+
+// One-line summary of how a position links to its runoffs (null if it doesn't)
+const describeRunoff = (position) => {
+  const runoffs = position.runoffs || [];
+  if (position.runoffOf) {
+    return `Runoff of ${position.runoffOf.positionName}`;
+  }
+  if (runoffs.length > 0) {
+    return `Decided by runoff: ${runoffs.map((runoff) => runoff.positionName).join(', ')}`;
+  }
+  if (position.runoffReason === 'THRESHOLD') {
+    return `Runoff needed - no winner above the ${position.winThreshold}% threshold`;
+  }
+  if (position.runoffReason === 'TIE') {
+    return 'Runoff needed to break the tie';
+  }
+  return null;
+};
+
+// Write a referendum question's YES/NO/ABSTAIN totals into a results PDF
+const renderReferendum = (doc, position, referendum) => {
+  if (position.description) {
+    doc.fillColor('#000000')
+      .fontSize(11)
+      .font('Helvetica-Oblique')
+      .text(position.description, 50, doc.y, { width: doc.page.width - 100 });
+    doc.y += 15;
+  }
+
+  doc.fillColor('#000000')
+    .fontSize(12)
+    .font('Helvetica');
+  doc.text(`Yes: ${referendum.yes}`, 50, doc.y);
+  doc.text(`No: ${referendum.no}`, 50, doc.y);
+  doc.text(`Abstain: ${referendum.abstain}`, 50, doc.y);
+  doc.text(`Yes share (excluding abstentions): ${referendum.yesPercentage}%`, 50, doc.y);
+
+  doc.y += 10;
+  doc.font('Helvetica-Bold')
+    .text(referendum.passed ? 'RESULT: PASSED' : 'RESULT: NOT PASSED', 50, doc.y);
+  doc.y += 30;
+};
+
+// Write an IRV/STV count sheet (one block per round) into a results PDF
+const renderCountSheet = (doc, count) => {
+  const ensureSpace = (height) => {
+    if (doc.y + height > doc.page.height - 60) {
+      doc.addPage();
+      doc.y = 50;
+    }
+  };
+
+  ensureSpace(60);
+  doc.fillColor('#000000')
+    .fontSize(12)
+    .font('Helvetica-Bold')
+    .text(`Count Sheet (${count.method})`, 50, doc.y);
+
+  doc.y += 5;
+  doc.fontSize(10)
+    .font('Helvetica')
+    .text(
+      `Valid ballots: ${count.ballots}` + (count.quota !== null ? `   Quota: ${count.quota}` : ''),
+      50,
+      doc.y
+    );
+  doc.y += 10;
+
+  count.rounds.forEach((round) => {
+    ensureSpace(30 + round.totals.length * 14);
+
+    doc.fontSize(10)
+      .font('Helvetica-Bold')
+      .text(`Round ${round.round}`, 50, doc.y);
+    doc.y += 2;
+
+    round.totals.forEach((entry) => {
+      doc.font('Helvetica').text(`${entry.name}: ${entry.votes}`, 70, doc.y);
+    });
+    doc.text(`Exhausted: ${round.exhausted}`, 70, doc.y);
+
+    if (round.elected.length > 0) {
+      doc.font('Helvetica-Bold').text(`Elected: ${round.elected.join(', ')}`, 70, doc.y);
+    }
+    if (round.eliminated.length > 0) {
+      doc.font('Helvetica').text(`Eliminated: ${round.eliminated.join(', ')}`, 70, doc.y);
+    }
+    doc.y += 8;
+  });
+
+  doc.y += 10;
+};
+
 // Get audit log
 exports.getAuditLog = async (req, res) => {
   try {
@@ -23,7 +242,7 @@ exports.getAuditLog = async (req, res) => {
         skip,
         take: parseInt(limit),
         orderBy: {
-          createdAt: 'desc',
+          sequence: 'desc',
         },
       }),
       prisma.auditLog.count({ where }),
@@ -44,22 +263,110 @@ exports.getAuditLog = async (req, res) => {
   }
 };
 
-// Get turnout report with detailed breakdown
+// Verify the audit log hash chain and report the first broken link
+exports.verifyAuditLog = async (req, res) => {
+  try {
+    const result = await verifyAuditChain();
+
+    res.json({
+      ...result,
+      message: result.valid
+        ? `Audit chain intact (${result.checked} entries checked)`
+        : `Audit chain broken at sequence ${result.brokenAt.sequence ?? result.brokenAt.expectedSequence}: ${result.brokenAt.reason}`,
+    });
+  } catch (error) {
+    console.error('Verify audit log error:', error);
+    res.status(500).json({ error: 'Failed to verify audit log' });
+  }
+};
+
+// Get turnout report with detailed breakdown (scoped to an election)
 exports.getTurnout = async (req, res) => {
   try {
-    const totalVoters = await prisma.eligibleVoter.count({
-      where: { status: 'ELIGIBLE' },
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    // Measured against the frozen roll once it is frozen
+    const roll = await getTurnoutRoll(election.id);
+    const { totalVoters, votesCast } = roll;
+
+    // Voters, not verifications - a voter verifies again for a new ballot or a runoff
+    const verifiedVoters = (await prisma.verification.groupBy({
+      by: ['voterId'],
+      where: { verifiedAt: { not: null }, voter: { electionId: election.id } },
+    })).length;
+
+    const ballotsIssued = await prisma.ballot.count({
+      where: { electionId: election.id },
+    });
+
+    // Ballots that were issued but expired unused (including ones the sweep hasn't reached yet)
+    const expiredBallotFilter = {
+      OR: [
+        { status: 'EXPIRED' },
+        { status: 'ACTIVE', expiresAt: { lt: new Date() } },
+      ],
+    };
+
+    const abandonedBallots = await prisma.ballot.count({
+      where: { electionId: election.id, ...expiredBallotFilter },
+    });
+
+    // Voters who let a ballot expire and never came back to vote
+    const votersAbandoned = await prisma.eligibleVoter.count({
+      where: {
+        electionId: election.id,
+        AND: [
+          { ballots: { some: expiredBallotFilter } },
+          { ballots: { none: { status: 'CONSUMED' } } },
+        ],
+      },
     });
 
-    const verifiedVoters = await prisma.verification.count({
-      where: { verifiedAt: { not: null } },
+    // OTP brute-force protection: lockouts and cancelled codes
+    const [lockouts, votersLockedNow, invalidatedOtps] = await Promise.all([
+      prisma.eligibleVoter.aggregate({
+        where: { electionId: election.id, lockoutCount: { gt: 0 } },
+        _sum: { lockoutCount: true },
+        _count: { _all: true },
+      }),
+      prisma.eligibleVoter.count({
+        where: { electionId: election.id, lockedUntil: { gt: new Date() } },
+      }),
+      prisma.verification.count({
+        where: { invalidatedAt: { not: null }, voter: { electionId: election.id } },
+      }),
+    ]);
+
+    // OTP delivery per channel (method is the channel actually used)
+    const deliveries = await prisma.verification.groupBy({
+      by: ['requestedChannel', 'method', 'deliveryStatus'],
+      where: { voter: { electionId: election.id } },
+      _count: { _all: true },
     });
 
-    const votesCast = await prisma.ballot.count({
-      where: { status: 'CONSUMED' },
+    const otpDelivery = { channels: {}, fallbacks: 0 };
+    deliveries.forEach((group) => {
+      const channel = otpDelivery.channels[group.method] ||
+        (otpDelivery.channels[group.method] = { requested: 0, sent: 0, failed: 0, pending: 0, unknown: 0 });
+      const status = (group.deliveryStatus || 'UNKNOWN').toLowerCase();
+      channel[status] = (channel[status] || 0) + group._count._all;
+      if (group.requestedChannel && group.requestedChannel !== group.method) {
+        otpDelivery.fallbacks += group._count._all;
+      }
+    });
+    deliveries.forEach((group) => {
+      const requested = group.requestedChannel || group.method;
+      const channel = otpDelivery.channels[requested] ||
+        (otpDelivery.channels[requested] = { requested: 0, sent: 0, failed: 0, pending: 0, unknown: 0 });
+      channel.requested += group._count._all;
     });
 
-    const ballotsIssued = await prisma.ballot.count();
+    const constituencies = await getConstituencyTurnout(election.id, roll);
+    const { minGroupSize, byProgram, hourly } = await getTurnoutBreakdown(election.id, roll);
 
     const turnout = totalVoters > 0 ? (votesCast / totalVoters) * 100 : 0;
     const verificationRate =
@@ -71,10 +378,14 @@ exports.getTurnout = async (req, res) => {
       totalVoters > 0 ? (nonVoters / totalVoters) * 100 : 0;
 
     res.json({
+      election: { id: election.id, name: election.name, status: election.status },
+      rollVersion: roll.frozenVersion, // Frozen roll snapshot the figures are measured against (null = live roll)
       totalVoters,
       verifiedVoters,
       votesCast,
       ballotsIssued,
+      abandonedBallots,
+      votersAbandoned,
       nonVoters,
       turnout: parseFloat(turnout.toFixed(2)),
       verificationRate: parseFloat(verificationRate.toFixed(2)),
@@ -85,7 +396,19 @@ exports.getTurnout = async (req, res) => {
         notVoted: nonVoters,
         verified: verifiedVoters,
         notVerified: totalVoters - verifiedVoters,
+        abandoned: votersAbandoned,
+      },
+      otpDelivery,
+      verificationSecurity: {
+        lockoutEvents: lockouts._sum.lockoutCount || 0,
+        votersLockedOut: lockouts._count._all,
+        currentlyLocked: votersLockedNow,
+        invalidatedOtps,
       },
+      constituencies, // Restricted positions, each against its own roll
+      byProgram, // Programs under minGroupSize voters are pooled or suppressed
+      hourly, // UTC hours
+      minGroupSize,
     });
   } catch (error) {
     console.error('Get turnout error:', error);
@@ -93,97 +416,267 @@ exports.getTurnout = async (req, res) => {
   }
 };
 
-// Get results report with detailed analytics
+// Get results report with detailed analytics (scoped to an election)
 exports.getResults = async (req, res) => {
   try {
-    const positions = await prisma.position.findMany({
-      include: {
-        candidates: {
-          include: {
-            user: {
-              select: {
-                name: true,
-                email: true,
-              },
-            },
-            _count: {
-              select: {
-                votes: true,
-              },
-            },
-          },
-          where: {
-            status: 'APPROVED',
-          },
-        },
-      },
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    // Certified results are served from the frozen snapshot, never recounted
+    const certification = await getCertifiedResults(election.id);
+    if (certification) {
+      return res.json({
+        ...certification.snapshot,
+        election: { id: election.id, name: election.name, status: election.status },
+        provisional: false,
+        certification: describeCertification(certification),
+      });
+    }
+
+    res.json({ ...(await buildResults(election)), provisional: true });
+  } catch (error) {
+    console.error('Get results error:', error);
+    res.status(500).json({ error: 'Failed to fetch results report' });
+  }
+};
+
+const LIVE_THROTTLE_MS = parseInt(process.env.LIVE_STREAM_THROTTLE_MS, 10) || 1000;
+const LIVE_HEARTBEAT_SECONDS = parseInt(process.env.LIVE_STREAM_HEARTBEAT_SECONDS, 10) || 15;
+
+// What closed results depend on besides the votes: which positions have closed
+// and the tie resolutions and runoffs decided for them since
+const closedResultsKey = async (electionId, positionIds) => {
+  const [resolutions, runoffs] = await Promise.all([
+    prisma.tieResolution.findMany({
+      where: { position: { electionId } },
+      select: { id: true, positionId: true, winnerIds: true, runoffPositionId: true },
+      orderBy: { positionId: 'asc' },
+    }),
+    prisma.position.findMany({
+      where: { electionId, runoffOfId: { not: null } },
+      select: { id: true },
+      orderBy: { id: 'asc' },
+    }),
+  ]);
+  return stableStringify({
+    positionIds: [...positionIds].sort(),
+    resolutions,
+    runoffs: runoffs.map((runoff) => runoff.id),
+  });
+};
+
+const formatLiveTurnout = (election, positions, counters) => {
+  const nonVoters = counters.totalVoters - counters.votesCast;
+  return {
+    election: { id: election.id, name: election.name, status: election.status },
+    totalVoters: counters.totalVoters,
+    verifiedVoters: counters.verifiedVoters,
+    votesCast: counters.votesCast,
+    ballotsIssued: counters.ballotsIssued,
+    nonVoters,
+    turnout: counters.totalVoters > 0
+      ? parseFloat(((counters.votesCast / counters.totalVoters) * 100).toFixed(2))
+      : 0,
+    positions: positions.map((position) => ({
+      positionId: position.id,
+      positionName: position.name,
+      ballotsCast: counters.positionBallots[position.id] || 0,
+    })),
+    syncedAt: counters.syncedAt,
+    at: new Date(),
+  };
+};
+
+// Every live stream of an election shares one entry: one counters subscription,
+// one closed-results check per heartbeat and one cached results payload, however
+// many viewers are connected. electionId -> stream
+const liveStreams = new Map();
+let liveHeartbeat = null;
+
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+const broadcast = (stream, event, data) => {
+  stream.clients.forEach((res) => sendEvent(res, event, data));
+};
+
+// Results only for positions whose voting has closed - never a running tally.
+// Rebuilt and sent again when another position closes or a tie is resolved,
+// cleared or sent to a runoff
+const refreshClosedResults = async (stream) => {
+  const now = new Date();
+  const [current, positions] = await Promise.all([
+    prisma.election.findUnique({ where: { id: stream.election.id }, select: { status: true } }),
+    prisma.position.findMany({
+      where: { electionId: stream.election.id },
+      select: { id: true, name: true, votingCloses: true },
       orderBy: { name: 'asc' },
-    });
+    }),
+  ]);
+  stream.election.status = current ? current.status : stream.election.status;
+  stream.positions = positions;
+
+  const votingOver = stream.election.status !== 'VOTING';
+  const closedIds = positions
+    .filter((position) => votingOver || position.votingCloses <= now)
+    .map((position) => position.id);
 
-    // Get total votes cast for all positions
-    const totalVotesCast = await prisma.ballot.count({
-      where: { status: 'CONSUMED' },
+  if (closedIds.length === 0) {
+    return;
+  }
+
+  const key = await closedResultsKey(stream.election.id, closedIds);
+  if (!stream.results || stream.results.key !== key) {
+    stream.results = { key, payload: await buildResults(stream.election, closedIds) };
+    broadcast(stream, 'results', stream.results.payload);
+  }
+};
+
+const startLiveHeartbeat = () => {
+  if (liveHeartbeat) {
+    return;
+  }
+  liveHeartbeat = setInterval(() => {
+    liveStreams.forEach((stream) => {
+      stream.clients.forEach((res) => res.write(': ping\n\n'));
+      // Skip a beat rather than pile up checks behind a slow one
+      if (!stream.refreshing) {
+        stream.refreshing = refreshClosedResults(stream)
+          .catch((error) => console.error('Live results error:', error))
+          .finally(() => {
+            stream.refreshing = null;
+          });
+      }
     });
+  }, LIVE_HEARTBEAT_SECONDS * 1000);
+  liveHeartbeat.unref();
+};
 
-    const results = positions.map((position) => {
-      // Calculate total votes for this position
-      const positionTotalVotes = position.candidates.reduce(
-        (sum, candidate) => sum + candidate._count.votes,
-        0
-      );
-
-      // Sort candidates by votes (descending)
-      const sortedCandidates = [...position.candidates].sort(
-        (a, b) => b._count.votes - a._count.votes
-      );
-
-      // Calculate percentages and rankings
-      const candidatesWithStats = sortedCandidates.map((candidate, index) => {
-        const votePercentage =
-          positionTotalVotes > 0
-            ? ((candidate._count.votes / positionTotalVotes) * 100).toFixed(2)
-            : '0.00';
-        const overallPercentage =
-          totalVotesCast > 0
-            ? ((candidate._count.votes / totalVotesCast) * 100).toFixed(2)
-            : '0.00';
-
-        return {
-          candidateId: candidate.id,
-          name: candidate.name,
-          program: candidate.program,
-          votes: candidate._count.votes,
-          rank: index + 1,
-          votePercentage: parseFloat(votePercentage),
-          overallPercentage: parseFloat(overallPercentage),
-          isWinner: index < position.seats,
-        };
-      });
+const closeLiveStream = (stream) => {
+  clearTimeout(stream.throttle);
+  stream.unsubscribe();
+  liveStreams.delete(stream.election.id);
+  if (liveStreams.size === 0 && liveHeartbeat) {
+    clearInterval(liveHeartbeat);
+    liveHeartbeat = null;
+  }
+};
 
-      return {
-        positionId: position.id,
-        positionName: position.name,
-        seats: position.seats,
-        totalVotes: positionTotalVotes,
-        candidates: candidatesWithStats,
-        winner: candidatesWithStats[0] || null,
+// The shared stream of an election, set up by its first viewer
+const joinLiveStream = async (election) => {
+  for (;;) {
+    let stream = liveStreams.get(election.id);
+    if (!stream) {
+      stream = {
+        election: { id: election.id, name: election.name, status: election.status },
+        positions: [],
+        clients: new Set(),
+        latest: null,
+        throttle: null,
+        results: null,
+        refreshing: null,
       };
+      const created = stream;
+      liveStreams.set(election.id, created);
+
+      // Coalesce bursts of votes into at most one update per LIVE_THROTTLE_MS
+      created.unsubscribe = subscribe(election.id, (counters) => {
+        created.latest = counters;
+        if (!created.throttle) {
+          created.throttle = setTimeout(() => {
+            created.throttle = null;
+            broadcast(created, 'turnout', formatLiveTurnout(created.election, created.positions, created.latest));
+          }, LIVE_THROTTLE_MS);
+        }
+      });
+      created.ready = refreshClosedResults(created).catch((error) => {
+        closeLiveStream(created);
+        throw error;
+      });
+      startLiveHeartbeat();
+    }
+
+    await stream.ready;
+    // The last viewer may have left while this one waited
+    if (liveStreams.get(election.id) === stream) {
+      return stream;
+    }
+  }
+};
+
+// Live turnout and results stream over Server-Sent Events (Admin only)
+// Events: "turnout" whenever a ballot is issued or cast (throttled), "results"
+// for the positions whose voting has closed, each time another one closes or a
+// tie decision changes them.
+// EventSource can't send headers, so the stream is opened with a short-lived
+// ticket from POST /api/reports/live/ticket (?ticket=) rather than the session token
+exports.streamLive = async (req, res) => {
+  try {
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (req.streamTicket.electionId !== election.id) {
+      return res.status(403).json({ error: 'This stream ticket was issued for another election' });
+    }
+
+    const stream = await joinLiveStream(election);
+    const counters = await getCounters(election.id);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no', // Don't let nginx buffer the stream
     });
 
-    res.json({
-      positions: results,
-      summary: {
-        totalPositions: positions.length,
-        totalCandidates: positions.reduce(
-          (sum, p) => sum + p.candidates.length,
-          0
-        ),
-        totalVotesCast,
-      },
+    stream.clients.add(res);
+    req.on('close', () => {
+      stream.clients.delete(res);
+      if (stream.clients.size === 0 && liveStreams.get(election.id) === stream) {
+        closeLiveStream(stream);
+      }
     });
+
+    sendEvent(res, 'turnout', formatLiveTurnout(stream.election, stream.positions, counters));
+    if (stream.results) {
+      sendEvent(res, 'results', stream.results.payload);
+    }
   } catch (error) {
-    console.error('Get results error:', error);
-    res.status(500).json({ error: 'Failed to fetch results report' });
+    console.error('Live stream error:', error);
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to start live stream' });
+    }
+    res.end();
+  }
+};
+
+// Issue a ticket for opening the live stream (Admin only)
+// Valid for one connection to one election's stream, for LIVE_TICKET_SECONDS
+exports.createLiveTicket = async (req, res) => {
+  try {
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    const { ticket, expiresAt } = issueStreamTicket(req.user.id, election.id);
+
+    res.status(201).json({
+      ticket,
+      expiresAt,
+      streamUrl: `/api/reports/live?electionId=${election.id}&ticket=${ticket}`,
+    });
+  } catch (error) {
+    console.error('Create live ticket error:', error);
+    res.status(500).json({ error: 'Failed to issue stream ticket' });
   }
 };
 
@@ -192,13 +685,48 @@ exports.exportReport = async (req, res) => {
   try {
     const { type } = req.params; // e.g., 'turnout-csv', 'results-pdf', 'audit-csv'
 
+    // Turnout and results exports are per election; the audit log is global
+    const election = await resolveElection(req);
+
+    if (!election && !type.startsWith('audit')) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
     if (type.startsWith('turnout')) {
-      const totalVoters = await prisma.eligibleVoter.count({ where: { status: 'ELIGIBLE' } });
-      const votesCast = await prisma.ballot.count({ where: { status: 'CONSUMED' } });
+      const roll = await getTurnoutRoll(election.id);
+      const { totalVoters, votesCast } = roll;
       const turnoutPercent = totalVoters > 0 ? ((votesCast / totalVoters) * 100).toFixed(2) : '0.00';
-      
+      const constituencies = await getConstituencyTurnout(election.id, roll);
+      const { minGroupSize, byProgram, hourly } = await getTurnoutBreakdown(election.id, roll);
+
+      // Suppressed groups show their size but never their vote figures
+      const groupFigures = (group) => (group.votesCast === null
+        ? ['suppressed', 'suppressed']
+        : [group.votesCast, `${group.turnout.toFixed(2)}%`]);
+      const quoted = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
       if (type.endsWith('csv')) {
-        const csv = `Total Voters,Votes Cast,Turnout %\n${totalVoters},${votesCast},${turnoutPercent}%`;
+        let csv = `Election,Total Voters,Votes Cast,Turnout %\n${quoted(election.name)},${totalVoters},${votesCast},${turnoutPercent}%\n`;
+
+        csv += `\nProgram,Eligible Voters,Votes Cast,Turnout %\n`;
+        byProgram.forEach((group) => {
+          csv += `${[quoted(group.group), group.totalVoters, ...groupFigures(group)].join(',')}\n`;
+        });
+
+        if (constituencies.length > 0) {
+          csv += `\nConstituency,Positions,Eligible Voters,Votes Cast,Turnout %\n`;
+          constituencies.forEach((group) => {
+            csv += `${[quoted(group.constituency), quoted(group.positions.join('; ')), group.totalVoters, ...groupFigures(group)].join(',')}\n`;
+          });
+        }
+
+        csv += `\nHour (UTC),OTPs Verified,Ballots Consumed\n`;
+        hourly.forEach((row) => {
+          csv += `${row.hour},${row.otpsVerified},${row.ballotsConsumed}\n`;
+        });
+
+        csv += `\n"Groups with fewer than ${minGroupSize} eligible voters are pooled or suppressed"\n`;
+
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', 'attachment; filename=turnout-report.csv');
         return res.send(csv);
@@ -212,6 +740,7 @@ exports.exportReport = async (req, res) => {
         // Header
         doc.fontSize(20).text('Election Turnout Report', { align: 'center' });
         doc.moveDown();
+        doc.fontSize(14).text(election.name, { align: 'center' });
         doc.fontSize(12).text(`Generated: ${new Date().toLocaleString()}`, { align: 'center' });
         doc.moveDown(2);
 
@@ -223,37 +752,75 @@ exports.exportReport = async (req, res) => {
         doc.text(`Votes Cast: ${votesCast}`, { indent: 20 });
         doc.text(`Turnout Percentage: ${turnoutPercent}%`, { indent: 20 });
         doc.moveDown();
+
+        const renderGroup = (label, group) => {
+          const [cast, turnout] = groupFigures(group);
+          doc.text(`${label}: ${cast} of ${group.totalVoters} voted (${turnout})`, { indent: 20 });
+        };
+
+        doc.fontSize(16).text('Turnout by Program', { underline: true });
+        doc.moveDown();
+        doc.fontSize(12);
+        byProgram.forEach((group) => renderGroup(group.group, group));
+        doc.moveDown();
+
+        if (constituencies.length > 0) {
+          doc.fontSize(16).text('Turnout by Constituency', { underline: true });
+          doc.moveDown();
+          doc.fontSize(12);
+          constituencies.forEach((group) => renderGroup(`${group.constituency} (${group.positions.join(', ')})`, group));
+          doc.moveDown();
+        }
+
+        if (hourly.length > 0) {
+          doc.fontSize(16).text('Hourly Activity (UTC)', { underline: true });
+          doc.moveDown();
+          doc.fontSize(12);
+          hourly.forEach((row) => {
+            doc.text(
+              `${row.hour.substring(0, 13).replace('T', ' ')}:00  OTPs verified: ${row.otpsVerified}  Ballots consumed: ${row.ballotsConsumed}`,
+              { indent: 20 }
+            );
+          });
+          doc.moveDown();
+        }
+
+        doc.fontSize(10).text(`Groups with fewer than ${minGroupSize} eligible voters are pooled or suppressed.`, { indent: 20 });
+        doc.moveDown();
         doc.fontSize(10).text('E-Voting System - Professional Election Management Platform', { align: 'center' });
 
         doc.end();
         return;
       }
-      res.json({ totalVoters, votesCast, turnout: parseFloat(turnoutPercent) });
+      res.json({ totalVoters, votesCast, turnout: parseFloat(turnoutPercent), byProgram, constituencies, hourly, minGroupSize });
     } else if (type.startsWith('results')) {
-      // Get results data
-      const positions = await prisma.position.findMany({
-        include: {
-          candidates: {
-            include: {
-              user: {
-                select: { name: true, email: true },
-              },
-              _count: {
-                select: { votes: true },
-              },
-            },
-            where: { status: 'APPROVED' },
-          },
-        },
-        orderBy: { name: 'asc' },
-      });
+      // Certified elections export their frozen snapshot; anything else is provisional
+      const certification = await getCertifiedResults(election.id);
+      const { positions } = certification ? certification.snapshot : await buildResults(election);
+      const status = certification
+        ? `Certified ${new Date(certification.certifiedAt).toLocaleString()} - content hash ${certification.contentHash}`
+        : 'Provisional - not yet certified';
 
       if (type.endsWith('csv')) {
-        let csv = 'Position,Candidate Name,Program,Votes\n';
+        let csv = `"${status}"\n\n`;
+        csv += 'Position,Candidate Name,Program,Votes,Result\n';
         positions.forEach((position) => {
-          position.candidates.forEach((candidate) => {
-            csv += `"${position.name}","${candidate.name}","${candidate.program}",${candidate._count.votes}\n`;
+          const { positionName, candidates, referendum, abstentions, tie } = position;
+          if (referendum) {
+            const outcome = referendum.tied ? 'TIED - NOT PASSED' : (referendum.passed ? 'PASSED' : 'NOT PASSED');
+            csv += `"${positionName}","YES","",${referendum.yes},"${outcome}"\n`;
+            csv += `"${positionName}","NO","",${referendum.no},""\n`;
+            csv += `"${positionName}","ABSTAIN","",${referendum.abstain},""\n`;
+            return;
+          }
+          candidates.forEach((candidate) => {
+            csv += `"${positionName}","${candidate.name}","${candidate.program}",${candidate.votes},"${describeOutcome(candidate, tie)}"\n`;
           });
+          const runoffLine = describeRunoff(position);
+          if (runoffLine) {
+            csv += `"${positionName}","${runoffLine}","",,""\n`;
+          }
+          csv += `"${positionName}","ABSTAIN","",${abstentions},""\n`;
         });
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', 'attachment; filename=results-report.csv');
@@ -274,16 +841,26 @@ exports.exportReport = async (req, res) => {
           .font('Helvetica-Bold')
           .text('Election Results Report', 50, 50, { align: 'center', width: doc.page.width - 100 });
         
+        doc.fontSize(12)
+          .font('Helvetica')
+          .fillColor('#000000')
+          .text(election.name, 50, 80, { align: 'center', width: doc.page.width - 100 });
+
         doc.fontSize(10)
           .font('Helvetica')
           .fillColor('#000000')
-          .text(`Generated: ${new Date().toLocaleString()}`, 50, 80, { align: 'center', width: doc.page.width - 100 });
+          .text(`Generated: ${new Date().toLocaleString()}`, 50, 98, { align: 'center', width: doc.page.width - 100 });
+
+        doc.fontSize(8)
+          .font('Helvetica-Bold')
+          .text(status.toUpperCase(), 50, 112, { align: 'center', width: doc.page.width - 100 });
         
-        doc.y = 110;
+        doc.y = 132;
 
         // Process each position
         for (let index = 0; index < positions.length; index++) {
           const position = positions[index];
+          const { candidates: standings, count, referendum, abstentions } = position;
           
           if (index > 0) {
             doc.addPage();
@@ -294,7 +871,7 @@ exports.exportReport = async (req, res) => {
           doc.fillColor('#000000')
             .fontSize(18)
             .font('Helvetica-Bold')
-            .text(position.name.toUpperCase(), 50, doc.y);
+            .text(position.positionName.toUpperCase(), 50, doc.y);
           
           doc.fontSize(10)
             .font('Helvetica')
@@ -303,23 +880,25 @@ exports.exportReport = async (req, res) => {
           
           doc.y += 30;
 
-          if (position.candidates.length === 0) {
+          if (referendum) {
+            renderReferendum(doc, position, referendum);
+          } else if (position.candidates.length === 0) {
             doc.fillColor('#000000')
               .fontSize(12)
               .font('Helvetica')
               .text('No candidates for this position.', 50, doc.y);
             doc.y += 30;
           } else {
-            // Sort candidates by votes
-            const sortedCandidates = [...position.candidates].sort((a, b) => b._count.votes - a._count.votes);
-            const totalVotes = sortedCandidates.reduce((sum, c) => sum + c._count.votes, 0);
+            // Candidates in finishing order (first preferences on ranked positions)
+            const totalVotes = standings.reduce((sum, entry) => sum + entry.votes, 0);
 
             // Candidate details section
             let currentY = doc.y;
 
             // Process candidates sequentially to handle async photo loading
-            for (let idx = 0; idx < sortedCandidates.length; idx++) {
-              const candidate = sortedCandidates[idx];
+            for (let idx = 0; idx < standings.length; idx++) {
+              const candidate = standings[idx];
+              const { votes } = candidate;
               
               // Check if we need a new page
               if (currentY > doc.page.height - 150) {
@@ -327,9 +906,8 @@ exports.exportReport = async (req, res) => {
                 currentY = 50;
               }
 
-              const isWinner = idx < position.seats;
               const votePercentage = totalVotes > 0 
-                ? ((candidate._count.votes / totalVotes) * 100).toFixed(2) 
+                ? ((votes / totalVotes) * 100).toFixed(2) 
                 : '0.00';
 
               // Simple candidate entry
@@ -379,19 +957,20 @@ exports.exportReport = async (req, res) => {
               doc.fillColor('#000000')
                 .fontSize(12)
                 .font('Helvetica')
-                .text(`Votes: ${candidate._count.votes}`, infoX, infoY + 48);
+                .text(`${count ? 'First Preferences' : 'Votes'}: ${votes}`, infoX, infoY + 48);
 
               doc.fillColor('#000000')
                 .fontSize(12)
                 .font('Helvetica')
                 .text(`Percentage: ${votePercentage}%`, infoX, infoY + 62);
 
-              // Winner declaration
-              if (isWinner) {
+              // Winner declaration (or the state of a tie for the last seat)
+              const outcome = describeOutcome(candidate, position.tie);
+              if (outcome) {
                 doc.fillColor('#000000')
                   .fontSize(12)
                   .font('Helvetica-Bold')
-                  .text('WINNER', infoX, infoY + 78);
+                  .text(outcome, infoX, infoY + 78);
               }
 
               currentY += photoSize + 30;
@@ -410,7 +989,7 @@ exports.exportReport = async (req, res) => {
             doc.fillColor('#000000')
               .fontSize(10)
               .font('Helvetica')
-              .text(`Total Candidates: ${sortedCandidates.length}`, 50, doc.y);
+              .text(`Total Candidates: ${standings.length}`, 50, doc.y);
             
             doc.y += 15;
             doc.fillColor('#000000')
@@ -418,13 +997,46 @@ exports.exportReport = async (req, res) => {
               .font('Helvetica')
               .text(`Total Votes Cast: ${totalVotes}`, 50, doc.y);
             
+            doc.y += 15;
+            doc.fillColor('#000000')
+              .fontSize(10)
+              .font('Helvetica')
+              .text(`Ballots Cast: ${position.ballotsCast}`, 50, doc.y);
+
+            doc.y += 15;
+            doc.fillColor('#000000')
+              .fontSize(10)
+              .font('Helvetica')
+              .text(`Abstentions: ${abstentions}`, 50, doc.y);
+
             doc.y += 15;
             doc.fillColor('#000000')
               .fontSize(10)
               .font('Helvetica')
               .text(`Seats Available: ${position.seats}`, 50, doc.y);
 
+            if (position.tie) {
+              doc.y += 15;
+              doc.fillColor('#000000')
+                .fontSize(10)
+                .font('Helvetica-Bold')
+                .text(describeTie(position.tie), 50, doc.y, { width: doc.page.width - 100 });
+            }
+
+            const runoffLine = describeRunoff(position);
+            if (runoffLine) {
+              doc.y += 15;
+              doc.fillColor('#000000')
+                .fontSize(10)
+                .font('Helvetica-Bold')
+                .text(runoffLine, 50, doc.y, { width: doc.page.width - 100 });
+            }
+
             doc.y += 30;
+
+            if (count) {
+              renderCountSheet(doc, count);
+            }
           }
         }
 
@@ -441,30 +1053,39 @@ exports.exportReport = async (req, res) => {
         doc.end();
         return;
       }
-      res.json(positions.map((p) => ({
-        positionName: p.name,
-        candidates: p.candidates.map((c) => ({
-          name: c.name,
-          votes: c._count.votes,
+      res.json(positions.map((position) => ({
+        positionName: position.positionName,
+        candidates: position.candidates.map(({ name, votes }) => ({
+          name,
+          votes,
         })),
+        count: position.count,
+        abstentions: position.abstentions,
+        referendum: position.referendum,
       })));
     } else if (type.startsWith('audit')) {
-      const logs = await prisma.auditLog.findMany({
-        take: 1000,
-        orderBy: { createdAt: 'desc' },
-      });
+      const [logs, head] = await Promise.all([
+        prisma.auditLog.findMany({
+          take: 1000,
+          orderBy: { sequence: 'desc' },
+        }),
+        getAuditChainHead(),
+      ]);
 
       if (type.endsWith('csv')) {
-        let csv = 'Date,Actor Type,Action,Entity,Details\n';
+        // Chain head first, so a later export or /audit/verify can be compared against it
+        let csv = 'Chain Head Sequence,Chain Head Hash,Exported At\n';
+        csv += `${head ? head.sequence : 0},"${head?.hash || ''}","${new Date().toISOString()}"\n\n`;
+        csv += 'Sequence,Date,Actor Type,Action,Entity,Details,Previous Hash,Hash\n';
         logs.forEach((log) => {
-          const details = log.payload ? JSON.stringify(log.payload) : '';
-          csv += `"${log.createdAt}","${log.actorType}","${log.action}","${log.entity || ''}","${details}"\n`;
+          const details = log.payload ? JSON.stringify(log.payload).replace(/"/g, '""') : '';
+          csv += `${log.sequence},"${log.createdAt}","${log.actorType}","${log.action}","${log.entity || ''}","${details}","${log.prevHash || ''}","${log.hash || ''}"\n`;
         });
         res.setHeader('Content-Type', 'text/csv');
         res.setHeader('Content-Disposition', 'attachment; filename=audit-log.csv');
         return res.send(csv);
       }
-      res.json({ logs });
+      res.json({ head, logs });
     } else {
       res.status(400).json({ error: 'Invalid export type' });
     }
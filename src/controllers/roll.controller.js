@@ -0,0 +1,207 @@
+const { prisma } = require('../config/prisma');
+const { logAudit, auditedTransaction } = require('../utils/auditLogger');
+const { takeRollSnapshot, isRollFrozen } = require('../utils/rollSnapshots');
+
+// The roll can only be frozen or unfrozen before anyone has voted
+const FREEZABLE_STATUSES = ['DRAFT', 'NOMINATIONS'];
+
+// The freeze copies the whole roll in its transaction, which can outlast Prisma's 5s default
+const FREEZE_TIMEOUT_MS = 60000;
+
+const SNAPSHOT_SUMMARY = {
+  id: true,
+  version: true,
+  reason: true,
+  importId: true,
+  voterCount: true,
+  contentHash: true,
+  createdBy: true,
+  createdAt: true,
+};
+
+// Freeze an election's voter roll (Admin only)
+// Takes a snapshot that turnout is measured against from then on
+exports.freezeRoll = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const election = await prisma.election.findUnique({ where: { id } });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (isRollFrozen(election)) {
+      return res.status(409).json({
+        error: 'The voter roll of this election is already frozen',
+        frozenAt: election.rollFrozenAt,
+        rollVersion: election.frozenRollVersion,
+      });
+    }
+
+    if (!FREEZABLE_STATUSES.includes(election.status)) {
+      return res.status(400).json({
+        error: `The roll can only be frozen before voting opens (this election is ${election.status})`,
+      });
+    }
+
+    const voterCount = await prisma.eligibleVoter.count({
+      where: { electionId: id, status: 'ELIGIBLE' },
+    });
+    if (voterCount === 0) {
+      return res.status(400).json({ error: 'An empty voter roll cannot be frozen', hint: 'Import the voter roll first' });
+    }
+
+    // Only one freeze wins if two admins freeze at once. The winner's
+    // conditional update locks the election, and its snapshot is taken in the
+    // same transaction, so a losing freeze leaves no snapshot behind.
+    const snapshot = await auditedTransaction(async (tx) => {
+      const { count } = await tx.election.updateMany({
+        where: { id, rollFrozenAt: null, status: { in: FREEZABLE_STATUSES } },
+        data: { rollFrozenAt: new Date(), rollFrozenBy: req.user.id },
+      });
+      if (count === 0) {
+        return null;
+      }
+
+      const taken = await takeRollSnapshot(id, { reason: 'FREEZE', createdBy: req.user.id }, { tx });
+      await tx.election.update({
+        where: { id },
+        data: { frozenRollVersion: taken.version },
+      });
+
+      await logAudit({
+        actorType: 'admin',
+        actorId: req.user.id,
+        action: 'FREEZE_VOTER_ROLL',
+        entity: 'election',
+        entityId: id,
+        payload: { name: election.name, rollVersion: taken.version, voterCount: taken.voterCount, contentHash: taken.contentHash },
+      }, { tx });
+      return taken;
+    }, { timeout: FREEZE_TIMEOUT_MS });
+    if (!snapshot) {
+      return res.status(409).json({ error: 'The voter roll of this election was frozen or voting opened in the meantime' });
+    }
+
+    const { voters, ...summary } = snapshot;
+    res.status(201).json({
+      message: `Voter roll frozen at version ${snapshot.version} (${snapshot.voterCount} voters)`,
+      snapshot: summary,
+    });
+  } catch (error) {
+    console.error('Freeze roll error:', error);
+    res.status(500).json({ error: 'Failed to freeze voter roll' });
+  }
+};
+
+// Unfreeze an election's voter roll so it can be changed again (Admin only)
+exports.unfreezeRoll = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: 'A reason is required to unfreeze the voter roll' });
+    }
+
+    const election = await prisma.election.findUnique({ where: { id } });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (!isRollFrozen(election)) {
+      return res.status(400).json({ error: 'The voter roll of this election is not frozen' });
+    }
+
+    // Turnout already counted against the frozen roll must stay comparable
+    const unfrozen = await auditedTransaction(async (tx) => {
+      const { count } = await tx.election.updateMany({
+        where: { id, rollFrozenAt: { not: null }, status: { in: FREEZABLE_STATUSES } },
+        data: { rollFrozenAt: null, rollFrozenBy: null, frozenRollVersion: null },
+      });
+      if (count === 0) {
+        return false;
+      }
+
+      await logAudit({
+        actorType: 'admin',
+        actorId: req.user.id,
+        action: 'UNFREEZE_VOTER_ROLL',
+        entity: 'election',
+        entityId: id,
+        payload: { name: election.name, rollVersion: election.frozenRollVersion, reason: String(reason).trim() },
+      }, { tx });
+      return true;
+    });
+    if (!unfrozen) {
+      return res.status(400).json({
+        error: `The roll cannot be unfrozen once voting has opened (this election is ${election.status})`,
+      });
+    }
+
+    res.json({ message: 'Voter roll unfrozen' });
+  } catch (error) {
+    console.error('Unfreeze roll error:', error);
+    res.status(500).json({ error: 'Failed to unfreeze voter roll' });
+  }
+};
+
+// List an election's roll snapshots, newest first (Admin/Officer)
+exports.getRollSnapshots = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const election = await prisma.election.findUnique({
+      where: { id },
+      select: { id: true, rollFrozenAt: true, rollFrozenBy: true, frozenRollVersion: true },
+    });
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    const snapshots = await prisma.rollSnapshot.findMany({
+      where: { electionId: id },
+      select: SNAPSHOT_SUMMARY,
+      orderBy: { version: 'desc' },
+    });
+
+    res.json({
+      frozen: isRollFrozen(election),
+      frozenAt: election.rollFrozenAt,
+      frozenBy: election.rollFrozenBy,
+      frozenVersion: election.frozenRollVersion,
+      snapshots,
+    });
+  } catch (error) {
+    console.error('Get roll snapshots error:', error);
+    res.status(500).json({ error: 'Failed to fetch roll snapshots' });
+  }
+};
+
+// Get one roll snapshot with its voters (Admin/Officer)
+exports.getRollSnapshot = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const version = parseInt(req.params.version, 10);
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: 'version must be a positive whole number' });
+    }
+
+    const snapshot = await prisma.rollSnapshot.findUnique({
+      where: { electionId_version: { electionId: id, version } },
+    });
+
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Roll snapshot not found' });
+    }
+
+    res.json(snapshot);
+  } catch (error) {
+    console.error('Get roll snapshot error:', error);
+    res.status(500).json({ error: 'Failed to fetch roll snapshot' });
+  }
+};
@@ -0,0 +1,125 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const { runScheduler } = require('../jobs/scheduler');
+
+const STATUSES = ['RUNNING', 'SUCCEEDED', 'FAILED'];
+
+// Scheduler event history (Admin only)
+exports.getEvents = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, electionId, status, type } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = {};
+    if (electionId) {
+      where.electionId = electionId;
+    }
+    if (status) {
+      if (!STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Invalid status. Must be one of ${STATUSES.join(', ')}` });
+      }
+      where.status = status;
+    }
+    if (type) {
+      where.type = type;
+    }
+
+    const [events, total] = await Promise.all([
+      prisma.schedulerEvent.findMany({
+        where,
+        include: {
+          election: {
+            select: { id: true, name: true, status: true },
+          },
+        },
+        skip,
+        take: parseInt(limit),
+        orderBy: {
+          startedAt: 'desc',
+        },
+      }),
+      prisma.schedulerEvent.count({ where }),
+    ]);
+
+    res.json({
+      events,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get scheduler events error:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduler events' });
+  }
+};
+
+// Run a scheduler tick now instead of waiting for the next one (Admin only)
+exports.runNow = async (req, res) => {
+  try {
+    const eventsRun = await runScheduler();
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'RUN_SCHEDULER',
+      entity: 'scheduler',
+      payload: { eventsRun },
+    });
+
+    res.json({
+      message: eventsRun > 0 ? `Scheduler ran ${eventsRun} event(s)` : 'Nothing was due',
+      eventsRun,
+    });
+  } catch (error) {
+    console.error('Run scheduler error:', error);
+    res.status(500).json({ error: 'Failed to run scheduler' });
+  }
+};
+
+// Give a failed event a fresh set of attempts and run the scheduler (Admin only)
+exports.retryEvent = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const event = await prisma.schedulerEvent.findUnique({ where: { id } });
+
+    if (!event) {
+      return res.status(404).json({ error: 'Scheduler event not found' });
+    }
+
+    if (event.status !== 'FAILED') {
+      return res.status(400).json({ error: `Only failed events can be retried (this one is ${event.status})` });
+    }
+
+    // Attempts restart at 0 so the claim on the next tick counts as the first
+    await prisma.schedulerEvent.update({
+      where: { id },
+      data: { attempts: 0 },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'RETRY_SCHEDULER_EVENT',
+      entity: 'scheduler_event',
+      entityId: id,
+      payload: { type: event.type, electionId: event.electionId, previousError: event.error },
+    });
+
+    const eventsRun = await runScheduler();
+
+    const updated = await prisma.schedulerEvent.findUnique({ where: { id } });
+
+    res.json({
+      message: updated.status === 'SUCCEEDED' ? 'Event ran successfully' : 'Event queued for retry',
+      event: updated,
+      eventsRun,
+    });
+  } catch (error) {
+    console.error('Retry scheduler event error:', error);
+    res.status(500).json({ error: 'Failed to retry scheduler event' });
+  }
+};
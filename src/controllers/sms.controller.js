@@ -0,0 +1,65 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const { getSMSProvider, formatPhoneNumber } = require('../utils/smsService');
+
+// List messages captured by the outbox SMS provider (Admin only)
+exports.getOutbox = async (req, res) => {
+  try {
+    const { page = 1, limit = 50, to } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const where = {};
+    if (to) {
+      where.to = formatPhoneNumber(String(to));
+    }
+
+    const [messages, total] = await Promise.all([
+      prisma.smsOutbox.findMany({
+        where,
+        skip,
+        take: parseInt(limit),
+        orderBy: {
+          createdAt: 'desc',
+        },
+      }),
+      prisma.smsOutbox.count({ where }),
+    ]);
+
+    res.json({
+      provider: getSMSProvider().name,
+      messages,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Get SMS outbox error:', error);
+    res.status(500).json({ error: 'Failed to fetch SMS outbox' });
+  }
+};
+
+// Clear the SMS outbox (Admin only)
+exports.clearOutbox = async (req, res) => {
+  try {
+    const { count } = await prisma.smsOutbox.deleteMany({});
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'CLEAR_SMS_OUTBOX',
+      entity: 'sms_outbox',
+      payload: { deleted: count },
+    });
+
+    res.json({
+      message: 'SMS outbox cleared',
+      deletedCount: count,
+    });
+  } catch (error) {
+    console.error('Clear SMS outbox error:', error);
+    res.status(500).json({ error: 'Failed to clear SMS outbox' });
+  }
+};
@@ -2,31 +2,114 @@ const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const { prisma } = require('../config/prisma');
 const { logAudit } = require('../utils/auditLogger');
-// Email service removed - using SMS only
-const { sendOTPSMS } = require('../utils/smsService');
+const { resolveElection } = require('../utils/electionContext');
+const { computeBallotExpiry, getClientFingerprint, getBallotTtlMinutes } = require('../utils/ballotTokens');
+const { enqueueNotification, deliverNotification } = require('../utils/notificationOutbox');
+const { recordBallotIssued } = require('../utils/liveStats');
+const { getLastVote, hasOpenRunoff } = require('../utils/runoffs');
+
+// Brute-force protection for 6-digit codes
+// OTP_MAX_ATTEMPTS wrong codes kill that OTP; OTP_LOCKOUT_THRESHOLD wrong codes in a
+// row (across OTPs) lock the voter out of verification for OTP_LOCKOUT_MINUTES
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 3;
+const OTP_LOCKOUT_THRESHOLD = parseInt(process.env.OTP_LOCKOUT_THRESHOLD, 10) || 5;
+const OTP_LOCKOUT_MINUTES = parseInt(process.env.OTP_LOCKOUT_MINUTES, 10) || 15;
+
+// 423 response for a voter whose verification is locked
+const sendLockedOut = (res, lockedUntil) => {
+  const retryAfter = Math.ceil((lockedUntil.getTime() - Date.now()) / 1000);
+  return res.status(423).json({
+    error: 'Too many incorrect codes. Verification is temporarily locked.',
+    hint: `Try again in ${Math.ceil(retryAfter / 60)} minute${retryAfter > 60 ? 's' : ''} or contact an administrator`,
+    lockedUntil,
+    retryAfter,
+  });
+};
+
+/**
+ * Count an attempt against both the OTP and the voter before the code is checked
+ * Both counters are raised conditionally in one transaction, so of many parallel
+ * guesses only as many as the limits allow get through to the comparison.
+ * @param {String} verificationId
+ * @param {String} voterId
+ * @returns {Promise<String|null>} - null when reserved, 'LOCKED' (voter limit) or 'SPENT' (OTP limit)
+ */
+const reserveAttempt = async (verificationId, voterId) => {
+  const refuse = (reason) => Object.assign(new Error(`OTP attempt refused: ${reason}`), { refused: reason });
+
+  try {
+    await prisma.$transaction(async (tx) => {
+      const now = new Date();
+      const voterReserved = await tx.eligibleVoter.updateMany({
+        where: {
+          id: voterId,
+          failedOtpAttempts: { lt: OTP_LOCKOUT_THRESHOLD },
+          OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }],
+        },
+        data: { failedOtpAttempts: { increment: 1 } },
+      });
+      if (voterReserved.count === 0) {
+        throw refuse('LOCKED');
+      }
+
+      const otpReserved = await tx.verification.updateMany({
+        where: { id: verificationId, verifiedAt: null, invalidatedAt: null, attempts: { lt: OTP_MAX_ATTEMPTS } },
+        data: { attempts: { increment: 1 } },
+      });
+      // Throwing rolls the voter's increment back too
+      if (otpReserved.count === 0) {
+        throw refuse('SPENT');
+      }
+    });
+    return null;
+  } catch (error) {
+    if (error.refused) {
+      return error.refused;
+    }
+    throw error;
+  }
+};
+
+// OTP delivery channels and the voter field each one sends to
+const OTP_CHANNELS = {
+  sms: { field: 'phone', label: 'SMS' },
+  email: { field: 'email', label: 'email' },
+};
 
 /**
  * Request OTP for voter verification
  * 
  * Flow:
  * 1. Voter enters registration number
- * 2. System finds eligible voter
+ * 2. System finds eligible voter on the current election's roll
  * 3. Generates OTP
- * 4. Sends OTP via SMS only
+ * 4. Sends OTP over the voter's preferred channel (body.channel: "sms" or "email"),
+ *    falling back to the other channel when sending fails or the contact is missing
  * 5. Stores hashed OTP in database
  * 6. Returns success
  */
 exports.requestOTP = async (req, res) => {
   try {
-    const { reg_no } = req.body;
+    const { reg_no, channel = 'sms' } = req.body;
 
     if (!reg_no) {
       return res.status(400).json({ error: 'Registration number is required' });
     }
 
+    const preferredChannel = String(channel).toLowerCase();
+    if (!OTP_CHANNELS[preferredChannel]) {
+      return res.status(400).json({ error: `Invalid channel. Must be one of ${Object.keys(OTP_CHANNELS).join(', ')}` });
+    }
+
+    const election = await resolveElection(req);
+
+    if (!election || election.status !== 'VOTING') {
+      return res.status(400).json({ error: 'Voting is not open for this election' });
+    }
+
     // Find eligible voter
     const voter = await prisma.eligibleVoter.findUnique({
-      where: { regNo: reg_no.toUpperCase() },
+      where: { electionId_regNo: { electionId: election.id, regNo: reg_no.toUpperCase() } },
     });
 
     if (!voter) {
@@ -37,15 +120,15 @@ exports.requestOTP = async (req, res) => {
       return res.status(400).json({ error: 'Voter is not eligible' });
     }
 
+    if (voter.lockedUntil && voter.lockedUntil > new Date()) {
+      return sendLockedOut(res, voter.lockedUntil);
+    }
+
     // Check if voter has already voted (prevent repeat verification)
-    const existingBallot = await prisma.ballot.findFirst({
-      where: {
-        voterId: voter.id,
-        status: 'CONSUMED',
-      },
-    });
+    // unless a runoff has opened since, which they get a second ballot for
+    const lastVote = await getLastVote(voter.id);
 
-    if (existingBallot) {
+    if (lastVote && !(await hasOpenRunoff(voter, lastVote))) {
       return res.status(400).json({ 
         error: 'You have already voted. Ballot already used.',
         hint: 'Each voter can only vote once',
@@ -83,18 +166,14 @@ exports.requestOTP = async (req, res) => {
     // Set expiration (5 minutes for security)
     const expiresAt = new Date(Date.now() + 5 * 60 * 1000);
 
-    // Validate that voter has both email and phone
-    if (!voter.email) {
-      return res.status(400).json({ 
-        error: 'Voter email not found',
-        hint: 'Contact administrator to update your email address in the CSV file',
-      });
-    }
+    // Preferred channel first, then any other channel the voter has contact details for
+    const channels = [preferredChannel, ...Object.keys(OTP_CHANNELS).filter((c) => c !== preferredChannel)]
+      .filter((c) => voter[OTP_CHANNELS[c].field]);
 
-    if (!voter.phone) {
-      return res.status(400).json({ 
-        error: 'Voter phone number not found',
-        hint: 'Contact administrator to update your phone number in the CSV file',
+    if (channels.length === 0) {
+      return res.status(400).json({
+        error: 'No phone number or email address on record',
+        hint: 'Contact administrator to update your contact details in the CSV file',
       });
     }
 
@@ -102,38 +181,29 @@ exports.requestOTP = async (req, res) => {
     const verification = await prisma.verification.create({
       data: {
         voterId: voter.id,
-        method: 'both', // Both email and SMS
+        method: channels[0],
+        requestedChannel: preferredChannel,
         otpHash,
         expiresAt,
       },
     });
 
-    // Send OTP via SMS (non-blocking - don't wait for slow API response)
-    // The SMS is being sent, but the API response is slow, so we respond immediately
-    console.log('📱 Initiating SMS send (non-blocking)...');
-    
-    // Start SMS sending in background (don't await)
-    sendOTPSMS(voter.phone, otp, voter.regNo)
-      .then(() => {
-        console.log('✅ OTP SMS sent successfully (confirmed)');
-      })
-      .catch((smsError) => {
-        console.error('⚠️ SMS sending failed (but may have been delivered):', smsError.message);
-        // Log error but don't block the response
-        logAudit({
-          actorType: 'system',
-          action: 'OTP_SMS_FAILED',
-          entity: 'verification',
-          entityId: verification.id,
-          payload: { 
-            voterId: voter.id, 
-            error: smsError.message,
-            regNo: voter.regNo,
-            note: 'SMS may have been delivered despite API timeout',
-          },
-        }).catch(err => console.error('Failed to log SMS error:', err));
-      });
-    
+    // Queue the OTP in the outbox, then try it right away in the background -
+    // SMS gateways can be slow, so respond immediately. The notification worker
+    // retries failures and moves on to the fallback channel.
+    const notification = await enqueueNotification({
+      channel: channels[0],
+      recipient: voter[OTP_CHANNELS[channels[0]].field],
+      template: 'OTP',
+      payload: { otp, regNo: voter.regNo },
+      verificationId: verification.id,
+      fallbackChannel: channels[1],
+      expiresAt,
+    });
+
+    deliverNotification(notification)
+      .catch((deliveryError) => console.error('OTP delivery error:', deliveryError));
+
     // Log audit (non-blocking)
     logAudit({
       actorType: 'system',
@@ -143,17 +213,20 @@ exports.requestOTP = async (req, res) => {
       payload: { 
         voterId: voter.id,
         regNo: voter.regNo,
-        method: 'SMS',
+        requestedChannel: preferredChannel,
+        channels,
       },
     }).catch(err => console.error('Failed to log OTP request:', err));
 
-    // Respond immediately - SMS is being sent in background
-    // Even if API times out, SMS is usually delivered
+    const primary = OTP_CHANNELS[channels[0]];
     res.json({
-      message: 'OTP is being sent to your phone',
+      message: channels[0] === 'sms' ? 'OTP is being sent to your phone' : 'OTP is being sent to your email',
       expiresIn: 300, // 5 minutes in seconds
-      hint: 'Check your SMS for the verification code. It may take a few moments to arrive.',
-      sentVia: ['SMS'],
+      hint: `Check your ${primary.label} for the verification code. It may take a few moments to arrive.` +
+        (channels.length > 1 ? ` If it fails to send, it will be sent by ${OTP_CHANNELS[channels[1]].label} instead.` : ''),
+      channel: channels[0],
+      fallbackChannel: channels[1] || null,
+      sentVia: [primary.label.toUpperCase()],
     });
   } catch (error) {
     console.error('Request OTP error:', error);
@@ -179,21 +252,36 @@ exports.confirmOTP = async (req, res) => {
       return res.status(400).json({ error: 'Registration number and OTP are required' });
     }
 
+    const election = await resolveElection(req);
+
+    if (!election || election.status !== 'VOTING') {
+      return res.status(400).json({ error: 'Voting is not open for this election' });
+    }
+
     // Find eligible voter
     const voter = await prisma.eligibleVoter.findUnique({
-      where: { regNo: reg_no.toUpperCase() },
+      where: { electionId_regNo: { electionId: election.id, regNo: reg_no.toUpperCase() } },
     });
 
     if (!voter) {
       return res.status(404).json({ error: 'Registration number not found' });
     }
 
+    if (voter.status !== 'ELIGIBLE') {
+      return res.status(400).json({ error: 'Voter is not eligible' });
+    }
+
+    if (voter.lockedUntil && voter.lockedUntil > new Date()) {
+      return sendLockedOut(res, voter.lockedUntil);
+    }
+
     // Find unverified OTP
     const verification = await prisma.verification.findFirst({
       where: {
         voterId: voter.id,
         verifiedAt: null,
         consumedAt: null,
+        invalidatedAt: null,
         expiresAt: {
           gte: new Date(), // Not expired
         },
@@ -210,52 +298,173 @@ exports.confirmOTP = async (req, res) => {
       });
     }
 
+    // Reserve the attempt before checking the code, so parallel guesses
+    // can't all read the same counters and slip past the limits
+    const refused = await reserveAttempt(verification.id, voter.id);
+    if (refused === 'LOCKED') {
+      const current = await prisma.eligibleVoter.findUnique({ where: { id: voter.id }, select: { lockedUntil: true } });
+      if (current.lockedUntil && current.lockedUntil > new Date()) {
+        return sendLockedOut(res, current.lockedUntil);
+      }
+      // Another attempt is in flight and about to lock the voter out
+      return res.status(429).json({ error: 'Too many attempts at once. Try again shortly.' });
+    }
+    if (refused === 'SPENT') {
+      return res.status(401).json({
+        error: 'Invalid OTP. This code has been cancelled after too many attempts.',
+        hint: 'Request a new OTP',
+        attemptsRemaining: 0,
+      });
+    }
+
     // Verify OTP
     const validOTP = await bcrypt.compare(otp, verification.otpHash);
     if (!validOTP) {
+      // The reserved attempt stands as a failure against both this OTP and the voter
+      const [failedVerification, failedVoter] = await Promise.all([
+        prisma.verification.findUnique({ where: { id: verification.id }, select: { attempts: true } }),
+        prisma.eligibleVoter.findUnique({ where: { id: voter.id }, select: { failedOtpAttempts: true } }),
+      ]);
+
       // Log failed attempt
       await logAudit({
         actorType: 'system',
         action: 'OTP_VERIFICATION_FAILED',
         entity: 'verification',
         entityId: verification.id,
-        payload: { voterId: voter.id, regNo: voter.regNo },
+        payload: {
+          voterId: voter.id,
+          regNo: voter.regNo,
+          attempts: failedVerification.attempts,
+          voterFailures: failedVoter.failedOtpAttempts,
+        },
       });
 
-      return res.status(401).json({ error: 'Invalid OTP' });
+      // Too many failures for this voter - lock verification and kill every open OTP
+      if (failedVoter.failedOtpAttempts >= OTP_LOCKOUT_THRESHOLD) {
+        const now = new Date();
+        const lockedUntil = new Date(now.getTime() + OTP_LOCKOUT_MINUTES * 60 * 1000);
+
+        // Of several failures reaching the threshold at once, only one applies the lock
+        const [locked] = await prisma.$transaction([
+          prisma.eligibleVoter.updateMany({
+            where: {
+              id: voter.id,
+              failedOtpAttempts: { gte: OTP_LOCKOUT_THRESHOLD },
+              OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }],
+            },
+            data: {
+              lockedUntil,
+              failedOtpAttempts: 0,
+              lockoutCount: { increment: 1 },
+            },
+          }),
+          prisma.verification.updateMany({
+            where: { voterId: voter.id, verifiedAt: null, invalidatedAt: null },
+            data: { invalidatedAt: now },
+          }),
+        ]);
+
+        if (locked.count > 0) {
+          await logAudit({
+            actorType: 'system',
+            action: 'VOTER_LOCKED_OUT',
+            entity: 'eligible_voter',
+            entityId: voter.id,
+            payload: {
+              electionId: election.id,
+              regNo: voter.regNo,
+              failures: failedVoter.failedOtpAttempts,
+              lockedUntil,
+            },
+          });
+          return sendLockedOut(res, lockedUntil);
+        }
+
+        const current = await prisma.eligibleVoter.findUnique({ where: { id: voter.id }, select: { lockedUntil: true } });
+        return sendLockedOut(res, current.lockedUntil || lockedUntil);
+      }
+
+      // Too many failures against this OTP - it can no longer be used
+      if (failedVerification.attempts >= OTP_MAX_ATTEMPTS) {
+        const invalidated = await prisma.verification.updateMany({
+          where: { id: verification.id, invalidatedAt: null },
+          data: { invalidatedAt: new Date() },
+        });
+
+        if (invalidated.count > 0) {
+          await logAudit({
+            actorType: 'system',
+            action: 'OTP_INVALIDATED',
+            entity: 'verification',
+            entityId: verification.id,
+            payload: { voterId: voter.id, regNo: voter.regNo, attempts: failedVerification.attempts },
+          });
+        }
+
+        return res.status(401).json({
+          error: 'Invalid OTP. This code has been cancelled after too many attempts.',
+          hint: 'Request a new OTP',
+          attemptsRemaining: 0,
+        });
+      }
+
+      return res.status(401).json({
+        error: 'Invalid OTP',
+        attemptsRemaining: OTP_MAX_ATTEMPTS - failedVerification.attempts,
+      });
     }
 
-    // Check if voter has already voted
-    const existingBallot = await prisma.ballot.findFirst({
-      where: {
-        voterId: voter.id,
-        status: 'CONSUMED',
-      },
+    // A correct code clears the voter's failure streak, including this attempt
+    await prisma.eligibleVoter.update({
+      where: { id: voter.id },
+      data: { failedOtpAttempts: 0 },
     });
 
-    if (existingBallot) {
+    // Check if voter has already voted (and has no runoff left to vote in)
+    const lastVote = await getLastVote(voter.id);
+
+    if (lastVote && !(await hasOpenRunoff(voter, lastVote))) {
       return res.status(400).json({ 
         error: 'You have already voted. Ballot already used.',
       });
     }
 
-    // Mark OTP as verified
-    await prisma.verification.update({
-      where: { id: verification.id },
+    // Mark OTP as verified - only once, even if the code was sent twice at the same time
+    const verified = await prisma.verification.updateMany({
+      where: { id: verification.id, verifiedAt: null, invalidatedAt: null },
       data: {
         verifiedAt: new Date(),
       },
     });
 
+    if (verified.count === 0) {
+      return res.status(400).json({
+        error: 'No valid OTP found',
+        hint: 'Request a new OTP',
+      });
+    }
+
     // Generate single-use ballot token
     const ballotToken = crypto.randomBytes(32).toString('hex');
+    const issuedAt = new Date();
 
-    // Create ballot
+    // Only the newest ballot stays usable - any earlier unused one expires now
+    await prisma.ballot.updateMany({
+      where: { voterId: voter.id, status: 'ACTIVE' },
+      data: { status: 'EXPIRED', expiresAt: issuedAt },
+    });
+
+    // Create ballot (bound to this client when binding is enabled)
     const ballot = await prisma.ballot.create({
       data: {
+        electionId: election.id,
         voterId: voter.id,
         token: ballotToken,
         status: 'ACTIVE',
+        issuedAt,
+        expiresAt: computeBallotExpiry(issuedAt),
+        clientHash: getClientFingerprint(req),
       },
     });
 
@@ -274,17 +483,27 @@ exports.confirmOTP = async (req, res) => {
       entity: 'ballot',
       entityId: ballot.id,
       payload: { 
+        electionId: election.id,
         voterId: voter.id,
         regNo: voter.regNo,
         ballotToken: ballotToken.substring(0, 8) + '...', // Partial token for logging
+        expiresAt: ballot.expiresAt,
+        clientBound: Boolean(ballot.clientHash),
       },
     });
 
+    // A voter verifying again (new ballot, runoff) is already counted as verified
+    const verifications = await prisma.verification.count({
+      where: { voterId: voter.id, verifiedAt: { not: null } },
+    });
+    recordBallotIssued(election.id, verifications === 1);
+
     res.json({
       message: 'Verification successful',
       ballotToken,
-      expiresAt: ballot.issuedAt,
-      note: 'Use this token to cast your vote. It can only be used once.',
+      expiresAt: ballot.expiresAt,
+      expiresIn: getBallotTtlMinutes() * 60, // seconds
+      note: 'Use this token to cast your vote before it expires. It can only be used once.',
     });
   } catch (error) {
     console.error('Confirm OTP error:', error);
@@ -1,80 +1,224 @@
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../config/prisma');
-const { logAudit } = require('../utils/auditLogger');
-const csv = require('csv-parser');
-const fs = require('fs');
+const { logAudit, stableStringify } = require('../utils/auditLogger');
+const { resolveElection, isElectionEditable } = require('../utils/electionContext');
 const { Readable } = require('stream');
+const PDFDocument = require('pdfkit');
+const { parseRoll, diffRoll, summarizeDiff, loadRoll, applyRoll, validateRow } = require('../utils/rollImport');
+const { takeRollSnapshot, isRollFrozen } = require('../utils/rollSnapshots');
 
-// Import voters from CSV
+// Row-level entries kept per list on an import job (the dry-run response itself is not capped)
+const IMPORT_DIFF_LIMIT = parseInt(process.env.IMPORT_DIFF_LIMIT, 10) || 1000;
+
+// A RUNNING import that has written no batch for this long died with its request
+const IMPORT_STALE_MINUTES = parseInt(process.env.IMPORT_STALE_MINUTES, 10) || 10;
+
+// Multipart form fields and query parameters are both accepted for import options
+const importOption = (req, name) => req.query[name] === 'true' || req.body?.[name] === 'true' || req.body?.[name] === true;
+
+// Diff as stored on the import job: capped lists, ids left out
+const storedDiff = (diff, invalid) => {
+  const capped = (entries) => ({
+    entries: entries.slice(0, IMPORT_DIFF_LIMIT).map(({ id, ...entry }) => entry),
+    truncated: entries.length > IMPORT_DIFF_LIMIT,
+  });
+  return {
+    created: capped(diff.created),
+    updated: capped(diff.updated),
+    removed: capped(diff.removed),
+    retained: capped(diff.retained),
+    invalid: capped(invalid),
+  };
+};
+
+// Create the RUNNING import; the unique activeKey lets only one exist per roll
+const createRunningImport = async (data) => {
+  try {
+    return await prisma.voterImport.create({
+      data: { ...data, status: 'RUNNING', activeKey: data.electionId },
+    });
+  } catch (error) {
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+    return null;
+  }
+};
+
+// Claim an election's roll for an import, taking it over from a stale one
+const claimImport = async (data) => {
+  const job = await createRunningImport(data);
+  if (job) {
+    return job;
+  }
+
+  const released = await prisma.voterImport.updateMany({
+    where: {
+      activeKey: data.electionId,
+      progressAt: { lt: new Date(Date.now() - IMPORT_STALE_MINUTES * 60 * 1000) },
+    },
+    data: {
+      status: 'FAILED',
+      activeKey: null,
+      error: `No progress for ${IMPORT_STALE_MINUTES} minutes`,
+      finishedAt: new Date(),
+    },
+  });
+
+  return released.count > 0 ? createRunningImport(data) : null;
+};
+
+// Import voters from CSV into an election's roll
+// Every row is validated before anything is written. Options (query or form fields):
+//   dryRun=true        - only return the diff against the current roll
+//   removeMissing=true - remove voters who are not in the file (never ones who have voted)
+//   skipInvalid=true   - apply the valid rows even if some rows are invalid
 exports.importCSV = async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'CSV file is required' });
     }
 
-    const results = [];
-    const errors = [];
-    let rowNumber = 0;
-
-    // Parse CSV file
-    const stream = Readable.from(req.file.buffer.toString());
-    
-    await new Promise((resolve, reject) => {
-      stream
-        .pipe(csv())
-        .on('data', async (row) => {
-          rowNumber++;
-          try {
-            // Validate required fields
-            if (!row.reg_no || !row.name || !row.email || !row.phone) {
-              errors.push(`Row ${rowNumber}: Missing required fields (reg_no, name, email, phone)`);
-              return;
-            }
-
-            // Normalize registration number
-            const regNo = row.reg_no.trim().toUpperCase();
-
-            // Check if voter already exists
-            const existing = await prisma.eligibleVoter.findUnique({
-              where: { regNo },
-            });
-
-            if (existing) {
-              // Update existing voter
-              await prisma.eligibleVoter.update({
-                where: { regNo },
-                data: {
-                  name: row.name.trim(),
-                  email: row.email.trim(),
-                  phone: row.phone.trim(),
-                  program: row.program?.trim() || null,
-                  status: 'ELIGIBLE',
-                },
-              });
-              results.push({ regNo, action: 'updated' });
-            } else {
-              // Create new voter
-              await prisma.eligibleVoter.create({
-                data: {
-                  regNo,
-                  name: row.name.trim(),
-                  email: row.email.trim(),
-                  phone: row.phone.trim(),
-                  program: row.program?.trim() || null,
-                  status: 'ELIGIBLE',
-                },
-              });
-              results.push({ regNo, action: 'created' });
-            }
-          } catch (error) {
-            errors.push(`Row ${rowNumber}: ${error.message}`);
-          }
-        })
-        .on('end', resolve)
-        .on('error', reject);
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (!isElectionEditable(election)) {
+      return res.status(400).json({ error: `Cannot import voters into a ${election.status} election` });
+    }
+
+    const dryRun = importOption(req, 'dryRun');
+    const removeMissing = importOption(req, 'removeMissing');
+    const skipInvalid = importOption(req, 'skipInvalid');
+
+    // A frozen roll can still be compared against a file, but not changed
+    if (!dryRun && isRollFrozen(election)) {
+      return res.status(400).json({
+        error: 'The voter roll of this election is frozen',
+        hint: 'Use dryRun=true to compare a file with the roll, or unfreeze it before voting opens',
+      });
+    }
+
+    const { voters, invalid, totalRows } = await parseRoll(Readable.from(req.file.buffer));
+    const blocked = !dryRun && invalid.length > 0 && !skipInvalid;
+    const jobData = {
+      electionId: election.id,
+      createdBy: req.user.id,
+      fileName: req.file.originalname || null,
+      dryRun,
+      removeMissing,
+      totalRows,
+    };
+
+    // One import at a time per roll, or their diffs would overwrite each other.
+    // Claimed before the roll is read, so the diff is against a roll no other import is changing.
+    let job = null;
+    if (!dryRun && !blocked) {
+      job = await claimImport(jobData);
+      if (!job) {
+        const running = await prisma.voterImport.findUnique({ where: { activeKey: election.id } });
+        return res.status(409).json({
+          error: 'Another import into this roll is still running',
+          hint: `An import that writes nothing for ${IMPORT_STALE_MINUTES} minutes is treated as failed`,
+          importId: running?.id,
+        });
+      }
+    }
+
+    const diff = diffRoll(voters, await loadRoll(election.id), { removeMissing });
+    const summary = { total: totalRows, ...summarizeDiff(diff, invalid) };
+
+    if (job) {
+      job = await prisma.voterImport.update({
+        where: { id: job.id },
+        data: { summary, diff: storedDiff(diff, invalid) },
+      });
+    } else {
+      job = await prisma.voterImport.create({
+        data: { ...jobData, status: 'PREVIEW', summary, diff: storedDiff(diff, invalid), finishedAt: new Date() },
+      });
+    }
+
+    if (dryRun) {
+      return res.json({
+        message: 'Dry run - nothing was imported',
+        importId: job.id,
+        summary,
+        diff: {
+          created: diff.created,
+          updated: diff.updated,
+          unchanged: diff.unchanged,
+          removed: diff.removed,
+          retained: diff.retained, // Missing from the file but already voted - never removed
+          invalid,
+        },
+      });
+    }
+
+    if (blocked) {
+      return res.status(400).json({
+        error: `${invalid.length} row(s) are invalid - nothing was imported`,
+        hint: 'Fix the rows and re-upload, or import with skipInvalid=true to apply the valid rows only',
+        importId: job.id,
+        summary,
+        invalid,
+      });
+    }
+
+    let applied = 0;
+    try {
+      applied = await applyRoll(election.id, diff, async (count) => {
+        applied = count;
+        const progress = await prisma.voterImport.updateMany({
+          where: { id: job.id, activeKey: election.id },
+          data: { applied: count, progressAt: new Date() },
+        });
+        // Another import found this one stale and took the roll over
+        if (progress.count === 0) {
+          throw new Error('Import was treated as stale and stopped');
+        }
+      });
+    } catch (error) {
+      await prisma.voterImport.update({
+        where: { id: job.id },
+        data: { status: 'FAILED', applied, activeKey: null, error: error.message, finishedAt: new Date() },
+      });
+
+      // Earlier batches did change the roll
+      if (applied > 0) {
+        await takeRollSnapshot(election.id, { reason: 'IMPORT', importId: job.id, createdBy: req.user.id });
+      }
+
+      await logAudit({
+        actorType: 'admin',
+        actorId: req.user.id,
+        action: 'IMPORT_VOTERS_FAILED',
+        entity: 'eligible_voter',
+        payload: { electionId: election.id, importId: job.id, ...summary, applied, error: error.message },
+      });
+
+      console.error('Import voters error:', error);
+      return res.status(500).json({
+        error: 'Import failed part way - earlier batches were applied',
+        hint: 'Re-upload the same file to apply the remaining changes',
+        importId: job.id,
+        applied,
+      });
+    }
+
+    await prisma.voterImport.update({
+      where: { id: job.id },
+      data: { status: 'COMPLETED', applied, activeKey: null, finishedAt: new Date() },
     });
 
+    const snapshot = await takeRollSnapshot(election.id, { reason: 'IMPORT', importId: job.id, createdBy: req.user.id });
+
     // Get actual count from database to verify
-    const actualCount = await prisma.eligibleVoter.count();
+    const actualCount = await prisma.eligibleVoter.count({
+      where: { electionId: election.id, status: 'ELIGIBLE' },
+    });
 
     // Log audit
     await logAudit({
@@ -83,24 +227,25 @@ exports.importCSV = async (req, res) => {
       action: 'IMPORT_VOTERS',
       entity: 'eligible_voter',
       payload: {
-        totalRows: rowNumber,
-        successful: results.length,
-        errors: errors.length,
+        electionId: election.id,
+        importId: job.id,
+        ...summary,
+        removeMissing,
+        rollVersion: snapshot.version,
         actualCountInDatabase: actualCount,
       },
     });
 
     res.json({
       message: 'Voters imported successfully',
+      importId: job.id,
+      rollVersion: snapshot.version,
       summary: {
-        total: rowNumber,
-        successful: results.length,
-        errors: errors.length,
-        created: results.filter((r) => r.action === 'created').length,
-        updated: results.filter((r) => r.action === 'updated').length,
-        actualCountInDatabase: actualCount, // Show actual count in database
+        ...summary,
+        applied,
+        actualCountInDatabase: actualCount, // Eligible voters on the roll now
       },
-      errors: errors.length > 0 ? errors : undefined,
+      invalid: invalid.length > 0 ? invalid : undefined,
     });
   } catch (error) {
     console.error('Import voters error:', error);
@@ -108,13 +253,66 @@ exports.importCSV = async (req, res) => {
   }
 };
 
+// List an election's voter imports, newest first (without their diffs)
+exports.getImports = async (req, res) => {
+  try {
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    const imports = await prisma.voterImport.findMany({
+      where: { electionId: election.id },
+      omit: { diff: true },
+      orderBy: { createdAt: 'desc' },
+      take: 50,
+    });
+
+    res.json({ imports });
+  } catch (error) {
+    console.error('Get voter imports error:', error);
+    res.status(500).json({ error: 'Failed to fetch voter imports' });
+  }
+};
+
+// Get one voter import with its diff
+exports.getImport = async (req, res) => {
+  try {
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    const job = await prisma.voterImport.findFirst({
+      where: { id: req.params.importId, electionId: election.id },
+    });
+
+    if (!job) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    res.json({ import: job });
+  } catch (error) {
+    console.error('Get voter import error:', error);
+    res.status(500).json({ error: 'Failed to fetch voter import' });
+  }
+};
+
 // Get all eligible voters
 exports.getAllVoters = async (req, res) => {
   try {
-    const { page = 1, limit = 100, search } = req.query;
+    const { page = 1, limit = 100, search, locked, status } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const where = {};
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    const where = { electionId: election.id };
     if (search && typeof search === 'string' && search.trim().length > 0) {
       const searchTerm = search.trim();
       // For MySQL, try without mode first (MySQL is usually case-insensitive by default)
@@ -127,6 +325,16 @@ exports.getAllVoters = async (req, res) => {
       ];
     }
 
+    // ELIGIBLE, INELIGIBLE or REMOVED
+    if (status) {
+      where.status = String(status).toUpperCase();
+    }
+
+    // Voters currently locked out of OTP verification
+    if (locked === 'true') {
+      where.lockedUntil = { gt: new Date() };
+    }
+
     const [voters, total] = await Promise.all([
       prisma.eligibleVoter.findMany({
         where,
@@ -162,46 +370,275 @@ exports.getAllVoters = async (req, res) => {
   }
 };
 
-// Delete all voters (Admin only) - for re-importing CSV
-// Also deletes all related votes, ballots, verifications, candidates, and positions
-// This clears everything for a new voting cycle
+// Roll export filters: program (comma-separated), status (ELIGIBLE, INELIGIBLE, REMOVED), hasVoted (true/false)
+// Returns { where, filters } or { error }
+const rollExportFilter = (electionId, { program, status, hasVoted }) => {
+  const where = { electionId };
+  const filters = {};
+
+  if (program) {
+    filters.program = String(program).split(',').map((value) => value.trim()).filter(Boolean);
+    where.program = { in: filters.program };
+  }
+
+  if (status) {
+    filters.status = String(status).toUpperCase();
+    if (!['ELIGIBLE', 'INELIGIBLE', 'REMOVED'].includes(filters.status)) {
+      return { error: 'status must be ELIGIBLE, INELIGIBLE or REMOVED' };
+    }
+    where.status = filters.status;
+  }
+
+  if (hasVoted !== undefined) {
+    if (!['true', 'false'].includes(hasVoted)) {
+      return { error: 'hasVoted must be true or false' };
+    }
+    filters.hasVoted = hasVoted === 'true';
+    where.ballots = filters.hasVoted ? { some: { status: 'CONSUMED' } } : { none: { status: 'CONSUMED' } };
+  }
+
+  return { where, filters };
+};
+
+// Print the register: one section per program, a row per voter with space to sign
+const renderRegister = (doc, election, voters, filters) => {
+  const columns = [
+    { label: 'No.', width: 35 },
+    { label: 'Reg No', width: 95 },
+    { label: 'Name', width: 160 },
+    { label: 'Voted', width: 45 },
+    { label: 'Signature', width: 110 },
+    { label: 'Time', width: 50 },
+  ];
+  const rowHeight = 24;
+  const left = 50;
+  const bottom = doc.page.height - 60;
+
+  const byProgram = new Map();
+  voters.forEach((voter) => {
+    const program = voter.program || 'No program';
+    if (!byProgram.has(program)) byProgram.set(program, []);
+    byProgram.get(program).push(voter);
+  });
+
+  const header = (program, continued) => {
+    doc.fillColor('#000000')
+      .fontSize(14)
+      .font('Helvetica-Bold')
+      .text(`Voter Register - ${election.name}`, left, 50, { width: doc.page.width - 100 });
+    doc.fontSize(11)
+      .font('Helvetica')
+      .text(`${program}${continued ? ' (continued)' : ''}`, left, 70);
+
+    let x = left;
+    const y = 95;
+    doc.fontSize(9).font('Helvetica-Bold');
+    columns.forEach((column) => {
+      doc.text(column.label, x + 3, y + 7, { width: column.width - 6 });
+      x += column.width;
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(x, y + rowHeight).stroke();
+    return y + rowHeight;
+  };
+
+  if (byProgram.size === 0) {
+    header('No voters match the selected filters', false);
+    return;
+  }
+
+  [...byProgram.keys()].sort().forEach((program, index) => {
+    if (index > 0) doc.addPage();
+    let y = header(program, false);
+
+    byProgram.get(program).forEach((voter, row) => {
+      if (y + rowHeight > bottom) {
+        doc.addPage();
+        y = header(program, true);
+      }
+
+      const cells = [
+        String(row + 1),
+        voter.regNo,
+        voter.name,
+        voter.hasVoted ? 'Online' : (voter.status === 'ELIGIBLE' ? '' : voter.status),
+        '',
+        '',
+      ];
+      let x = left;
+      doc.fontSize(9).font('Helvetica');
+      columns.forEach((column, col) => {
+        doc.text(cells[col], x + 3, y + 7, { width: column.width - 6, height: rowHeight - 8, ellipsis: true });
+        x += column.width;
+      });
+      doc.moveTo(left, y + rowHeight).lineTo(x, y + rowHeight).strokeColor('#999999').stroke().strokeColor('#000000');
+      y += rowHeight;
+    });
+  });
+
+  // Page numbers and the filters used, on every page
+  const range = doc.bufferedPageRange();
+  const filterText = Object.entries(filters).map(([key, value]) => `${key}: ${value}`).join(', ');
+  for (let page = range.start; page < range.start + range.count; page++) {
+    doc.switchToPage(page);
+    // Writing inside the bottom margin would otherwise start a new page
+    doc.page.margins.bottom = 0;
+    doc.fontSize(8)
+      .font('Helvetica')
+      .fillColor('#555555')
+      .text(
+        `Printed ${new Date().toLocaleString()}${filterText ? ` - ${filterText}` : ''} - page ${page + 1} of ${range.count}`,
+        left,
+        doc.page.height - 45,
+        { width: doc.page.width - 100, align: 'center', lineBreak: false }
+      );
+  }
+};
+
+// Export an election's roll (Admin only)
+// ?format=csv (default, re-importable), json or pdf (printable register for help desks)
+// Filters: program, status, hasVoted - see rollExportFilter
+exports.exportVoters = async (req, res) => {
+  try {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'json', 'pdf'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv, json or pdf' });
+    }
+
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    const { where, filters, error } = rollExportFilter(election.id, req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const rows = await prisma.eligibleVoter.findMany({
+      where,
+      select: {
+        id: true,
+        regNo: true,
+        name: true,
+        email: true,
+        phone: true,
+        program: true,
+        attributes: true,
+        status: true,
+        statusReason: true,
+        _count: { select: { ballots: { where: { status: 'CONSUMED' } } } },
+      },
+      orderBy: [{ program: 'asc' }, { regNo: 'asc' }],
+    });
+    const voters = rows.map(({ _count, ...voter }) => ({ ...voter, hasVoted: _count.ballots > 0 }));
+
+    // The roll is personal data - every copy taken out is logged
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'EXPORT_VOTER_ROLL',
+      entity: 'election',
+      entityId: election.id,
+      payload: { format, filters, voters: voters.length },
+    });
+
+    if (format === 'json') {
+      return res.json({
+        election: { id: election.id, name: election.name },
+        filters,
+        total: voters.length,
+        voters,
+      });
+    }
+
+    if (format === 'csv') {
+      const quoted = (value) => (value === null || value === undefined ? '' : `"${String(value).replace(/"/g, '""')}"`);
+      // Attribute columns come back out as their own columns, so the file can be re-imported
+      const attributeKeys = [...new Set(voters.flatMap((voter) => Object.keys(voter.attributes || {})))].sort();
+
+      let csv = ['reg_no', 'name', 'email', 'phone', 'program', ...attributeKeys, 'status', 'status_reason', 'has_voted'].join(',') + '\n';
+      voters.forEach((voter) => {
+        csv += [
+          quoted(voter.regNo),
+          quoted(voter.name),
+          quoted(voter.email),
+          quoted(voter.phone),
+          quoted(voter.program),
+          ...attributeKeys.map((key) => quoted(voter.attributes?.[key])),
+          voter.status,
+          quoted(voter.statusReason),
+          voter.hasVoted ? 'yes' : 'no',
+        ].join(',') + '\n';
+      });
+
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename=voter-roll.csv');
+      return res.send(csv);
+    }
+
+    const doc = new PDFDocument({ margin: 50, size: 'A4', bufferPages: true });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', 'attachment; filename=voter-register.pdf');
+    doc.pipe(res);
+    renderRegister(doc, election, voters, filters);
+    doc.end();
+  } catch (error) {
+    console.error('Export voters error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export voters' });
+    }
+  }
+};
+
+// Delete an election's voter roll (Admin only) - for re-importing CSV
+// Positions, candidates and other elections are left untouched; start a new
+// voting cycle by creating a new election instead of wiping this one.
 exports.deleteAllVoters = async (req, res) => {
   try {
-    // Get counts before deletion for audit
-    const votersCount = await prisma.eligibleVoter.count();
-    const votesCount = await prisma.vote.count();
-    const ballotsCount = await prisma.ballot.count();
-    const verificationsCount = await prisma.verification.count();
-    const candidatesCount = await prisma.candidate.count();
-    const positionsCount = await prisma.position.count();
-
-    // Delete in transaction to ensure data consistency
-    // Order: Votes -> Ballots -> Verifications -> Candidates -> Positions -> Voters
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    if (!isElectionEditable(election)) {
+      return res.status(400).json({ error: `The roll of a ${election.status} election cannot be deleted` });
+    }
+
+    if (isRollFrozen(election)) {
+      return res.status(400).json({ error: 'The voter roll of this election is frozen and cannot be deleted' });
+    }
+
+    // Once anyone has voted, the roll is part of the election record
+    const votesCast = await prisma.ballot.count({
+      where: { electionId: election.id, status: 'CONSUMED' },
+    });
+
+    if (votesCast > 0) {
+      return res.status(400).json({
+        error: 'Cannot delete the voter roll after votes have been cast',
+        hint: 'Close and archive this election, then create a new one for the next voting cycle.',
+      });
+    }
+
+    // Order: Ballots -> Verifications -> Voters
     const result = await prisma.$transaction(async (tx) => {
-      // 1. Delete all votes first (they depend on ballots, positions, and candidates)
-      const votesDeleted = await tx.vote.deleteMany({});
-      
-      // 2. Delete all ballots (they depend on voters)
-      const ballotsDeleted = await tx.ballot.deleteMany({});
-      
-      // 3. Delete all verifications (they depend on voters)
-      const verificationsDeleted = await tx.verification.deleteMany({});
-      
-      // 4. Delete all candidates (they depend on positions and users)
-      const candidatesDeleted = await tx.candidate.deleteMany({});
-      
-      // 5. Delete all positions (candidates already deleted, but positions can be deleted now)
-      const positionsDeleted = await tx.position.deleteMany({});
-      
-      // 6. Delete all voters
-      const votersDeleted = await tx.eligibleVoter.deleteMany({});
+      const ballotsDeleted = await tx.ballot.deleteMany({
+        where: { electionId: election.id },
+      });
+
+      const verificationsDeleted = await tx.verification.deleteMany({
+        where: { voter: { electionId: election.id } },
+      });
+
+      const votersDeleted = await tx.eligibleVoter.deleteMany({
+        where: { electionId: election.id },
+      });
 
       return {
-        votes: votesDeleted.count,
         ballots: ballotsDeleted.count,
         verifications: verificationsDeleted.count,
-        candidates: candidatesDeleted.count,
-        positions: positionsDeleted.count,
         voters: votersDeleted.count,
       };
     });
@@ -210,34 +647,432 @@ exports.deleteAllVoters = async (req, res) => {
     await logAudit({
       actorType: 'admin',
       actorId: req.user.id,
-      action: 'DELETE_ALL_VOTING_DATA',
-      entity: 'eligible_voter',
+      action: 'DELETE_VOTER_ROLL',
+      entity: 'election',
+      entityId: election.id,
       payload: {
         votersDeleted: result.voters,
-        votesDeleted: result.votes,
         ballotsDeleted: result.ballots,
         verificationsDeleted: result.verifications,
-        candidatesDeleted: result.candidates,
-        positionsDeleted: result.positions,
-        reason: 'Admin cleared all voting data for new voting cycle. CSV file removed.',
+        reason: 'Admin cleared the voter roll for re-import.',
       },
     });
 
     res.json({
-      message: 'All voting data deleted successfully. System is ready for a new voting cycle.',
-      deletedCount: {
-        voters: result.voters,
-        votes: result.votes,
-        ballots: result.ballots,
-        verifications: result.verifications,
-        candidates: result.candidates,
-        positions: result.positions,
+      message: 'Voter roll deleted successfully.',
+      deletedCount: result,
+      hint: 'You can now import a new CSV file for this election.',
+    });
+  } catch (error) {
+    console.error('Delete voter roll error:', error);
+    res.status(500).json({ error: 'Failed to delete voter roll' });
+  }
+};
+
+// Lift a voter's OTP lockout (Admin only)
+exports.unlockVoter = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const voter = await prisma.eligibleVoter.findUnique({ where: { id } });
+
+    if (!voter) {
+      return res.status(404).json({ error: 'Voter not found' });
+    }
+
+    const wasLocked = Boolean(voter.lockedUntil && voter.lockedUntil > new Date());
+
+    const updated = await prisma.eligibleVoter.update({
+      where: { id },
+      data: {
+        lockedUntil: null,
+        failedOtpAttempts: 0,
+      },
+      select: {
+        id: true,
+        regNo: true,
+        name: true,
+        lockedUntil: true,
+        failedOtpAttempts: true,
+        lockoutCount: true,
+      },
+    });
+
+    // Log audit
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'UNLOCK_VOTER',
+      entity: 'eligible_voter',
+      entityId: id,
+      payload: {
+        electionId: voter.electionId,
+        regNo: voter.regNo,
+        wasLocked,
+        previousLockedUntil: voter.lockedUntil,
+      },
+    });
+
+    res.json({
+      message: wasLocked ? 'Voter unlocked successfully' : 'Voter was not locked; failed attempts reset',
+      voter: updated,
+    });
+  } catch (error) {
+    console.error('Unlock voter error:', error);
+    res.status(500).json({ error: 'Failed to unlock voter' });
+  }
+};
+
+// Build a roll row from a request body so single voters are validated like imported ones
+const rollRow = ({ regNo, name, email, phone, program, attributes }) => ({
+  ...(attributes && typeof attributes === 'object' ? attributes : {}),
+  reg_no: regNo,
+  name,
+  email,
+  phone,
+  program,
+});
+
+// Reject roll changes an election no longer accepts
+const rollLockedError = (election) =>
+  (isElectionEditable(election) ? null : `The roll of a ${election.status} election cannot be changed`);
+
+// Add a single voter to an election's roll, e.g. a late registrant (Admin only)
+exports.createVoter = async (req, res) => {
+  try {
+    const election = await resolveElection(req);
+
+    if (!election) {
+      return res.status(404).json({ error: 'Election not found' });
+    }
+
+    const lockedError = rollLockedError(election);
+    if (lockedError) {
+      return res.status(400).json({ error: lockedError });
+    }
+
+    // Turnout is measured against the frozen roll, so nobody joins it afterwards
+    if (isRollFrozen(election)) {
+      return res.status(400).json({ error: 'The voter roll of this election is frozen - voters can no longer be added' });
+    }
+
+    const { voter, reasons } = validateRow(rollRow(req.body));
+    if (!voter) {
+      return res.status(400).json({ error: 'Invalid voter', reasons });
+    }
+
+    let created;
+    try {
+      created = await prisma.eligibleVoter.create({
+        data: {
+          electionId: election.id,
+          ...voter,
+          attributes: voter.attributes || Prisma.DbNull,
+          status: 'ELIGIBLE',
+        },
+      });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return res.status(409).json({ error: `${voter.regNo} is already on this election's roll` });
+      }
+      throw error;
+    }
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'CREATE_VOTER',
+      entity: 'eligible_voter',
+      entityId: created.id,
+      payload: { electionId: election.id, regNo: created.regNo, name: created.name, program: created.program },
+    });
+
+    res.status(201).json({
+      message: 'Voter added to the roll',
+      voter: created,
+    });
+  } catch (error) {
+    console.error('Create voter error:', error);
+    res.status(500).json({ error: 'Failed to add voter' });
+  }
+};
+
+// Get one voter with their verification and ballot history (Admin only)
+// Ballots carry no link to how the voter voted, so none is shown
+exports.getVoterById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const voter = await prisma.eligibleVoter.findUnique({
+      where: { id },
+      include: {
+        verifications: {
+          select: {
+            id: true,
+            method: true,
+            requestedChannel: true,
+            deliveryStatus: true,
+            issuedAt: true,
+            expiresAt: true,
+            verifiedAt: true,
+            attempts: true,
+            invalidatedAt: true,
+          },
+          orderBy: { issuedAt: 'desc' },
+        },
+        ballots: {
+          select: {
+            id: true,
+            status: true,
+            issuedAt: true,
+            expiresAt: true,
+            consumedAt: true,
+          },
+          orderBy: { issuedAt: 'desc' },
+        },
+      },
+    });
+
+    if (!voter) {
+      return res.status(404).json({ error: 'Voter not found' });
+    }
+
+    // Roll changes made to this voter (imports are logged against the election)
+    const history = await prisma.auditLog.findMany({
+      where: { entity: 'eligible_voter', entityId: id },
+      select: { action: true, actorType: true, actorId: true, payload: true, createdAt: true },
+      orderBy: { sequence: 'desc' },
+    });
+
+    res.json({
+      voter,
+      hasVoted: voter.ballots.some((ballot) => ballot.status === 'CONSUMED'),
+      history,
+    });
+  } catch (error) {
+    console.error('Get voter error:', error);
+    res.status(500).json({ error: 'Failed to fetch voter' });
+  }
+};
+
+// Correct a voter's details (Admin only)
+// The registration number is the voter's identity on the roll and cannot be changed
+exports.updateVoter = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { regNo, name, email, phone, program, attributes } = req.body;
+
+    const existing = await prisma.eligibleVoter.findUnique({
+      where: { id },
+      include: { election: true },
+    });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Voter not found' });
+    }
+
+    const lockedError = rollLockedError(existing.election);
+    if (lockedError) {
+      return res.status(400).json({ error: lockedError });
+    }
+
+    if (regNo !== undefined && String(regNo).trim().toUpperCase() !== existing.regNo) {
+      return res.status(400).json({
+        error: 'The registration number cannot be changed',
+        hint: 'Mark this voter INELIGIBLE and add the correct registration number as a new voter',
+      });
+    }
+
+    // Validate the voter as it will be after the change
+    const { voter, reasons } = validateRow(rollRow({
+      regNo: existing.regNo,
+      name: name !== undefined ? name : existing.name,
+      email: email !== undefined ? email : existing.email,
+      phone: phone !== undefined ? phone : existing.phone,
+      program: program !== undefined ? program : existing.program,
+      attributes: attributes !== undefined ? attributes : existing.attributes,
+    }));
+    if (!voter) {
+      return res.status(400).json({ error: 'Invalid voter', reasons });
+    }
+
+    const changes = {};
+    ['name', 'email', 'phone', 'program', 'attributes'].forEach((field) => {
+      if (stableStringify(existing[field] ?? null) !== stableStringify(voter[field] ?? null)) {
+        changes[field] = { from: existing[field] ?? null, to: voter[field] };
+      }
+    });
+
+    if (Object.keys(changes).length === 0) {
+      return res.json({ message: 'Nothing to change', voter: existing });
+    }
+
+    // Program and attributes decide which positions a voter may vote on
+    if (isRollFrozen(existing.election) && (changes.program || changes.attributes)) {
+      return res.status(400).json({
+        error: 'The voter roll of this election is frozen - program and attributes can no longer be changed',
+        hint: 'Contact details (name, email, phone) can still be corrected',
+      });
+    }
+
+    const updated = await prisma.eligibleVoter.update({
+      where: { id },
+      data: {
+        name: voter.name,
+        email: voter.email,
+        phone: voter.phone,
+        program: voter.program,
+        attributes: voter.attributes || Prisma.DbNull,
+      },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'UPDATE_VOTER',
+      entity: 'eligible_voter',
+      entityId: id,
+      payload: { electionId: existing.electionId, regNo: existing.regNo, changes },
+    });
+
+    res.json({
+      message: 'Voter updated successfully',
+      voter: updated,
+    });
+  } catch (error) {
+    console.error('Update voter error:', error);
+    res.status(500).json({ error: 'Failed to update voter' });
+  }
+};
+
+// Mark a voter INELIGIBLE, with the reason (Admin only)
+// Any unused ballot and pending OTP is cancelled; a vote already cast cannot be withdrawn (it is anonymous)
+exports.markIneligible = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: 'A reason is required' });
+    }
+
+    const voter = await prisma.eligibleVoter.findUnique({
+      where: { id },
+      include: { election: true },
+    });
+
+    if (!voter) {
+      return res.status(404).json({ error: 'Voter not found' });
+    }
+
+    const lockedError = rollLockedError(voter.election);
+    if (lockedError) {
+      return res.status(400).json({ error: lockedError });
+    }
+
+    if (voter.status === 'INELIGIBLE') {
+      return res.status(400).json({ error: 'Voter is already marked ineligible', reason: voter.statusReason });
+    }
+
+    const now = new Date();
+    const [updated, cancelled, , hasVoted] = await prisma.$transaction([
+      prisma.eligibleVoter.update({
+        where: { id },
+        data: { status: 'INELIGIBLE', statusReason: String(reason).trim() },
+      }),
+      prisma.ballot.updateMany({
+        where: { voterId: id, status: 'ACTIVE' },
+        data: { status: 'EXPIRED', expiresAt: now },
+      }),
+      prisma.verification.updateMany({
+        where: { voterId: id, verifiedAt: null, invalidatedAt: null },
+        data: { invalidatedAt: now },
+      }),
+      prisma.ballot.count({ where: { voterId: id, status: 'CONSUMED' } }),
+    ]);
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'MARK_VOTER_INELIGIBLE',
+      entity: 'eligible_voter',
+      entityId: id,
+      payload: {
+        electionId: voter.electionId,
+        regNo: voter.regNo,
+        previousStatus: voter.status,
+        reason: updated.statusReason,
+        ballotsCancelled: cancelled.count,
+        hasVoted: hasVoted > 0,
       },
-      hint: 'You can now import a new CSV file and create new positions for the next voting cycle.',
+    });
+
+    res.json({
+      message: 'Voter marked ineligible',
+      voter: updated,
+      ballotsCancelled: cancelled.count,
+      ...(hasVoted > 0 && { warning: 'This voter has already voted - their vote stays in the count' }),
     });
   } catch (error) {
-    console.error('Delete all voting data error:', error);
-    res.status(500).json({ error: 'Failed to delete voting data' });
+    console.error('Mark voter ineligible error:', error);
+    res.status(500).json({ error: 'Failed to mark voter ineligible' });
   }
 };
 
+// Restore an INELIGIBLE (or import-REMOVED) voter to the roll (Admin only)
+exports.reinstateVoter = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const voter = await prisma.eligibleVoter.findUnique({
+      where: { id },
+      include: { election: true },
+    });
+
+    if (!voter) {
+      return res.status(404).json({ error: 'Voter not found' });
+    }
+
+    const lockedError = rollLockedError(voter.election);
+    if (lockedError) {
+      return res.status(400).json({ error: lockedError });
+    }
+
+    if (voter.status === 'ELIGIBLE') {
+      return res.status(400).json({ error: 'Voter is already eligible' });
+    }
+
+    // Turnout is measured against the frozen roll, so nobody rejoins it afterwards
+    if (isRollFrozen(voter.election)) {
+      return res.status(400).json({ error: 'The voter roll of this election is frozen - voters can no longer be reinstated' });
+    }
+
+    const updated = await prisma.eligibleVoter.update({
+      where: { id },
+      data: { status: 'ELIGIBLE', statusReason: null },
+    });
+
+    await logAudit({
+      actorType: 'admin',
+      actorId: req.user.id,
+      action: 'REINSTATE_VOTER',
+      entity: 'eligible_voter',
+      entityId: id,
+      payload: {
+        electionId: voter.electionId,
+        regNo: voter.regNo,
+        previousStatus: voter.status,
+        previousReason: voter.statusReason,
+        note: req.body.note || null,
+      },
+    });
+
+    res.json({
+      message: 'Voter reinstated',
+      voter: updated,
+    });
+  } catch (error) {
+    console.error('Reinstate voter error:', error);
+    res.status(500).json({ error: 'Failed to reinstate voter' });
+  }
+};
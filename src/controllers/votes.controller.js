@@ -1,5 +1,18 @@
 const { prisma } = require('../config/prisma');
-const { logAudit } = require('../utils/auditLogger');
+const { logAudit, auditedTransaction } = require('../utils/auditLogger');
+const {
+  REFERENDUM_CHOICES,
+  isRanked,
+  isReferendum,
+  groupSelections,
+  validatePositionSelection,
+} = require('../utils/ballotValidation');
+const { createReceipt } = require('../utils/receipts');
+const { isVoterEligible } = require('../utils/eligibility');
+const { checkBallotUsable } = require('../utils/ballotTokens');
+const { recordVoteCast } = require('../utils/liveStats');
+const { getLastVote, ballotPositionFilter } = require('../utils/runoffs');
+const { readIdempotencyKey, createIdempotency, findStoredResult, storedResultData } = require('../utils/idempotency');
 
 // Helper function to parse dates consistently (same as positions controller)
 const parseDate = (dateString) => {
@@ -37,11 +50,20 @@ exports.getBallot = async (req, res) => {
     const ballot = await prisma.ballot.findUnique({
       where: { token },
       include: {
+        election: {
+          select: {
+            id: true,
+            name: true,
+            status: true,
+          },
+        },
         voter: {
           select: {
             id: true,
             regNo: true,
             name: true,
+            program: true,
+            attributes: true,
           },
         },
       },
@@ -51,14 +73,17 @@ exports.getBallot = async (req, res) => {
       return res.status(404).json({ error: 'Invalid ballot token' });
     }
 
-    if (ballot.status === 'CONSUMED') {
-      return res.status(400).json({ 
-        error: 'This ballot has already been used',
-        hint: 'You can only vote once',
-      });
+    // Consumed, expired or presented by a different client
+    const ballotError = checkBallotUsable(ballot, req);
+    if (ballotError) {
+      return res.status(ballotError.status).json(ballotError.body);
+    }
+
+    if (ballot.election.status !== 'VOTING') {
+      return res.status(400).json({ error: 'Voting is not open for this election' });
     }
 
-    // Get all positions with open voting windows
+    // Get all positions of the ballot's election with open voting windows
     // Use current time for comparison (Prisma will handle timezone correctly)
     // Use Date object directly - Prisma handles timezone conversion correctly
     const now = new Date();
@@ -70,6 +95,7 @@ exports.getBallot = async (req, res) => {
     
     // First, get ALL positions to debug
     const allPositions = await prisma.position.findMany({
+      where: { electionId: ballot.electionId },
       orderBy: {
         name: 'asc',
       },
@@ -94,10 +120,15 @@ exports.getBallot = async (req, res) => {
       console.log(`  Is Open: ${isOpen}`);
     });
     
+    // A voter who has already voted only gets the runoffs opened since
+    const lastVote = await getLastVote(ballot.voter.id);
+
     // Use Prisma query to filter positions where voting window is currently open
     // This ensures database-level filtering with consistent timezone handling
-    const positions = await prisma.position.findMany({
+    const openPositions = await prisma.position.findMany({
       where: {
+        electionId: ballot.electionId,
+        ...ballotPositionFilter(lastVote),
         votingOpens: {
           lte: now, // Voting has opened (now >= votingOpens)
         },
@@ -110,6 +141,9 @@ exports.getBallot = async (req, res) => {
       },
     });
     
+    // Only the positions whose constituency this voter belongs to
+    const positions = openPositions.filter((position) => isVoterEligible(position, ballot.voter));
+
     console.log(`Backend getBallot - found ${positions.length} open positions for voting (via Prisma query)`);
     if (positions.length > 0) {
       console.log('Open positions:', positions.map(p => ({
@@ -185,8 +219,13 @@ exports.getBallot = async (req, res) => {
         id: ballot.id,
         status: ballot.status,
         issuedAt: ballot.issuedAt,
+        expiresAt: ballot.expiresAt,
       },
-      positions,
+      election: ballot.election,
+      // Referendum questions carry their fixed answers instead of candidates
+      positions: positions.map((position) => (
+        isReferendum(position) ? { ...position, options: REFERENDUM_CHOICES } : position
+      )),
       candidates,
     });
   } catch (error) {
@@ -198,6 +237,14 @@ exports.getBallot = async (req, res) => {
 /**
  * Cast vote
  * Records votes for positions using ballot token
+ *
+ * Each entry is { positionId, candidateId } or, for multi-seat positions,
+ * { positionId, candidateIds: [...] } selecting between position.minSelections
+ * and position.seats distinct candidates (any number on APPROVAL positions).
+ * IRV/STV positions take { positionId, ranking: [...] } with candidates in
+ * order of preference; referendums take { positionId, choice: 'YES' | 'NO' | 'ABSTAIN' }.
+ * Any position can be formally abstained on with { positionId, choice: 'ABSTAIN' }.
+ * An optional Idempotency-Key header makes retries safe (see utils/idempotency.js).
  */
 exports.castVote = async (req, res) => {
   try {
@@ -211,14 +258,37 @@ exports.castVote = async (req, res) => {
       return res.status(400).json({ error: 'Votes are required' });
     }
 
+    // A retry carrying the same Idempotency-Key gets the original result back
+    const { key: idempotencyKey, error: keyError } = readIdempotencyKey(req);
+    if (keyError) {
+      return res.status(400).json({ error: keyError });
+    }
+    const idempotency = idempotencyKey ? createIdempotency(token, idempotencyKey, votes) : null;
+    if (idempotency) {
+      const stored = await findStoredResult(idempotency);
+      if (stored && stored.mismatch) {
+        return res.status(422).json({ error: 'This Idempotency-Key was already used with different votes' });
+      }
+      if (stored) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(stored.statusCode).json(stored.body);
+      }
+    }
+
     // Find ballot by token
     const ballot = await prisma.ballot.findUnique({
       where: { token },
       include: {
+        election: {
+          select: { status: true },
+        },
         voter: {
           select: {
             id: true,
             regNo: true,
+            program: true,
+            attributes: true,
+            status: true,
           },
         },
       },
@@ -228,11 +298,26 @@ exports.castVote = async (req, res) => {
       return res.status(404).json({ error: 'Invalid ballot token' });
     }
 
-    if (ballot.status === 'CONSUMED') {
-      return res.status(400).json({ 
-        error: 'This ballot has already been used',
-        hint: 'You can only vote once',
-      });
+    // Consumed, expired or presented by a different client
+    const ballotError = checkBallotUsable(ballot, req);
+    if (ballotError) {
+      return res.status(ballotError.status).json(ballotError.body);
+    }
+
+    if (ballot.election.status !== 'VOTING') {
+      return res.status(400).json({ error: 'Voting is not open for this election' });
+    }
+
+    // Marked ineligible or removed from the roll after the ballot was issued
+    if (ballot.voter.status !== 'ELIGIBLE') {
+      return res.status(400).json({ error: 'Voter is not eligible' });
+    }
+
+    const selections = groupSelections(votes);
+    const requestedPositionIds = [...selections.keys()];
+
+    if (requestedPositionIds.length === 0) {
+      return res.status(400).json({ error: 'Votes are required' });
     }
 
     // Validate voting window is still open
@@ -248,8 +333,9 @@ exports.castVote = async (req, res) => {
     const positions = await prisma.position.findMany({
       where: {
         id: {
-          in: votes.map((v) => v.positionId),
+          in: requestedPositionIds,
         },
+        electionId: ballot.electionId,
         votingOpens: {
           lte: now,
         },
@@ -259,13 +345,14 @@ exports.castVote = async (req, res) => {
       },
     });
 
-    console.log(`Backend castVote - found ${positions.length} open positions out of ${votes.length} requested`);
+    console.log(`Backend castVote - found ${positions.length} open positions out of ${requestedPositionIds.length} requested`);
     
-    if (positions.length !== votes.length) {
+    if (positions.length !== requestedPositionIds.length) {
       // Get position names that are not open
       const allPositions = await prisma.position.findMany({
         where: {
-          id: { in: votes.map((v) => v.positionId) },
+          id: { in: requestedPositionIds },
+          electionId: ballot.electionId,
         },
         select: { id: true, name: true, votingOpens: true, votingCloses: true },
       });
@@ -301,86 +388,171 @@ exports.castVote = async (req, res) => {
       });
     }
 
-    // Validate candidates exist and are approved
-    const candidateIds = votes.map((v) => v.candidateId);
+    // A second ballot is only for the runoffs opened since the voter last voted
+    const lastVote = await getLastVote(ballot.voter.id);
+    if (lastVote) {
+      const { votingOpens } = ballotPositionFilter(lastVote);
+      const alreadyVoted = positions.filter((position) => !position.runoffOfId || position.votingOpens <= votingOpens.gt);
+      if (alreadyVoted.length > 0) {
+        return res.status(400).json({
+          error: 'You have already voted for some of these positions',
+          hint: `Already voted: ${alreadyVoted.map((p) => p.name).join(', ')}`,
+        });
+      }
+    }
+
+    // Voters can only vote on positions in their own constituency
+    const ineligiblePositions = positions.filter((position) => !isVoterEligible(position, ballot.voter));
+    if (ineligiblePositions.length > 0) {
+      return res.status(403).json({
+        error: 'You are not eligible to vote for some of these positions',
+        hint: `Restricted to another constituency: ${ineligiblePositions.map((p) => p.name).join(', ')}`,
+      });
+    }
+
+    // Validate candidates exist, are approved and belong to the position they were picked for
     const candidates = await prisma.candidate.findMany({
       where: {
-        id: {
-          in: candidateIds,
+        positionId: {
+          in: requestedPositionIds,
         },
         status: 'APPROVED',
       },
+      select: { id: true, positionId: true },
     });
 
-    if (candidates.length !== votes.length) {
-      return res.status(400).json({ error: 'Some candidates are invalid or not approved' });
-    }
+    // Validate each position's selection (limits, no duplicates, referendum answers)
+    for (const position of positions) {
+      const selectionError = validatePositionSelection(
+        position,
+        selections.get(position.id),
+        candidates.filter((c) => c.positionId === position.id)
+      );
 
-    // Validate one vote per position
-    const positionIds = votes.map((v) => v.positionId);
-    const uniquePositions = new Set(positionIds);
-    if (uniquePositions.size !== positionIds.length) {
-      return res.status(400).json({ error: 'Cannot vote multiple times for the same position' });
+      if (selectionError) {
+        return res.status(400).json({ error: selectionError });
+      }
     }
 
-    // Check if voter already voted for any of these positions
-    const existingVotes = await prisma.vote.findMany({
-      where: {
-        ballotId: ballot.id,
-        positionId: {
-          in: positionIds,
-        },
-      },
+    // One vote record per selected candidate (ranked positions keep the preference order)
+    // and a single candidate-less record per referendum answer or abstention
+    const positionsById = Object.fromEntries(positions.map((p) => [p.id, p]));
+    const voteData = requestedPositionIds.flatMap((positionId) => {
+      const position = positionsById[positionId];
+      const { candidateIds, choices } = selections.get(positionId);
+
+      if (isReferendum(position) || choices.length > 0) {
+        return [{ positionId, candidateId: null, choice: choices[0] }];
+      }
+
+      return candidateIds.map((candidateId, index) => ({
+        positionId,
+        candidateId,
+        rank: isRanked(position) ? index + 1 : null,
+      }));
     });
 
-    if (existingVotes.length > 0) {
-      return res.status(400).json({ error: 'You have already voted for some of these positions' });
-    }
+    // Receipt commitment over the ballot contents - stored without any link to the ballot
+    const receipt = createReceipt(ballot.electionId, voteData);
+
+    const response = {
+      message: 'Vote cast successfully',
+      votes: voteData.length,
+      receipt: {
+        code: receipt.code,
+        nonce: receipt.nonce,
+        verifyAt: '/api/bulletin',
+      },
+      note: 'Your vote has been recorded. Keep your receipt code to confirm it was counted once voting closes. Thank you for participating!',
+    };
+
+    // Consume the ballot and store the votes in an anonymous envelope (transaction).
+    // Nothing links the envelope back to the ballot or voter - the ballot only
+    // records that this voter has voted.
+    // The ballot is consumed conditionally, so of two concurrent submissions
+    // with the same token only the one that flips it from ACTIVE records votes.
+    let consumed;
+    try {
+      consumed = await auditedTransaction(async (tx) => {
+        const consumedAt = new Date();
+        const { count } = await tx.ballot.updateMany({
+          where: {
+            id: ballot.id,
+            status: 'ACTIVE',
+            OR: [{ expiresAt: null }, { expiresAt: { gt: consumedAt } }],
+          },
+          data: { status: 'CONSUMED', consumedAt },
+        });
+
+        if (count === 0) {
+          return false;
+        }
 
-    // Create vote records (transaction)
-    const voteRecords = await prisma.$transaction(
-      votes.map((vote) =>
-        prisma.vote.create({
+        await tx.voteEnvelope.create({
           data: {
-            ballotId: ballot.id,
-            positionId: vote.positionId,
-            candidateId: vote.candidateId,
+            electionId: ballot.electionId,
+            votes: {
+              create: voteData,
+            },
           },
-        })
-      )
-    );
-
-    // Mark ballot as consumed
-    await prisma.ballot.update({
-      where: { id: ballot.id },
-      data: {
-        status: 'CONSUMED',
-        consumedAt: new Date(),
-      },
-    });
+        });
+        await tx.voteReceipt.create({
+          data: {
+            electionId: ballot.electionId,
+            receiptHash: receipt.code,
+          },
+        });
+        if (idempotency) {
+          await tx.idempotencyKey.create({ data: storedResultData(idempotency, 200, response) });
+        }
 
-    // Log audit (non-blocking - don't wait for it)
-    logAudit({
-      actorType: 'voter',
-      actorId: ballot.voter.id,
-      action: 'CAST_VOTE',
-      entity: 'ballot',
-      entityId: ballot.id,
-      payload: {
-        regNo: ballot.voter.regNo,
-        positionsVoted: votes.length,
-        positions: votes.map((v) => ({
-          positionId: v.positionId,
-          candidateId: v.candidateId,
-        })),
-      },
-    }).catch(err => console.error('Audit log error (non-critical):', err));
+        // Logged in the same transaction - a vote is never kept without its audit entry
+        await logAudit({
+          actorType: 'voter',
+          actorId: ballot.voter.id,
+          action: 'CAST_VOTE',
+          entity: 'ballot',
+          entityId: ballot.id,
+          payload: {
+            electionId: ballot.electionId,
+            regNo: ballot.voter.regNo,
+            positionsVoted: requestedPositionIds.length, // Never the choices - this is a secret ballot
+          },
+        }, { tx });
 
-    res.json({
-      message: 'Vote cast successfully',
-      votes: voteRecords.length,
-      note: 'Your vote has been recorded. Thank you for participating!',
-    });
+        return true;
+      });
+    } catch (error) {
+      // A concurrent retry with the same key stored its result first
+      if (!idempotency || error.code !== 'P2002') {
+        throw error;
+      }
+      consumed = false;
+    }
+
+    if (!consumed) {
+      const stored = idempotency && (await findStoredResult(idempotency));
+      if (stored && !stored.mismatch) {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(stored.statusCode).json(stored.body);
+      }
+
+      // Expired (or was replaced) while the votes were being checked
+      const latest = await prisma.ballot.findUnique({ where: { id: ballot.id } });
+      const latestError = latest.status !== 'CONSUMED' && checkBallotUsable(latest, req);
+      if (latestError) {
+        return res.status(latestError.status).json(latestError.body);
+      }
+
+      return res.status(409).json({
+        error: 'This ballot has already been used',
+        hint: 'Another submission with this ballot token was recorded first',
+      });
+    }
+
+    recordVoteCast(ballot.electionId, requestedPositionIds, !lastVote);
+
+    res.json(response);
   } catch (error) {
     console.error('Cast vote error:', error);
     res.status(500).json({ error: 'Failed to cast vote' });
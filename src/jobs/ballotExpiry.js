@@ -0,0 +1,52 @@
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const { purgeExpiredResults } = require('../utils/idempotency');
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+
+/**
+ * Mark every active ballot past its expiry as EXPIRED
+ * @returns {Promise<Number>} - Number of ballots expired
+ */
+const expireBallots = async () => {
+  const { count } = await prisma.ballot.updateMany({
+    where: {
+      status: 'ACTIVE',
+      expiresAt: { lt: new Date() },
+    },
+    data: { status: 'EXPIRED' },
+  });
+
+  if (count > 0) {
+    await logAudit({
+      actorType: 'system',
+      action: 'EXPIRE_BALLOTS',
+      entity: 'ballot',
+      payload: { expired: count },
+    });
+  }
+
+  return count;
+};
+
+/**
+ * Sweep expired ballots (and expired castVote idempotency results) on an
+ * interval (BALLOT_SWEEP_INTERVAL_SECONDS, default 60)
+ * @returns {NodeJS.Timeout}
+ */
+const startBallotExpiryJob = () => {
+  const seconds = parseInt(process.env.BALLOT_SWEEP_INTERVAL_SECONDS, 10) || DEFAULT_INTERVAL_SECONDS;
+
+  const timer = setInterval(() => {
+    expireBallots().catch((error) => console.error('Ballot expiry sweep error:', error));
+    purgeExpiredResults().catch((error) => console.error('Idempotency purge error:', error));
+  }, seconds * 1000);
+
+  // Don't keep the process alive just for the sweep
+  timer.unref();
+
+  console.log(`⏱️  Ballot expiry sweep every ${seconds}s`);
+  return timer;
+};
+
+module.exports = { expireBallots, startBallotExpiryJob };
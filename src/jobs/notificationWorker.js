@@ -0,0 +1,34 @@
+const { processDueNotifications } = require('../utils/notificationOutbox');
+
+const DEFAULT_INTERVAL_SECONDS = 5;
+
+/**
+ * Poll the notification outbox (NOTIFICATION_POLL_INTERVAL_SECONDS, default 5)
+ * Queued messages survive restarts; they are picked up on the first poll.
+ * @returns {NodeJS.Timeout}
+ */
+const startNotificationWorker = () => {
+  const seconds = parseInt(process.env.NOTIFICATION_POLL_INTERVAL_SECONDS, 10) || DEFAULT_INTERVAL_SECONDS;
+  let running = false;
+
+  const timer = setInterval(() => {
+    // Skip a tick rather than overlap a slow batch
+    if (running) {
+      return;
+    }
+    running = true;
+    processDueNotifications()
+      .catch((error) => console.error('Notification worker error:', error))
+      .finally(() => {
+        running = false;
+      });
+  }, seconds * 1000);
+
+  // Don't keep the process alive just for the worker
+  timer.unref();
+
+  console.log(`📨 Notification worker polling every ${seconds}s`);
+  return timer;
+};
+
+module.exports = { startNotificationWorker };
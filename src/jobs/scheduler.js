@@ -0,0 +1,374 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('../utils/auditLogger');
+const { canTransition } = require('../utils/electionContext');
+const { isVoterEligible } = require('../utils/eligibility');
+const { getTurnoutRoll } = require('../utils/rollSnapshots');
+const { settleRunoffTies } = require('../utils/runoffs');
+
+/**
+ * Lifecycle scheduler
+ *
+ * Every tick it looks at the positions of elections in NOMINATIONS or VOTING
+ * and acts once on each window boundary that has passed:
+ *   NOMINATIONS_OPENED - recorded
+ *   NOMINATIONS_CLOSED - nominations are frozen: any still awaiting review are
+ *                        rejected (none can be approved or rejected after the
+ *                        close, see candidates.controller) and the counts recorded
+ *   VOTING_OPENED      - "voting is open" notices queued for eligible voters
+ *   VOTING_CLOSED      - turnout snapshot; once the last window has closed,
+ *                        unused ballots are expired and the election moves to CLOSED
+ * Positions sharing a boundary are handled as one event. Every event is
+ * persisted in scheduler_events, so nothing fires twice across restarts and a
+ * failed event is retried on later ticks (up to MAX_ATTEMPTS).
+ *
+ * SCHEDULER_INTERVAL_SECONDS  - tick interval (default 30)
+ * SCHEDULER_VOTER_NOTICES     - "false" to skip "voting is open" notices
+ * SCHEDULER_AUTO_CLOSE        - "false" to leave closing the election to an admin
+ */
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+const MAX_ATTEMPTS = 3;
+const STALE_RUNNING_MINUTES = 10;
+const UNREVIEWED_REASON = 'Not reviewed before nominations closed';
+
+// Window boundaries per event type, and the election status they apply in
+const EVENT_TYPES = {
+  NOMINATIONS_OPENED: { field: 'nominationOpens', electionStatus: 'NOMINATIONS', candidatesOnly: true },
+  NOMINATIONS_CLOSED: { field: 'nominationCloses', electionStatus: 'NOMINATIONS', candidatesOnly: true },
+  VOTING_OPENED: { field: 'votingOpens', electionStatus: 'VOTING' },
+  VOTING_CLOSED: { field: 'votingCloses', electionStatus: 'VOTING' },
+};
+
+// "Opened" notices are pointless once the window they announce has closed
+const CLOSING_FIELD = {
+  NOMINATIONS_OPENED: 'nominationCloses',
+  VOTING_OPENED: 'votingCloses',
+};
+
+const snapshotTurnout = async (electionId) => {
+  const [{ totalVoters, votesCast, frozenVersion }, ballotsIssued] = await Promise.all([
+    getTurnoutRoll(electionId),
+    prisma.ballot.count({ where: { electionId } }),
+  ]);
+
+  return {
+    takenAt: new Date(),
+    rollVersion: frozenVersion,
+    totalVoters,
+    votesCast,
+    ballotsIssued,
+    turnout: totalVoters > 0 ? parseFloat(((votesCast / totalVoters) * 100).toFixed(2)) : 0,
+  };
+};
+
+const handlers = {
+  NOMINATIONS_OPENED: async (election, positions) => ({
+    positions: positions.map((p) => p.name),
+  }),
+
+  NOMINATIONS_CLOSED: async (election, positions) => {
+    const positionIds = positions.map((p) => p.id);
+
+    const unreviewed = await prisma.candidate.findMany({
+      where: { positionId: { in: positionIds }, status: 'SUBMITTED' },
+      select: { id: true, name: true, positionId: true },
+    });
+
+    if (unreviewed.length > 0) {
+      await prisma.candidate.updateMany({
+        where: { id: { in: unreviewed.map((candidate) => candidate.id) }, status: 'SUBMITTED' },
+        data: { status: 'REJECTED', reason: UNREVIEWED_REASON },
+      });
+
+      await logAudit({
+        actorType: 'system',
+        action: 'REJECT_UNREVIEWED_NOMINATIONS',
+        entity: 'election',
+        entityId: election.id,
+        payload: {
+          reason: UNREVIEWED_REASON,
+          candidates: unreviewed.map((candidate) => ({
+            candidateId: candidate.id,
+            name: candidate.name,
+            positionName: positions.find((p) => p.id === candidate.positionId).name,
+          })),
+        },
+      });
+    }
+
+    const counts = await prisma.candidate.groupBy({
+      by: ['status'],
+      where: { positionId: { in: positionIds } },
+      _count: { _all: true },
+    });
+
+    return {
+      positions: positions.map((p) => p.name),
+      nominationsRejected: unreviewed.length,
+      nominationsAtClose: Object.fromEntries(counts.map((c) => [c.status, c._count._all])),
+    };
+  },
+
+  VOTING_OPENED: async (election, positions) => {
+    if (process.env.SCHEDULER_VOTER_NOTICES === 'false') {
+      return { positions: positions.map((p) => p.name), noticesQueued: 0, note: 'Voter notices disabled' };
+    }
+
+    // Voters who already voted still hear about runoffs opened since their last ballot
+    const voters = await prisma.eligibleVoter.findMany({
+      where: { electionId: election.id, status: 'ELIGIBLE' },
+      select: {
+        phone: true,
+        email: true,
+        program: true,
+        attributes: true,
+        ballots: {
+          where: { status: 'CONSUMED' },
+          orderBy: { consumedAt: 'desc' },
+          take: 1,
+          select: { consumedAt: true },
+        },
+      },
+    });
+
+    const names = positions.map((p) => p.name);
+    // Same rule as ballotPositionFilter (utils/runoffs.js): after voting, only later runoffs
+    const canVoteOn = (voter, position) => {
+      const [lastVote] = voter.ballots;
+      if (!lastVote) {
+        return true;
+      }
+      return Boolean(position.runoffOfId) && position.votingOpens > (lastVote.consumedAt || new Date(0));
+    };
+
+    const notices = voters
+      .filter((voter) => voter.phone || voter.email)
+      .map((voter) => ({
+        voter,
+        open: positions.filter((position) => isVoterEligible(position, voter) && canVoteOn(voter, position)),
+      }))
+      .filter(({ open }) => open.length > 0)
+      .map(({ voter, open }) => ({
+        channel: voter.phone ? 'sms' : 'email',
+        recipient: voter.phone || voter.email,
+        template: 'MESSAGE',
+        payload: {
+          subject: `${election.name}: voting is open`,
+          message: `Voting is now open in ${election.name} for: ${open.map((p) => p.name).join(', ')}. ` +
+            `Voting closes ${open[0].votingCloses.toLocaleString()}. Verify with your registration number to vote.`,
+        },
+        expiresAt: open[0].votingCloses,
+      }));
+
+    if (notices.length > 0) {
+      await prisma.notification.createMany({ data: notices });
+    }
+
+    return { positions: names, noticesQueued: notices.length };
+  },
+
+  VOTING_CLOSED: async (election, positions) => {
+    const turnout = await snapshotTurnout(election.id);
+
+    // A closed runoff awards the tie it was held for
+    const runoffsSettled = await settleRunoffTies(election);
+
+    // Anything still open or yet to open keeps the election running
+    const stillOpen = await prisma.position.count({
+      where: { electionId: election.id, votingCloses: { gt: new Date() } },
+    });
+
+    const result = {
+      positions: positions.map((p) => p.name),
+      turnout,
+      runoffsSettled: runoffsSettled.length,
+      ballotsExpired: 0,
+      electionClosed: false,
+    };
+
+    if (stillOpen > 0) {
+      return result;
+    }
+
+    const expired = await prisma.ballot.updateMany({
+      where: { electionId: election.id, status: 'ACTIVE' },
+      data: { status: 'EXPIRED' },
+    });
+    result.ballotsExpired = expired.count;
+
+    if (process.env.SCHEDULER_AUTO_CLOSE !== 'false' && canTransition(election, 'CLOSED')) {
+      await prisma.election.update({
+        where: { id: election.id },
+        data: { status: 'CLOSED' },
+      });
+      result.electionClosed = true;
+
+      await logAudit({
+        actorType: 'system',
+        action: 'UPDATE_ELECTION_STATUS',
+        entity: 'election',
+        entityId: election.id,
+        payload: { name: election.name, from: election.status, to: 'CLOSED', reason: 'All voting windows closed' },
+      });
+    }
+
+    return result;
+  },
+};
+
+// Claim an event: create it, or take over a failed one that still has attempts left
+const claimEvent = async ({ key, election, type, scheduledFor, positions }) => {
+  try {
+    return await prisma.schedulerEvent.create({
+      data: {
+        key,
+        electionId: election.id,
+        type,
+        scheduledFor,
+        positionIds: positions.map((p) => p.id),
+      },
+    });
+  } catch (error) {
+    if (error.code !== 'P2002') {
+      throw error;
+    }
+  }
+
+  const retried = await prisma.schedulerEvent.updateMany({
+    where: { key, status: 'FAILED', attempts: { lt: MAX_ATTEMPTS } },
+    data: { status: 'RUNNING', attempts: { increment: 1 }, startedAt: new Date(), error: null },
+  });
+
+  return retried.count > 0 ? prisma.schedulerEvent.findUnique({ where: { key } }) : null;
+};
+
+/**
+ * Run one event's handler and record the outcome
+ * @param {Object} event - SchedulerEvent row (status RUNNING)
+ * @param {Object} election
+ * @param {Array<Object>} positions
+ */
+const runEvent = async (event, election, positions) => {
+  try {
+    const result = await handlers[event.type](election, positions);
+
+    await prisma.schedulerEvent.update({
+      where: { id: event.id },
+      data: { status: 'SUCCEEDED', result, finishedAt: new Date() },
+    });
+
+    await logAudit({
+      actorType: 'system',
+      action: `SCHEDULER_${event.type}`,
+      entity: 'election',
+      entityId: election.id,
+      payload: { eventId: event.id, scheduledFor: event.scheduledFor, ...result },
+    });
+  } catch (error) {
+    console.error(`Scheduler event ${event.type} failed:`, error);
+
+    await prisma.schedulerEvent.update({
+      where: { id: event.id },
+      data: { status: 'FAILED', error: error.message, finishedAt: new Date(), result: Prisma.DbNull },
+    });
+  }
+};
+
+/**
+ * One scheduler tick
+ * @returns {Promise<Number>} - Number of events run
+ */
+const runScheduler = async () => {
+  const now = new Date();
+
+  // Events left RUNNING by a crashed process become retryable
+  await prisma.schedulerEvent.updateMany({
+    where: {
+      status: 'RUNNING',
+      startedAt: { lt: new Date(now.getTime() - STALE_RUNNING_MINUTES * 60 * 1000) },
+    },
+    data: { status: 'FAILED', error: 'Interrupted (process stopped while running)' },
+  });
+
+  const elections = await prisma.election.findMany({
+    where: { status: { in: ['NOMINATIONS', 'VOTING'] } },
+    include: { positions: true },
+  });
+
+  let ran = 0;
+
+  for (const election of elections) {
+    for (const [type, config] of Object.entries(EVENT_TYPES)) {
+      if (election.status !== config.electionStatus) {
+        continue;
+      }
+
+      // Group the election's positions by this boundary
+      const boundaries = new Map();
+      election.positions
+        .filter((position) => !config.candidatesOnly || position.questionType === 'CANDIDATE')
+        .filter((position) => position[config.field] <= now)
+        .filter((position) => !CLOSING_FIELD[type] || position[CLOSING_FIELD[type]] > now)
+        .forEach((position) => {
+          const at = position[config.field].toISOString();
+          if (!boundaries.has(at)) {
+            boundaries.set(at, []);
+          }
+          boundaries.get(at).push(position);
+        });
+
+      for (const [at, positions] of boundaries) {
+        const event = await claimEvent({
+          key: `${type}:${election.id}:${at}`,
+          election,
+          type,
+          scheduledFor: new Date(at),
+          positions,
+        });
+
+        if (event) {
+          await runEvent(event, election, positions);
+          ran++;
+        }
+      }
+    }
+  }
+
+  return ran;
+};
+
+/**
+ * Run the scheduler on an interval
+ * @returns {NodeJS.Timeout}
+ */
+const startScheduler = () => {
+  const seconds = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS, 10) || DEFAULT_INTERVAL_SECONDS;
+  let running = false;
+
+  const tick = () => {
+    // Skip a tick rather than overlap a slow one
+    if (running) {
+      return;
+    }
+    running = true;
+    runScheduler()
+      .catch((error) => console.error('Scheduler error:', error))
+      .finally(() => {
+        running = false;
+      });
+  };
+
+  const timer = setInterval(tick, seconds * 1000);
+
+  // Don't keep the process alive just for the scheduler
+  timer.unref();
+
+  // Catch up on anything that passed while the server was down
+  tick();
+
+  console.log(`🗓️  Scheduler running every ${seconds}s`);
+  return timer;
+};
+
+module.exports = { runScheduler, startScheduler };
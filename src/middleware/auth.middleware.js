@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const { prisma } = require('../config/prisma');
+const { redeemStreamTicket } = require('../utils/streamTickets');
 
 // Verify JWT token
 const authenticate = async (req, res, next) => {
@@ -43,6 +44,48 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Authenticate the live stream with a single-use ticket (?ticket=) rather than
+// the session token, which would end up in access logs (see utils/streamTickets.js)
+const authenticateStreamTicket = async (req, res, next) => {
+  try {
+    if (typeof req.query.ticket !== 'string') {
+      return res.status(401).json({ error: 'No stream ticket provided', hint: 'Get one from POST /api/reports/live/ticket' });
+    }
+
+    const ticket = redeemStreamTicket(req.query.ticket);
+    if (!ticket) {
+      return res.status(401).json({ error: 'Stream ticket already used', hint: 'Get a new one from POST /api/reports/live/ticket' });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: ticket.userId },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        status: true
+      }
+    });
+
+    if (!user || user.status !== 'ACTIVE') {
+      return res.status(401).json({ error: 'Invalid or inactive user' });
+    }
+
+    req.user = user;
+    req.streamTicket = ticket;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({ error: 'Invalid stream ticket' });
+    }
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Stream ticket expired' });
+    }
+    return res.status(500).json({ error: 'Authentication error' });
+  }
+};
+
 // Role-based authorization
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -61,5 +104,5 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { authenticate, authorize };
+module.exports = { authenticate, authorize, authenticateStreamTicket };
 
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const bulletinController = require('../controllers/bulletin.controller');
+
+// Public routes - anyone can inspect the bulletin board, check a receipt and read certified results
+router.get('/', bulletinController.getBulletin);
+router.get('/results', bulletinController.getResults);
+router.get('/:code', bulletinController.checkReceipt);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const electionsController = require('../controllers/elections.controller');
+const certificationController = require('../controllers/certification.controller');
+const rollController = require('../controllers/roll.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// Public route - Get the current election (for voters and candidates)
+router.get('/current', electionsController.getCurrentElection);
+
+// All other routes require authentication
+router.use(authenticate);
+
+router.get('/', electionsController.getAllElections);
+router.get('/:id', electionsController.getElectionById);
+
+// Admin only routes
+router.post('/', authorize('ADMIN'), electionsController.createElection);
+router.put('/:id', authorize('ADMIN'), electionsController.updateElection);
+router.patch('/:id/status', authorize('ADMIN'), electionsController.updateStatus);
+router.patch('/:id/switch', authorize('ADMIN'), electionsController.switchElection);
+router.patch('/:id/archive', authorize('ADMIN'), electionsController.archiveElection);
+
+// Results certification - admins certify, officers co-sign
+router.get('/:id/certification', authorize('ADMIN', 'OFFICER'), certificationController.getCertification);
+router.post('/:id/certify', authorize('ADMIN'), certificationController.certifyResults);
+router.post('/:id/certification/sign', authorize('ADMIN', 'OFFICER'), certificationController.signCertification);
+router.delete('/:id/certification', authorize('ADMIN'), certificationController.cancelCertification);
+
+// Voter roll freeze and snapshots
+router.get('/:id/roll/snapshots', authorize('ADMIN', 'OFFICER'), rollController.getRollSnapshots);
+router.get('/:id/roll/snapshots/:version', authorize('ADMIN', 'OFFICER'), rollController.getRollSnapshot);
+router.post('/:id/roll/freeze', authorize('ADMIN'), rollController.freezeRoll);
+router.post('/:id/roll/unfreeze', authorize('ADMIN'), rollController.unfreezeRoll);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const notificationsController = require('../controllers/notifications.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// All notification routes require admin authentication
+router.use(authenticate);
+router.use(authorize('ADMIN'));
+
+router.get('/', notificationsController.getNotifications);
+router.post('/:id/resend', notificationsController.resendNotification);
+
+module.exports = router;
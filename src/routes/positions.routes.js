@@ -20,6 +20,9 @@ router.post('/', authorize('ADMIN'), positionsController.createPosition);
 router.put('/:id', authorize('ADMIN'), positionsController.updatePosition);
 router.patch('/:id/extend', authorize('ADMIN'), positionsController.extendTime);
 router.delete('/:id', authorize('ADMIN'), positionsController.deletePosition);
+router.post('/:id/tie/resolve', authorize('ADMIN'), positionsController.resolveTie);
+router.delete('/:id/tie', authorize('ADMIN'), positionsController.clearTieResolution);
+router.post('/:id/runoff', authorize('ADMIN'), positionsController.createRunoff);
 
 module.exports = router;
 
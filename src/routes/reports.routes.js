@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const reportsController = require('../controllers/reports.controller');
-const { authenticate, authorize } = require('../middleware/auth.middleware');
+const { authenticate, authorize, authenticateStreamTicket } = require('../middleware/auth.middleware');
+
+// Live stream - registered first: it authenticates with a stream ticket, not the session token
+router.get('/live', authenticateStreamTicket, authorize('ADMIN'), reportsController.streamLive);
 
 // All report routes require admin authentication
 router.use(authenticate);
@@ -9,7 +12,9 @@ router.use(authorize('ADMIN'));
 
 router.get('/turnout', reportsController.getTurnout);
 router.get('/results', reportsController.getResults);
+router.post('/live/ticket', reportsController.createLiveTicket);
 router.get('/audit', reportsController.getAuditLog);
+router.get('/audit/verify', reportsController.verifyAuditLog);
 router.get('/export/:type', reportsController.exportReport);
 
 module.exports = router;
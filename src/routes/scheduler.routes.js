@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const schedulerController = require('../controllers/scheduler.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// All scheduler routes require admin authentication
+router.use(authenticate);
+router.use(authorize('ADMIN'));
+
+router.get('/events', schedulerController.getEvents);
+router.post('/run', schedulerController.runNow);
+router.post('/events/:id/retry', schedulerController.retryEvent);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const smsController = require('../controllers/sms.controller');
+const { authenticate, authorize } = require('../middleware/auth.middleware');
+
+// All SMS routes require admin authentication
+router.use(authenticate);
+router.use(authorize('ADMIN'));
+
+router.get('/outbox', smsController.getOutbox);
+router.delete('/outbox', smsController.clearOutbox);
+
+module.exports = router;
@@ -24,8 +24,17 @@ router.use(authenticate);
 router.use(authorize('ADMIN'));
 
 router.post('/import', upload.single('file'), votersController.importCSV);
+router.get('/imports', votersController.getImports);
+router.get('/imports/:importId', votersController.getImport);
 router.get('/', votersController.getAllVoters);
+router.get('/export', votersController.exportVoters);
 router.delete('/all', votersController.deleteAllVoters);
+router.post('/', votersController.createVoter);
+router.get('/:id', votersController.getVoterById);
+router.patch('/:id', votersController.updateVoter);
+router.post('/:id/ineligible', votersController.markIneligible);
+router.post('/:id/reinstate', votersController.reinstateVoter);
+router.patch('/:id/unlock', votersController.unlockVoter);
 
 module.exports = router;
 
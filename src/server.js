@@ -2,6 +2,11 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const { testConnection } = require('./config/prisma');
+const { startBallotExpiryJob } = require('./jobs/ballotExpiry');
+const { startNotificationWorker } = require('./jobs/notificationWorker');
+const { startScheduler } = require('./jobs/scheduler');
+const { getSMSProvider } = require('./utils/smsService');
+const { resealRedactedEntries } = require('./utils/auditLogger');
 
 // dotenv is already loaded in prisma.js, but load again to ensure all vars are available
 dotenv.config();
@@ -41,7 +46,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Election-Id', 'X-Ballot-Token', 'X-Client-Id', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Request logging middleware (for debugging)
@@ -69,12 +75,20 @@ app.use('/uploads', express.static('uploads', {
 app.use('/api/auth', require('./routes/auth.routes'));
 app.use('/api/admin', require('./routes/admin-recovery.routes')); // Admin recovery
 app.use('/api/users', require('./routes/users.routes')); // Admin user management
+app.use('/api/elections', require('./routes/elections.routes')); // Election cycles
 app.use('/api/positions', require('./routes/positions.routes'));
 app.use('/api/candidates', require('./routes/candidates.routes'));
 app.use('/api/voters', require('./routes/voters.routes')); // Voter management
 app.use('/api/verify', require('./routes/verification.routes'));
 app.use('/api/vote', require('./routes/votes.routes'));
 app.use('/api/reports', require('./routes/reports.routes'));
+app.use('/api/bulletin', require('./routes/bulletin.routes')); // Public receipt bulletin board
+// SMS outbox (staging/tests) - it holds OTPs in plain text, so never in production
+if (process.env.NODE_ENV !== 'production') {
+  app.use('/api/sms', require('./routes/sms.routes'));
+}
+app.use('/api/notifications', require('./routes/notifications.routes')); // Delivery tracking and re-sends
+app.use('/api/scheduler', require('./routes/scheduler.routes')); // Window open/close events
 app.use('/api/email', require('./routes/email-test.routes')); // Email test endpoint
 
 // Health check
@@ -100,9 +114,28 @@ const PORT = process.env.PORT || 5656;
 
 // Test database connection before starting server
 async function startServer() {
+  // Refuse to start with an SMS provider that is not allowed here (the outbox in production)
+  try {
+    getSMSProvider();
+  } catch (error) {
+    console.error(`\n❌ ${error.message}`);
+    process.exit(1);
+  }
+
   try {
     // Test database connection
     await testConnection();
+
+    // Entries redacted by a migration must be back in the chain before anything is appended
+    try {
+      const resealed = await resealRedactedEntries();
+      if (resealed) {
+        console.log(`🔏 Audit chain re-sealed from entry ${resealed.fromSequence} (${resealed.redactedSequences.length} redacted entries)`);
+      }
+    } catch (error) {
+      console.error('\n❌ Failed to re-seal the audit chain:', error);
+      process.exit(1);
+    }
     
     // Start server
     const env = process.env.NODE_ENV || 'development';
@@ -116,6 +149,11 @@ async function startServer() {
       console.log(`📝 Environment: ${env}`);
       console.log(`🌐 Access at: ${accessUrl}`);
     });
+
+    // Background jobs
+    startBallotExpiryJob();
+    startNotificationWorker();
+    startScheduler();
   } catch (error) {
     console.error('\n❌ Failed to start server due to database connection error');
     process.exit(1);
@@ -1,7 +1,96 @@
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
 const { prisma } = require('../config/prisma');
 
+// Concurrent writers can race for the same sequence number; the unique index
+// rejects the loser, which then retries on top of the new chain head
+const MAX_APPEND_ATTEMPTS = 5;
+const RETRY_DELAY_MS = 20;
+const VERIFY_BATCH_SIZE = 500;
+const RESEAL_TIMEOUT_MS = 120000; // Re-sealing rewrites every entry after the first redacted one
+
+const isSequenceConflict = (error) =>
+  error.code === 'P2002' && String(error.meta?.target || '').includes('sequence');
+
+// Back off a little (with jitter) so retrying writers don't collide again
+const retryDelay = (attempt) =>
+  new Promise((resolve) => setTimeout(resolve, RETRY_DELAY_MS * attempt * (1 + Math.random())));
+
+// Thrown once every attempt lost the race - deliberately not a P2002, so
+// callers don't mistake it for a conflict on their own records
+const appendFailed = (error) => {
+  const failure = new Error(`Could not append to the audit log after ${MAX_APPEND_ATTEMPTS} attempts`);
+  failure.cause = error;
+  return failure;
+};
+
+/**
+ * JSON.stringify with object keys sorted at every level
+ * MySQL reorders keys inside JSON columns, so hashes must not depend on key order
+ * @param {*} value
+ * @returns {String}
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => stableStringify(item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Compute the chain hash of an audit entry
+ * @param {Object} entry - Audit log row (sequence, prevHash, createdAt and the logged fields)
+ * @returns {String} - Hex sha256
+ */
+const computeAuditHash = (entry) =>
+  crypto
+    .createHash('sha256')
+    .update(stableStringify({
+      sequence: entry.sequence,
+      prevHash: entry.prevHash || null,
+      actorType: entry.actorType,
+      actorId: entry.actorId || null,
+      action: entry.action,
+      entity: entry.entity || null,
+      entityId: entry.entityId || null,
+      payload: entry.payload ?? null,
+      createdAt: new Date(entry.createdAt).toISOString(),
+    }))
+    .digest('hex');
+
+// Append one entry on top of the current chain head, inside transaction `tx`
+const appendEntry = async (tx, data) => {
+  const [head] = await tx.$queryRaw`
+    SELECT sequence, hash FROM audit_logs ORDER BY sequence DESC LIMIT 1 FOR UPDATE
+  `;
+
+  const entry = {
+    ...data,
+    sequence: head ? Number(head.sequence) + 1 : 1,
+    prevHash: head?.hash || null,
+    createdAt: new Date(),
+  };
+
+  return tx.auditLog.create({
+    data: {
+      ...entry,
+      payload: entry.payload ?? Prisma.DbNull, // Nullable JSON columns need an explicit DB NULL
+      hash: computeAuditHash(entry),
+    },
+  });
+};
+
 /**
  * Log an action to the audit log
+ * Security-relevant actions must not go unlogged: pass `tx` to write the entry
+ * in the caller's transaction (see auditedTransaction), so a failed write
+ * rolls the action back instead of being dropped.
  * @param {Object} params - Audit log parameters
  * @param {String} params.actorType - Type of actor (admin, officer, candidate, voter, system)
  * @param {String} params.actorId - ID of the actor (optional)
@@ -9,24 +98,220 @@ const { prisma } = require('../config/prisma');
  * @param {String} params.entity - Entity type (e.g., "position", "candidate")
  * @param {String} params.entityId - ID of the entity (optional)
  * @param {Object} params.payload - Additional data (optional)
+ * @param {{tx: Object}} options - Optional
  */
-const logAudit = async ({ actorType, actorId, action, entity, entityId, payload }) => {
-  try {
-    await prisma.auditLog.create({
-      data: {
-        actorType,
-        actorId: actorId || null,
-        action,
-        entity: entity || null,
-        entityId: entityId || null,
-        payload: payload ? JSON.parse(JSON.stringify(payload)) : null
+const logAudit = async ({ actorType, actorId, action, entity, entityId, payload }, { tx } = {}) => {
+  const data = {
+    actorType,
+    actorId: actorId || null,
+    action,
+    entity: entity || null,
+    entityId: entityId || null,
+    payload: payload ? JSON.parse(JSON.stringify(payload)) : null
+  };
+
+  // Inside the caller's transaction a failure rolls the whole action back
+  if (tx) {
+    await appendEntry(tx, data);
+    return;
+  }
+
+  for (let attempt = 1; attempt <= MAX_APPEND_ATTEMPTS; attempt++) {
+    try {
+      await prisma.$transaction((client) => appendEntry(client, data));
+      return;
+    } catch (error) {
+      if (isSequenceConflict(error) && attempt < MAX_APPEND_ATTEMPTS) {
+        await retryDelay(attempt);
+        continue;
       }
+      console.error('Failed to log audit:', error);
+      // Don't throw - routine audit logging failure shouldn't break the app
+      return;
+    }
+  }
+};
+
+/**
+ * Run a write and its audit entry in one transaction, so neither is kept
+ * without the other. `fn` receives the transaction client and logs with
+ * logAudit(entry, { tx }); the whole transaction is retried if it loses the
+ * race for the next chain sequence number.
+ * @param {Function} fn - async (tx) => result
+ * @param {Object} options - Interactive transaction options (optional)
+ * @returns {Promise<*>} - Whatever fn returns
+ */
+const auditedTransaction = async (fn, options) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(fn, options);
+    } catch (error) {
+      if (!isSequenceConflict(error)) {
+        throw error;
+      }
+      if (attempt >= MAX_APPEND_ATTEMPTS) {
+        throw appendFailed(error);
+      }
+      await retryDelay(attempt);
+    }
+  }
+};
+
+/**
+ * Walk the whole audit chain and report the first broken link
+ * Entries written before chaining was introduced have no hash; they must all
+ * come before the first hashed entry. Sequence gaps reveal deleted entries,
+ * hash mismatches reveal edited ones.
+ * @returns {Promise<{valid: Boolean, checked: Number, unhashed: Number, head: Object|null, brokenAt: Object|null}>}
+ */
+const verifyAuditChain = async () => {
+  let previous = null;
+  let checked = 0;
+  let unhashed = 0;
+
+  const fail = (entry, expectedSequence, reason) => ({
+    valid: false,
+    checked,
+    unhashed,
+    head: previous && { sequence: previous.sequence, hash: previous.hash, createdAt: previous.createdAt },
+    brokenAt: {
+      id: entry?.id || null,
+      sequence: entry ? entry.sequence : null,
+      expectedSequence,
+      reason,
+    },
+  });
+
+  for (;;) {
+    const batch = await prisma.auditLog.findMany({
+      where: previous ? { sequence: { gt: previous.sequence } } : {},
+      orderBy: { sequence: 'asc' },
+      take: VERIFY_BATCH_SIZE,
     });
-  } catch (error) {
-    console.error('Failed to log audit:', error);
-    // Don't throw - audit logging failure shouldn't break the app
+
+    for (const entry of batch) {
+      const expectedSequence = previous ? previous.sequence + 1 : 1;
+
+      if (entry.sequence !== expectedSequence) {
+        return fail(entry, expectedSequence, 'Sequence gap - one or more entries are missing');
+      }
+
+      if (!entry.hash) {
+        if (previous?.hash) {
+          return fail(entry, expectedSequence, 'Entry is missing its hash');
+        }
+        unhashed++;
+      } else {
+        if ((entry.prevHash || null) !== (previous?.hash || null)) {
+          return fail(entry, expectedSequence, 'Previous hash does not match the preceding entry');
+        }
+        if (computeAuditHash(entry) !== entry.hash) {
+          return fail(entry, expectedSequence, 'Entry contents do not match its hash');
+        }
+      }
+
+      previous = entry;
+      checked++;
+    }
+
+    if (batch.length < VERIFY_BATCH_SIZE) {
+      break;
+    }
   }
+
+  return {
+    valid: true,
+    checked,
+    unhashed,
+    head: previous && { sequence: previous.sequence, hash: previous.hash, createdAt: previous.createdAt },
+    brokenAt: null,
+  };
 };
 
-module.exports = { logAudit };
+/**
+ * Latest entry in the chain
+ * @returns {Promise<{sequence: Number, hash: String|null, createdAt: Date}|null>}
+ */
+const getAuditChainHead = () =>
+  prisma.auditLog.findFirst({
+    orderBy: { sequence: 'desc' },
+    select: { sequence: true, hash: true, createdAt: true },
+  });
+
+/**
+ * Re-seal the chain over entries redacted after they were hashed
+ * The anonymous-envelope migration strips ballot choices from CAST_VOTE
+ * entries (payload.choicesRedacted), including entries the chain already
+ * covered, whose hashes then no longer match. From the first of them on every
+ * hash is recomputed, and a RESEAL_AUDIT_CHAIN entry records which entries were
+ * redacted and the head the chain had before, so anyone holding that head can
+ * see the chain was rewritten and why.
+ * @returns {Promise<Object|null>} - The RESEAL_AUDIT_CHAIN payload, or null if nothing needed re-sealing
+ */
+const resealRedactedEntries = async () => {
+  const candidates = await prisma.auditLog.findMany({
+    where: { action: 'CAST_VOTE', hash: { not: null }, payload: { path: '$.choicesRedacted', equals: true } },
+    orderBy: { sequence: 'asc' },
+  });
+  const redacted = candidates.filter((entry) => computeAuditHash(entry) !== entry.hash);
+
+  if (redacted.length === 0) {
+    return null;
+  }
 
+  return auditedTransaction(async (tx) => {
+    const [head] = await tx.$queryRaw`
+      SELECT sequence, hash FROM audit_logs ORDER BY sequence DESC LIMIT 1 FOR UPDATE
+    `;
+    const previousHead = { sequence: Number(head.sequence), hash: head.hash };
+
+    const fromSequence = redacted[0].sequence;
+    const previous = await tx.auditLog.findUnique({ where: { sequence: fromSequence - 1 }, select: { hash: true } });
+    let prevHash = previous?.hash || null;
+    let cursor = fromSequence - 1;
+    let resealed = 0;
+
+    for (;;) {
+      const batch = await tx.auditLog.findMany({
+        where: { sequence: { gt: cursor } },
+        orderBy: { sequence: 'asc' },
+        take: VERIFY_BATCH_SIZE,
+      });
+
+      for (const entry of batch) {
+        const hash = computeAuditHash({ ...entry, prevHash });
+        if (hash !== entry.hash || prevHash !== (entry.prevHash || null)) {
+          await tx.auditLog.update({ where: { id: entry.id }, data: { prevHash, hash } });
+          resealed++;
+        }
+        prevHash = hash;
+        cursor = entry.sequence;
+      }
+
+      if (batch.length < VERIFY_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    const payload = {
+      reason: 'Ballot choices redacted from CAST_VOTE entries',
+      redactedSequences: redacted.map((entry) => entry.sequence),
+      fromSequence,
+      entriesResealed: resealed,
+      previousHead,
+    };
+
+    await logAudit({ actorType: 'system', action: 'RESEAL_AUDIT_CHAIN', entity: 'audit_log', payload }, { tx });
+    return payload;
+  }, { timeout: RESEAL_TIMEOUT_MS });
+};
+
+module.exports = {
+  logAudit,
+  auditedTransaction,
+  computeAuditHash,
+  verifyAuditChain,
+  getAuditChainHead,
+  resealRedactedEntries,
+  stableStringify,
+};
@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+
+/**
+ * Ballot token lifetime and client binding
+ *
+ * BALLOT_TOKEN_TTL_MINUTES    - how long an issued ballot stays usable (default 30)
+ * BALLOT_CLIENT_BINDING       - "off" (default), "client" or "strict"
+ *   client: the token only works from the client that verified the OTP,
+ *           identified by its X-Client-Id header (or User-Agent when absent)
+ *   strict: as "client", and from the same IP address as well
+ */
+
+const DEFAULT_TTL_MINUTES = 30;
+const BINDING_MODES = ['off', 'client', 'strict'];
+
+/**
+ * Configured ballot lifetime in minutes
+ * @returns {Number}
+ */
+const getBallotTtlMinutes = () => {
+  const minutes = parseInt(process.env.BALLOT_TOKEN_TTL_MINUTES, 10);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : DEFAULT_TTL_MINUTES;
+};
+
+/**
+ * Expiry time for a ballot issued at the given moment
+ * @param {Date} issuedAt
+ * @returns {Date}
+ */
+const computeBallotExpiry = (issuedAt = new Date()) =>
+  new Date(issuedAt.getTime() + getBallotTtlMinutes() * 60 * 1000);
+
+const getBindingMode = () => {
+  const mode = (process.env.BALLOT_CLIENT_BINDING || 'off').trim().toLowerCase();
+  return BINDING_MODES.includes(mode) ? mode : 'off';
+};
+
+/**
+ * Hash identifying the requesting client, or null when binding is off
+ * @param {Object} req - Express request
+ * @returns {String|null}
+ */
+const getClientFingerprint = (req) => {
+  const mode = getBindingMode();
+  if (mode === 'off') {
+    return null;
+  }
+
+  const parts = [req.headers['x-client-id'] || req.headers['user-agent'] || ''];
+  if (mode === 'strict') {
+    parts.push(req.ip || '');
+  }
+
+  return crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+};
+
+/**
+ * Check a ballot can still be used by this request
+ * @param {Object} ballot - Ballot (needs status, expiresAt, clientHash)
+ * @param {Object} req - Express request
+ * @returns {{status: Number, body: Object}|null} - Error response, or null when usable
+ */
+const checkBallotUsable = (ballot, req) => {
+  if (ballot.status === 'CONSUMED') {
+    return {
+      status: 409,
+      body: {
+        error: 'This ballot has already been used',
+        hint: 'You can only vote once',
+      },
+    };
+  }
+
+  if (ballot.status === 'EXPIRED' || (ballot.expiresAt && ballot.expiresAt < new Date())) {
+    return {
+      status: 410,
+      body: {
+        error: 'This ballot token has expired',
+        hint: 'Verify again with a new OTP to get a fresh ballot',
+        expiredAt: ballot.expiresAt,
+      },
+    };
+  }
+
+  if (ballot.clientHash && ballot.clientHash !== getClientFingerprint(req)) {
+    return {
+      status: 403,
+      body: {
+        error: 'This ballot token was issued to a different device',
+        hint: 'Continue voting on the device you verified with, or verify again on this one',
+      },
+    };
+  }
+
+  return null;
+};
+
+module.exports = {
+  getBallotTtlMinutes,
+  computeBallotExpiry,
+  getClientFingerprint,
+  checkBallotUsable,
+};
@@ -0,0 +1,144 @@
+/**
+ * Ballot validation helpers used by castVote
+ */
+
+const RANKED_METHODS = ['IRV', 'STV'];
+const REFERENDUM_CHOICES = ['YES', 'NO', 'ABSTAIN'];
+
+/**
+ * Whether a position takes an ordered ranking instead of a set of picks
+ * @param {Object} position
+ * @returns {Boolean}
+ */
+const isRanked = (position) =>
+  position.questionType !== 'REFERENDUM' && RANKED_METHODS.includes(position.votingMethod);
+
+/**
+ * Whether a position is a YES/NO/ABSTAIN question rather than a candidate race
+ * @param {Object} position
+ * @returns {Boolean}
+ */
+const isReferendum = (position) => position.questionType === 'REFERENDUM';
+
+/**
+ * Group submitted vote entries by position
+ * Accepts { positionId, candidateId }, { positionId, candidateIds: [...] },
+ * for ranked positions { positionId, ranking: [...] } (first preference first),
+ * for referendums { positionId, choice: 'YES' | 'NO' | 'ABSTAIN' } and, to
+ * formally abstain on a candidate position, { positionId, choice: 'ABSTAIN' }
+ * (or { positionId, abstain: true }).
+ * Repeated entries for the same position are merged in submission order.
+ * @param {Array} votes - Vote entries from the request body
+ * @returns {Map<String, {candidateIds: Array<String>, choices: Array<String>}>}
+ */
+function groupSelections(votes) {
+  const selections = new Map();
+
+  votes.forEach((vote) => {
+    if (!vote || !vote.positionId) {
+      return;
+    }
+
+    const list = vote.ranking || vote.candidateIds;
+    const candidateIds = Array.isArray(list)
+      ? list
+      : [vote.candidateId].filter(Boolean);
+
+    if (!selections.has(vote.positionId)) {
+      selections.set(vote.positionId, { candidateIds: [], choices: [] });
+    }
+
+    const selection = selections.get(vote.positionId);
+    selection.candidateIds.push(...candidateIds);
+    if (vote.choice) {
+      selection.choices.push(String(vote.choice).toUpperCase());
+    } else if (vote.abstain === true) {
+      selection.choices.push('ABSTAIN');
+    }
+  });
+
+  return selections;
+}
+
+/**
+ * Validate a referendum answer
+ * @param {Object} position
+ * @param {{candidateIds: Array<String>, choices: Array<String>}} selection
+ * @returns {String|null}
+ */
+function validateReferendumSelection(position, selection) {
+  if (selection.candidateIds.length > 0) {
+    return `${position.name} is a referendum question and has no candidates`;
+  }
+
+  if (selection.choices.length !== 1) {
+    return `Choose exactly one answer for ${position.name}`;
+  }
+
+  if (!REFERENDUM_CHOICES.includes(selection.choices[0])) {
+    return `Answer for ${position.name} must be one of ${REFERENDUM_CHOICES.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate the selection made for one position
+ * Plurality positions take between minSelections and seats picks; approval and
+ * ranked positions take between minSelections and every approved candidate;
+ * any candidate position can instead be answered with a lone ABSTAIN;
+ * referendums take exactly one YES/NO/ABSTAIN answer.
+ * @param {Object} position - Position (needs name, seats, minSelections, votingMethod, questionType)
+ * @param {{candidateIds: Array<String>, choices: Array<String>}} selection
+ * @param {Array<Object>} approvedCandidates - Approved candidates of this position
+ * @returns {String|null} - Error message, or null when the selection is valid
+ */
+function validatePositionSelection(position, selection, approvedCandidates) {
+  if (isReferendum(position)) {
+    return validateReferendumSelection(position, selection);
+  }
+
+  const { candidateIds, choices } = selection;
+
+  // A formal abstention stands on its own - it cannot be mixed with candidate picks
+  if (choices.length > 0) {
+    if (choices.length === 1 && choices[0] === 'ABSTAIN' && candidateIds.length === 0) {
+      return null;
+    }
+    return `${position.name} takes either candidates or ABSTAIN`;
+  }
+
+  if (candidateIds.length === 0) {
+    return `No candidate selected for ${position.name}`;
+  }
+
+  if (new Set(candidateIds).size !== candidateIds.length) {
+    return `Cannot select the same candidate more than once for ${position.name}`;
+  }
+
+  const verb = isRanked(position) ? 'rank' : 'select';
+
+  // Only plurality caps picks at the number of seats
+  if (position.votingMethod === 'PLURALITY' && candidateIds.length > position.seats) {
+    return `You can select at most ${position.seats} candidate${position.seats !== 1 ? 's' : ''} for ${position.name}`;
+  }
+
+  if (candidateIds.length < position.minSelections) {
+    return `You must ${verb} at least ${position.minSelections} candidate${position.minSelections !== 1 ? 's' : ''} for ${position.name}`;
+  }
+
+  const approvedIds = new Set(approvedCandidates.map((c) => c.id));
+  if (!candidateIds.every((id) => approvedIds.has(id))) {
+    return `Some candidates are invalid or not approved for ${position.name}`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  REFERENDUM_CHOICES,
+  isRanked,
+  isReferendum,
+  groupSelections,
+  validatePositionSelection,
+};
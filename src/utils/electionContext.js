@@ -0,0 +1,83 @@
+const { prisma } = require('../config/prisma');
+
+/**
+ * Election lifecycle
+ *
+ * DRAFT -> NOMINATIONS -> VOTING -> CLOSED -> CERTIFIED -> ARCHIVED
+ *
+ * An election can be archived from any state except VOTING, so abandoned
+ * drafts do not have to be walked through the whole cycle.
+ */
+const ELECTION_TRANSITIONS = {
+  DRAFT: ['NOMINATIONS', 'ARCHIVED'],
+  NOMINATIONS: ['DRAFT', 'VOTING', 'ARCHIVED'],
+  VOTING: ['CLOSED'],
+  CLOSED: ['VOTING', 'CERTIFIED', 'ARCHIVED'],
+  CERTIFIED: ['ARCHIVED'],
+  ARCHIVED: [],
+};
+
+// States in which positions, candidates and the voter roll can still change
+const EDITABLE_STATUSES = ['DRAFT', 'NOMINATIONS', 'VOTING'];
+
+/**
+ * Get the election id requested by the client, if any
+ * Accepted from ?electionId=, body.electionId or the X-Election-Id header
+ * @param {Object} req - Express request
+ * @returns {String|undefined}
+ */
+const getRequestedElectionId = (req) => {
+  return req.query?.electionId || req.body?.electionId || req.headers['x-election-id'];
+};
+
+/**
+ * Resolve the election a request is scoped to
+ * Falls back to the current election when no id is supplied
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>} - Election or null if none matches
+ */
+const resolveElection = async (req) => {
+  const electionId = getRequestedElectionId(req);
+
+  if (electionId) {
+    return prisma.election.findUnique({ where: { id: electionId } });
+  }
+
+  return getCurrentElection();
+};
+
+/**
+ * Get the election currently used by public voting/nomination flows
+ * @returns {Promise<Object|null>}
+ */
+const getCurrentElection = async () => {
+  return prisma.election.findFirst({
+    where: { isCurrent: true },
+  });
+};
+
+/**
+ * Whether positions, candidates and the roll of an election can still be modified
+ * @param {Object} election
+ * @returns {Boolean}
+ */
+const isElectionEditable = (election) => EDITABLE_STATUSES.includes(election.status);
+
+/**
+ * Whether an election may move from its current status to the given one
+ * @param {Object} election
+ * @param {String} status - Target status
+ * @returns {Boolean}
+ */
+const canTransition = (election, status) => {
+  return (ELECTION_TRANSITIONS[election.status] || []).includes(status);
+};
+
+module.exports = {
+  ELECTION_TRANSITIONS,
+  getRequestedElectionId,
+  resolveElection,
+  getCurrentElection,
+  isElectionEditable,
+  canTransition,
+};
@@ -0,0 +1,98 @@
+/**
+ * Constituency eligibility rules for positions
+ *
+ * A position's `eligibility` is either null (every voter on the roll) or a list
+ * of rules such as:
+ *   [{ attribute: 'program', values: ['BSc Civil Engineering', 'BSc Electrical Engineering'] },
+ *    { attribute: 'hall', values: ['Mitchell'] }]
+ * A voter must satisfy every rule, and satisfies a rule when their attribute
+ * matches any of its values (trimmed, case-insensitive). `program` is read from
+ * the voter's program column; any other attribute comes from the extra columns
+ * imported with the voter roll (EligibleVoter.attributes).
+ */
+
+const ATTRIBUTE_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+const normalizeValue = (value) => String(value ?? '').trim().toLowerCase();
+
+/**
+ * Validate and normalize eligibility rules from a request body
+ * @param {*} rules - Rules as submitted (array, or null/[] to open the position to everyone)
+ * @returns {{rules: Array<{attribute: String, values: Array<String>}>|null, error: String|null}}
+ */
+function normalizeEligibilityRules(rules) {
+  if (rules === null || rules === undefined || (Array.isArray(rules) && rules.length === 0)) {
+    return { rules: null, error: null };
+  }
+
+  if (!Array.isArray(rules)) {
+    return { rules: null, error: 'Eligibility must be a list of { attribute, values } rules' };
+  }
+
+  const normalized = [];
+  for (const rule of rules) {
+    const attribute = normalizeValue(rule?.attribute);
+    const values = Array.isArray(rule?.values)
+      ? rule.values.map((value) => String(value).trim()).filter(Boolean)
+      : [];
+
+    if (!ATTRIBUTE_PATTERN.test(attribute)) {
+      return { rules: null, error: `Invalid eligibility attribute "${rule?.attribute}"` };
+    }
+    if (values.length === 0) {
+      return { rules: null, error: `Eligibility rule for "${attribute}" needs at least one value` };
+    }
+
+    normalized.push({ attribute, values: [...new Set(values)] });
+  }
+
+  return { rules: normalized, error: null };
+}
+
+/**
+ * Read an attribute from a voter
+ * @param {Object} voter - EligibleVoter (needs program and attributes)
+ * @param {String} attribute
+ * @returns {String|null}
+ */
+function getVoterAttribute(voter, attribute) {
+  if (attribute === 'program') {
+    return voter.program ?? null;
+  }
+  const attributes = voter.attributes && typeof voter.attributes === 'object' ? voter.attributes : {};
+  return attributes[attribute] ?? null;
+}
+
+/**
+ * Whether a voter belongs to a position's constituency
+ * @param {Object} position - Position (needs eligibility)
+ * @param {Object} voter - EligibleVoter (needs program and attributes)
+ * @returns {Boolean}
+ */
+function isVoterEligible(position, voter) {
+  const rules = Array.isArray(position.eligibility) ? position.eligibility : [];
+
+  return rules.every((rule) => {
+    const voterValue = normalizeValue(getVoterAttribute(voter, rule.attribute));
+    return voterValue !== '' && rule.values.some((value) => normalizeValue(value) === voterValue);
+  });
+}
+
+/**
+ * Human-readable constituency label, e.g. "program: BSc Civil Engineering, BSc Electrical Engineering"
+ * @param {Array<Object>|null} rules
+ * @returns {String}
+ */
+function describeConstituency(rules) {
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return 'All voters';
+  }
+  return rules.map((rule) => `${rule.attribute}: ${rule.values.join(', ')}`).join('; ');
+}
+
+module.exports = {
+  normalizeEligibilityRules,
+  getVoterAttribute,
+  isVoterEligible,
+  describeConstituency,
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/prisma');
+const { stableStringify } = require('./auditLogger');
+
+/**
+ * Idempotent vote submission
+ *
+ * A client may send an `Idempotency-Key` header with castVote. The first
+ * result for a (ballot token, key) pair is stored, and a retry with the same
+ * key and body gets that result back instead of "ballot already used".
+ *
+ * The stored result holds the voter's receipt, so it must not be linkable to
+ * the ballot: the row is looked up by a hash of the token and key, the result
+ * is encrypted with a key derived from both (neither is stored), and it keeps
+ * no creation time - only an expiry rounded up to the hour
+ * (IDEMPOTENCY_TTL_HOURS, default 24).
+ */
+
+const DEFAULT_TTL_HOURS = 24;
+const MAX_KEY_LENGTH = 128;
+const HOUR = 60 * 60 * 1000;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+/**
+ * Read the Idempotency-Key header
+ * @param {Object} req - Express request
+ * @returns {{key: String|null, error: String|null}}
+ */
+const readIdempotencyKey = (req) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return { key: null, error: null };
+  }
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return { key: null, error: `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters` };
+  }
+  return { key, error: null };
+};
+
+/**
+ * Everything needed to look up and store the result of one submission
+ * @param {String} token - Ballot token
+ * @param {String} key - Idempotency key
+ * @param {Object} body - Submitted votes (compared on replay)
+ * @returns {{keyHash: String, requestHash: String, secret: Buffer}}
+ */
+const createIdempotency = (token, key, body) => ({
+  keyHash: sha256(`key:${token}:${key}`).toString('hex'),
+  requestHash: sha256(stableStringify(body)).toString('hex'),
+  secret: sha256(`secret:${token}:${key}`),
+});
+
+/**
+ * Stored result for a submission, if any
+ * @param {Object} idempotency - From createIdempotency
+ * @returns {Promise<{statusCode: Number, body: Object}|{mismatch: true}|null>}
+ */
+const findStoredResult = async (idempotency) => {
+  const record = await prisma.idempotencyKey.findUnique({
+    where: { keyHash: idempotency.keyHash },
+  });
+
+  if (!record || record.expiresAt < new Date()) {
+    return null;
+  }
+
+  if (record.requestHash !== idempotency.requestHash) {
+    return { mismatch: true };
+  }
+
+  const [iv, tag, ciphertext] = record.response.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', idempotency.secret, iv);
+  decipher.setAuthTag(tag);
+  const body = JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+
+  return { statusCode: record.statusCode, body };
+};
+
+/**
+ * Row data storing a submission's result
+ * @param {Object} idempotency - From createIdempotency
+ * @param {Number} statusCode
+ * @param {Object} body - Response body
+ * @returns {Object} - Data for prisma.idempotencyKey.create
+ */
+const storedResultData = (idempotency, statusCode, body) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', idempotency.secret, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(body), 'utf8'), cipher.final()]);
+  const ttlHours = parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || DEFAULT_TTL_HOURS;
+
+  return {
+    keyHash: idempotency.keyHash,
+    requestHash: idempotency.requestHash,
+    statusCode,
+    response: [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64')).join('.'),
+    expiresAt: new Date(Math.ceil((Date.now() + ttlHours * HOUR) / HOUR) * HOUR),
+  };
+};
+
+/**
+ * Delete stored results past their expiry
+ * @returns {Promise<Number>} - Number deleted
+ */
+const purgeExpiredResults = async () => {
+  const { count } = await prisma.idempotencyKey.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+  return count;
+};
+
+module.exports = {
+  readIdempotencyKey,
+  createIdempotency,
+  findStoredResult,
+  storedResultData,
+  purgeExpiredResults,
+};
@@ -0,0 +1,180 @@
+const { EventEmitter } = require('events');
+const { prisma } = require('../config/prisma');
+const { getTurnoutRoll } = require('./rollSnapshots');
+
+/**
+ * Live turnout counters
+ *
+ * Counters for an election are loaded from the database once, when the first
+ * live stream subscribes, and from then on are bumped in memory as ballots are
+ * issued and consumed (recordBallotIssued / recordVoteCast) instead of being
+ * recounted. While anyone is subscribed they are re-read every
+ * LIVE_RESYNC_SECONDS (default 300) to pick up changes made elsewhere
+ * (roll imports, another server process, ballots cast mid-load). When the
+ * last subscriber leaves the counters are dropped.
+ */
+
+const DEFAULT_RESYNC_SECONDS = 300;
+
+const counters = new Map(); // electionId -> counters
+const loading = new Map(); // electionId -> Promise<counters>
+const subscribers = new Map(); // electionId -> Set<listener>
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+let resyncTimer = null;
+
+const loadCounters = async (electionId) => {
+  const [roll, verifiedVoters, ballotsIssued, positionBallots] = await Promise.all([
+    getTurnoutRoll(electionId),
+    prisma.verification.groupBy({ by: ['voterId'], where: { verifiedAt: { not: null }, voter: { electionId } } }),
+    prisma.ballot.count({ where: { electionId } }),
+    prisma.vote.findMany({
+      where: { position: { electionId } },
+      distinct: ['envelopeId', 'positionId'],
+      select: { positionId: true },
+    }),
+  ]);
+
+  return {
+    electionId,
+    totalVoters: roll.totalVoters,
+    verifiedVoters: verifiedVoters.length, // Voters, not verifications
+    ballotsIssued,
+    votesCast: roll.votesCast,
+    positionBallots: positionBallots.reduce((acc, vote) => {
+      acc[vote.positionId] = (acc[vote.positionId] || 0) + 1;
+      return acc;
+    }, {}),
+    syncedAt: new Date(),
+  };
+};
+
+const publish = (electionId) => {
+  emitter.emit(electionId, counters.get(electionId));
+};
+
+/**
+ * Re-read an election's counters from the database (only if they are being watched)
+ * @param {String} electionId
+ */
+const refreshCounters = async (electionId) => {
+  if (!subscribers.has(electionId)) {
+    return;
+  }
+  const fresh = await loadCounters(electionId);
+  if (subscribers.has(electionId)) {
+    counters.set(electionId, fresh);
+    publish(electionId);
+  }
+};
+
+const startResync = () => {
+  if (resyncTimer) {
+    return;
+  }
+  const seconds = parseInt(process.env.LIVE_RESYNC_SECONDS, 10) || DEFAULT_RESYNC_SECONDS;
+  resyncTimer = setInterval(() => {
+    [...subscribers.keys()].forEach((electionId) => {
+      refreshCounters(electionId).catch((error) => console.error('Live counter resync error:', error));
+    });
+  }, seconds * 1000);
+  resyncTimer.unref();
+};
+
+/**
+ * Current counters for an election, loading them on first use
+ * @param {String} electionId
+ * @returns {Promise<Object>}
+ */
+const getCounters = async (electionId) => {
+  if (counters.has(electionId)) {
+    return counters.get(electionId);
+  }
+  if (!loading.has(electionId)) {
+    loading.set(electionId, loadCounters(electionId).finally(() => loading.delete(electionId)));
+  }
+  const loaded = await loading.get(electionId);
+  // Only watched elections are kept (and kept up to date) in memory
+  if (!counters.has(electionId) && subscribers.has(electionId)) {
+    counters.set(electionId, loaded);
+  }
+  return counters.get(electionId) || loaded;
+};
+
+/**
+ * Watch an election's counters
+ * @param {String} electionId
+ * @param {Function} listener - Called with the counters after every change
+ * @returns {Function} - Unsubscribe
+ */
+const subscribe = (electionId, listener) => {
+  if (!subscribers.has(electionId)) {
+    subscribers.set(electionId, new Set());
+  }
+  subscribers.get(electionId).add(listener);
+  emitter.on(electionId, listener);
+  startResync();
+
+  return () => {
+    emitter.off(electionId, listener);
+    const listeners = subscribers.get(electionId);
+    if (!listeners) {
+      return;
+    }
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      subscribers.delete(electionId);
+      counters.delete(electionId);
+    }
+    if (subscribers.size === 0 && resyncTimer) {
+      clearInterval(resyncTimer);
+      resyncTimer = null;
+    }
+  };
+};
+
+/**
+ * A voter verified and was issued a ballot
+ * @param {String} electionId
+ * @param {Boolean} firstVerification - False when the voter had verified before (they are already counted)
+ */
+const recordBallotIssued = (electionId, firstVerification = true) => {
+  const current = counters.get(electionId);
+  if (!current) {
+    return;
+  }
+  if (firstVerification) {
+    current.verifiedVoters++;
+  }
+  current.ballotsIssued++;
+  publish(electionId);
+};
+
+/**
+ * A ballot was consumed
+ * @param {String} electionId
+ * @param {Array<String>} positionIds - Positions the ballot voted on
+ * @param {Boolean} firstVote - False for a voter's runoff ballot (they are already counted)
+ */
+const recordVoteCast = (electionId, positionIds, firstVote = true) => {
+  const current = counters.get(electionId);
+  if (!current) {
+    return;
+  }
+  if (firstVote) {
+    current.votesCast++;
+  }
+  positionIds.forEach((positionId) => {
+    current.positionBallots[positionId] = (current.positionBallots[positionId] || 0) + 1;
+  });
+  publish(electionId);
+};
+
+module.exports = {
+  getCounters,
+  subscribe,
+  refreshCounters,
+  recordBallotIssued,
+  recordVoteCast,
+};
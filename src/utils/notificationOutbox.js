@@ -0,0 +1,248 @@
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/prisma');
+const { logAudit } = require('./auditLogger');
+const { sendSMS } = require('./smsService');
+const { sendOTPEmail, sendNotificationEmail } = require('./emailService');
+
+/**
+ * Notification outbox
+ *
+ * Messages are written to the notifications table first and only then sent,
+ * so a restart or a provider timeout can't lose them. The notification worker
+ * (jobs/notificationWorker.js) picks up due messages, retries failures with
+ * exponential backoff and records the provider's message id and final status.
+ *
+ * Templates:
+ *   OTP     - payload { otp, regNo }; short-lived, linked to a Verification.
+ *             When it fails for good, the fallback channel (if any) is tried.
+ *   MESSAGE - payload { subject, message }; plain SMS text or notification email
+ */
+
+const RETRY_BASE_SECONDS = { OTP: 15, MESSAGE: 60 };
+const MAX_ATTEMPTS = { OTP: 2, MESSAGE: 5 };
+const MAX_BACKOFF_SECONDS = 30 * 60;
+const STALE_SENDING_MINUTES = 5;
+const BATCH_SIZE = 20;
+
+const CHANNEL_FIELDS = { sms: 'phone', email: 'email' };
+
+// Render and send one message over its channel
+const dispatch = async (notification) => {
+  const payload = notification.payload || {};
+
+  if (notification.channel === 'sms') {
+    const text = notification.template === 'OTP'
+      ? `Your E-Voting verification code is: ${payload.otp}\nReg No: ${payload.regNo}\nValid for 5 minutes. Do not share this code.`
+      : payload.message;
+    const result = await sendSMS(notification.recipient, text);
+    return { provider: result.provider, messageId: result.messageId };
+  }
+
+  if (notification.channel === 'email') {
+    if (notification.template === 'OTP') {
+      const result = await sendOTPEmail(notification.recipient, payload.otp, payload.regNo);
+      return { provider: 'smtp', messageId: result.messageId };
+    }
+    const result = await sendNotificationEmail(notification.recipient, payload.subject, payload.message);
+    if (!result.success) {
+      throw new Error(result.error || 'Email could not be sent');
+    }
+    return { provider: 'smtp', messageId: result.messageId };
+  }
+
+  throw new Error(`Unknown notification channel "${notification.channel}"`);
+};
+
+/**
+ * Queue a message for delivery
+ * @param {Object} params
+ * @param {String} params.channel - "sms" or "email"
+ * @param {String} params.recipient - Phone number or email address
+ * @param {String} params.template - "OTP" or "MESSAGE"
+ * @param {Object} params.payload - Template data
+ * @param {String} params.verificationId - Verification the OTP belongs to (optional)
+ * @param {String} params.fallbackChannel - Channel to try if this one fails for good (optional)
+ * @param {Date} params.expiresAt - Give up after this time (optional)
+ * @returns {Promise<Object>} - The notification row
+ */
+const enqueueNotification = ({ channel, recipient, template, payload, verificationId, fallbackChannel, expiresAt }) =>
+  prisma.notification.create({
+    data: {
+      channel,
+      recipient,
+      template,
+      payload,
+      maxAttempts: MAX_ATTEMPTS[template] || MAX_ATTEMPTS.MESSAGE,
+      verificationId: verificationId || null,
+      fallbackChannel: fallbackChannel || null,
+      expiresAt: expiresAt || null,
+    },
+  });
+
+// A notification has failed for good - record it and hand OTPs over to the fallback channel
+const finalizeFailure = async (notification, errorMessage) => {
+  const isOTP = notification.template === 'OTP';
+
+  await prisma.notification.update({
+    where: { id: notification.id },
+    data: {
+      status: 'FAILED',
+      lastError: errorMessage,
+      ...(isOTP && { payload: Prisma.DbNull }), // Never keep OTPs longer than needed
+    },
+  });
+
+  await logAudit({
+    actorType: 'system',
+    action: isOTP ? `OTP_${notification.channel.toUpperCase()}_FAILED` : 'NOTIFICATION_FAILED',
+    entity: isOTP ? 'verification' : 'notification',
+    entityId: isOTP ? notification.verificationId : notification.id,
+    payload: {
+      notificationId: notification.id,
+      channel: notification.channel,
+      attempts: notification.attempts,
+      error: errorMessage,
+      fallback: notification.fallbackChannel,
+    },
+  });
+
+  if (!notification.verificationId) {
+    return;
+  }
+
+  const verification = await prisma.verification.findUnique({
+    where: { id: notification.verificationId },
+    include: { voter: true },
+  });
+  const fallbackRecipient = notification.fallbackChannel &&
+    verification?.voter[CHANNEL_FIELDS[notification.fallbackChannel]];
+
+  if (fallbackRecipient && notification.payload) {
+    const fallback = await enqueueNotification({
+      channel: notification.fallbackChannel,
+      recipient: fallbackRecipient,
+      template: notification.template,
+      payload: notification.payload,
+      verificationId: notification.verificationId,
+      expiresAt: notification.expiresAt,
+    });
+    await prisma.verification.update({
+      where: { id: notification.verificationId },
+      data: { method: notification.fallbackChannel },
+    });
+    // Don't make the voter wait for the next poll
+    deliverNotification(fallback).catch((error) => console.error('Notification delivery error:', error));
+    return;
+  }
+
+  if (verification) {
+    await prisma.verification.update({
+      where: { id: verification.id },
+      data: { deliveryStatus: 'FAILED' },
+    });
+  }
+};
+
+/**
+ * Attempt delivery of one notification
+ * The row is claimed (PENDING -> SENDING) first so two workers never send it twice.
+ * @param {Object} notification
+ * @returns {Promise<String>} - Resulting status
+ */
+const deliverNotification = async (notification) => {
+  const claimed = await prisma.notification.updateMany({
+    where: { id: notification.id, status: 'PENDING' },
+    data: { status: 'SENDING', attempts: { increment: 1 } },
+  });
+
+  if (claimed.count === 0) {
+    return 'SKIPPED';
+  }
+
+  const current = { ...notification, attempts: notification.attempts + 1 };
+
+  if (current.expiresAt && current.expiresAt < new Date()) {
+    await finalizeFailure(current, 'Expired before it could be delivered');
+    return 'FAILED';
+  }
+
+  try {
+    const { provider, messageId } = await dispatch(current);
+
+    await prisma.notification.update({
+      where: { id: current.id },
+      data: {
+        status: 'SENT',
+        provider,
+        providerMessageId: messageId ? String(messageId) : null,
+        sentAt: new Date(),
+        lastError: null,
+        ...(current.template === 'OTP' && { payload: Prisma.DbNull }),
+      },
+    });
+
+    if (current.verificationId) {
+      await prisma.verification.update({
+        where: { id: current.verificationId },
+        data: { method: current.channel, deliveryStatus: 'SENT' },
+      });
+    }
+
+    return 'SENT';
+  } catch (error) {
+    console.error(`⚠️ ${current.channel} delivery failed (attempt ${current.attempts}/${current.maxAttempts}):`, error.message);
+
+    if (current.attempts >= current.maxAttempts) {
+      await finalizeFailure(current, error.message);
+      return 'FAILED';
+    }
+
+    // Exponential backoff: base, 2x base, 4x base, ... capped
+    const base = RETRY_BASE_SECONDS[current.template] || RETRY_BASE_SECONDS.MESSAGE;
+    const delaySeconds = Math.min(base * 2 ** (current.attempts - 1), MAX_BACKOFF_SECONDS);
+
+    await prisma.notification.update({
+      where: { id: current.id },
+      data: {
+        status: 'PENDING',
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + delaySeconds * 1000),
+      },
+    });
+
+    return 'PENDING';
+  }
+};
+
+/**
+ * Deliver every notification that is due
+ * @returns {Promise<Number>} - Number of notifications attempted
+ */
+const processDueNotifications = async () => {
+  // Rows left in SENDING by a crashed process go back to the queue
+  await prisma.notification.updateMany({
+    where: {
+      status: 'SENDING',
+      updatedAt: { lt: new Date(Date.now() - STALE_SENDING_MINUTES * 60 * 1000) },
+    },
+    data: { status: 'PENDING' },
+  });
+
+  const due = await prisma.notification.findMany({
+    where: { status: 'PENDING', nextAttemptAt: { lte: new Date() } },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: BATCH_SIZE,
+  });
+
+  for (const notification of due) {
+    await deliverNotification(notification);
+  }
+
+  return due.length;
+};
+
+module.exports = {
+  enqueueNotification,
+  deliverNotification,
+  processDueNotifications,
+};
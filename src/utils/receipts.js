@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+
+/**
+ * Vote receipts
+ *
+ * A receipt is a sha256 commitment over the ballot contents and a random
+ * nonce. The voter keeps the code (and nonce); the server stores only the
+ * hash, with no ballot or voter reference, and publishes every hash on the
+ * bulletin board once voting closes.
+ *
+ * To check a commitment, recompute
+ *   sha256(JSON.stringify({ electionId, nonce, votes }))
+ * where votes are [positionId, candidateId, choice, rank] tuples sorted as below.
+ */
+
+/**
+ * Canonical, order-independent form of the votes on a ballot
+ * @param {Array<Object>} votes - Vote records ({ positionId, candidateId, choice, rank })
+ * @returns {Array<Array>}
+ */
+function canonicalVotes(votes) {
+  return votes
+    .map((vote) => [vote.positionId, vote.candidateId || null, vote.choice || null, vote.rank || null])
+    .sort((a, b) => JSON.stringify(a).localeCompare(JSON.stringify(b)));
+}
+
+/**
+ * Create a receipt for a cast ballot
+ * @param {String} electionId
+ * @param {Array<Object>} votes - Vote records written for the ballot
+ * @returns {{code: String, nonce: String}}
+ */
+function createReceipt(electionId, votes) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const code = crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ electionId, nonce, votes: canonicalVotes(votes) }))
+    .digest('hex');
+
+  return { code, nonce };
+}
+
+/**
+ * Digest over a full list of receipt hashes, so a published bulletin can be pinned
+ * @param {Array<String>} hashes
+ * @returns {String}
+ */
+function digestReceipts(hashes) {
+  return crypto
+    .createHash('sha256')
+    .update([...hashes].sort().join('\n'))
+    .digest('hex');
+}
+
+module.exports = {
+  createReceipt,
+  digestReceipts,
+};
@@ -0,0 +1,434 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/prisma');
+const { isRanked, isReferendum } = require('./ballotValidation');
+const { groupRankings, countRanked } = require('./tally');
+const { findSeatTie, resolutionMatches } = require('./tieBreak');
+const { stableStringify } = require('./auditLogger');
+
+/**
+ * Election results
+ *
+ * buildResults produces the results report served by /api/reports/results.
+ * Once an election is certified its frozen snapshot (result_certifications)
+ * is served instead; hashResults gives the content hash signed at certification.
+ */
+
+// Count distinct ballots (anonymous envelopes) that voted on each position of an election
+const countBallotsByPosition = async (electionId) => {
+  const positionBallots = await prisma.vote.findMany({
+    where: { position: { electionId } },
+    distinct: ['envelopeId', 'positionId'],
+    select: { positionId: true },
+  });
+
+  return positionBallots.reduce((acc, vote) => {
+    acc[vote.positionId] = (acc[vote.positionId] || 0) + 1;
+    return acc;
+  }, {});
+};
+
+/**
+ * Describe a tie and the resolution that applies to it, for the results report
+ * Status: UNRESOLVED (no matching resolution), RUNOFF (referred to a runoff
+ * that has not decided it yet) or RESOLVED.
+ * @param {Object} position
+ * @param {Object} tie - From findSeatTie or countRanked
+ * @param {Object|null} resolution - Matching TieResolution, if any
+ * @param {Object} names - candidateId -> name
+ * @param {Boolean} stale - Whether the position has resolutions the count no longer uses
+ * @returns {Object}
+ */
+const describeTie = (position, tie, resolution, names, stale) => {
+  let status = 'UNRESOLVED';
+  if (resolution) {
+    status = resolution.winnerIds.length > 0 ? 'RESOLVED' : 'RUNOFF';
+  }
+
+  return {
+    round: tie.round,
+    kind: tie.kind, // SEAT, or ELIMINATION / ELECTION in a ranked count
+    candidates: tie.candidateIds.map((id) => ({ candidateId: id, name: names[id] })),
+    votes: tie.votes,
+    seatsContested: tie.seatsContested,
+    rule: position.tieBreak,
+    status,
+    resolution: resolution
+      ? {
+        method: resolution.method,
+        winners: resolution.winnerIds.map((id) => ({ candidateId: id, name: names[id] })),
+        seed: resolution.seed,
+        runoffPositionId: resolution.runoffPositionId,
+        note: resolution.note,
+        decidedAt: resolution.createdAt,
+      }
+      : null,
+    staleResolution: stale, // Recorded for a tie that no longer stands
+  };
+};
+
+/**
+ * Tally one position
+ * Returns candidate standings in finishing order ({ candidate, votes, isWinner }),
+ * the round-by-round count sheet for IRV/STV positions, the YES/NO/ABSTAIN
+ * totals for referendum questions, the number of formal abstentions and any
+ * tie for the last seat, or unbroken tie in a ranked count (see utils/tieBreak.js).
+ * A position's winThreshold is applied afterwards, in buildResults.
+ * On ranked positions `votes` is the candidate's first-preference count.
+ */
+const tallyPosition = async (position) => {
+  if (isReferendum(position)) {
+    const grouped = await prisma.vote.groupBy({
+      by: ['choice'],
+      where: { positionId: position.id },
+      _count: { _all: true },
+    });
+
+    const totals = { YES: 0, NO: 0, ABSTAIN: 0 };
+    grouped.forEach((group) => {
+      if (group.choice) {
+        totals[group.choice] = group._count._all;
+      }
+    });
+
+    // Abstentions are reported but do not count towards the outcome
+    const decided = totals.YES + totals.NO;
+    return {
+      standings: [],
+      count: null,
+      abstentions: totals.ABSTAIN,
+      referendum: {
+        yes: totals.YES,
+        no: totals.NO,
+        abstain: totals.ABSTAIN,
+        yesPercentage: decided > 0 ? parseFloat(((totals.YES / decided) * 100).toFixed(2)) : 0,
+        passed: totals.YES > totals.NO,
+        tied: decided > 0 && totals.YES === totals.NO, // A tied question does not pass
+      },
+      tie: null,
+    };
+  }
+
+  // Abstentions count towards the position's turnout but never towards a candidate
+  const abstentions = await prisma.vote.count({
+    where: { positionId: position.id, choice: 'ABSTAIN' },
+  });
+
+  if (!isRanked(position)) {
+    const sorted = [...position.candidates].sort((a, b) => b._count.votes - a._count.votes);
+    const seatTie = findSeatTie(sorted.map((c) => ({ id: c.id, votes: c._count.votes })), position.seats);
+
+    if (!seatTie) {
+      return {
+        standings: sorted.map((candidate, index) => ({
+          candidate,
+          votes: candidate._count.votes,
+          isWinner: index < position.seats,
+        })),
+        count: null,
+        abstentions,
+        referendum: null,
+        tie: null,
+      };
+    }
+
+    // The last seat is shared - only a matching resolution awards it
+    const resolutions = position.tieResolutions || [];
+    const resolution = resolutions.find((stored) => resolutionMatches(seatTie, stored)) || null;
+    const winners = new Set([...seatTie.securedIds, ...(resolution ? resolution.winnerIds : [])]);
+    const names = Object.fromEntries(sorted.map((c) => [c.id, c.name]));
+
+    // Resolved winners move ahead of the other tied candidates
+    const standings = sorted
+      .map((candidate, index) => ({ candidate, votes: candidate._count.votes, isWinner: winners.has(candidate.id), index }))
+      .sort((a, b) => b.votes - a.votes || Number(b.isWinner) - Number(a.isWinner) || a.index - b.index)
+      .map(({ index, ...entry }) => entry);
+
+    return {
+      standings,
+      count: null,
+      abstentions,
+      referendum: null,
+      tie: describeTie(position, seatTie, resolution, names, resolutions.some((stored) => stored !== resolution)),
+    };
+  }
+
+  const votes = await prisma.vote.findMany({
+    where: { positionId: position.id, candidateId: { not: null } },
+    select: { envelopeId: true, candidateId: true, rank: true },
+  });
+
+  // Sorted for a stable count sheet only - ties are never decided by this order
+  const candidates = [...position.candidates].sort((a, b) => a.name.localeCompare(b.name));
+  const names = Object.fromEntries(candidates.map((c) => [c.id, c.name]));
+  const rankings = groupRankings(votes);
+
+  // Unbroken ties go through the position's tie-break rule, one resolution per round
+  const resolutions = position.tieResolutions || [];
+  const matchingResolution = (tie) => resolutions.find((stored) => resolutionMatches(tie, stored)) || null;
+  const used = new Set();
+  const result = countRanked({
+    rankings,
+    candidateIds: candidates.map((c) => c.id),
+    seats: position.seats,
+    method: position.votingMethod,
+    resolveTie: (tie) => {
+      const resolution = matchingResolution(tie);
+      if (resolution) {
+        used.add(resolution.id);
+      }
+      return resolution && resolution.winnerIds.length > 0 ? resolution.winnerIds : null;
+    },
+  });
+
+  // The tie the count stopped at, otherwise the last one decided
+  const shownTie = result.tie || result.ties[result.ties.length - 1] || null;
+  const stale = resolutions.some((stored) => !used.has(stored.id));
+  const tie = shownTie && describeTie(position, shownTie, matchingResolution(shownTie), names, stale);
+
+  // Finishing order: elected (in order of election), then by how long they survived
+  const firstRound = result.rounds[0]?.totals || {};
+  const lastRoundReached = (id) => result.rounds.filter((round) => id in round.totals).length;
+  const standings = candidates
+    .map((candidate) => ({
+      candidate,
+      votes: firstRound[candidate.id] || 0,
+      isWinner: result.elected.includes(candidate.id),
+    }))
+    .sort((a, b) => {
+      if (a.isWinner !== b.isWinner) return a.isWinner ? -1 : 1;
+      if (a.isWinner) return result.elected.indexOf(a.candidate.id) - result.elected.indexOf(b.candidate.id);
+      return lastRoundReached(b.candidate.id) - lastRoundReached(a.candidate.id) || b.votes - a.votes;
+    });
+
+  return {
+    standings,
+    abstentions,
+    referendum: null,
+    tie,
+    count: {
+      method: position.votingMethod,
+      ballots: rankings.length,
+      quota: result.quota,
+      exhausted: result.exhausted,
+      complete: !result.tie, // false while the count is stopped at an unresolved tie
+      elected: result.elected.map((id) => ({ candidateId: id, name: names[id] })),
+      ties: result.ties.map((decided) => ({
+        round: decided.round,
+        kind: decided.kind,
+        candidates: decided.candidateIds.map((id) => names[id]),
+        votes: decided.votes,
+        prevailed: decided.winnerIds.map((id) => names[id]),
+      })),
+      rounds: result.rounds.map((round) => ({
+        round: round.round,
+        totals: Object.entries(round.totals).map(([candidateId, total]) => ({
+          candidateId,
+          name: names[candidateId],
+          votes: total,
+        })),
+        exhausted: round.exhausted,
+        elected: round.elected.map((id) => names[id]),
+        eliminated: round.eliminated.map((id) => names[id]),
+        transfers: round.transfers,
+      })),
+    },
+  };
+};
+
+/**
+ * Build the results report for an election
+ * @param {Object} election
+ * @param {Array<String>} positionIds - Only these positions (optional, default all)
+ * @returns {Promise<Object>} - { election, positions, summary }
+ */
+const buildResults = async (election, positionIds) => {
+  const positions = await prisma.position.findMany({
+    where: { electionId: election.id, ...(positionIds && { id: { in: positionIds } }) },
+    include: {
+      candidates: {
+        include: {
+          user: {
+            select: {
+              name: true,
+              email: true,
+            },
+          },
+          _count: {
+            select: {
+              votes: true,
+            },
+          },
+        },
+        where: {
+          status: 'APPROVED',
+        },
+      },
+      tieResolutions: true,
+      runoffOf: { select: { id: true, name: true } },
+      runoffs: {
+        select: { id: true, name: true, votingOpens: true, votingCloses: true },
+        orderBy: { votingOpens: 'asc' },
+      },
+    },
+    orderBy: { name: 'asc' },
+  });
+
+  // Get total votes cast for all positions (results only ever read the anonymous envelopes)
+  const totalVotesCast = await prisma.voteEnvelope.count({
+    where: { electionId: election.id },
+  });
+
+  const ballotsByPosition = await countBallotsByPosition(election.id);
+
+  const results = await Promise.all(positions.map(async (position) => {
+    const { standings, count, referendum, abstentions, tie } = await tallyPosition(position);
+
+    // Calculate total votes for this position
+    // (on multi-seat positions one ballot can hold up to `seats` votes;
+    // on ranked positions only first preferences are counted here)
+    const positionTotalVotes = referendum
+      ? referendum.yes + referendum.no + referendum.abstain
+      : standings.reduce((sum, entry) => sum + entry.votes, 0);
+    const positionBallots = ballotsByPosition[position.id] || 0;
+
+    // A winner must exceed the position's threshold share of its ballots (plurality/approval only)
+    const winThreshold = !referendum && !count ? position.winThreshold : null;
+
+    // Calculate percentages and rankings
+    const candidatesWithStats = standings.map(({ candidate, votes, isWinner }, index) => {
+      const votePercentage =
+        positionTotalVotes > 0
+          ? ((votes / positionTotalVotes) * 100).toFixed(2)
+          : '0.00';
+      const overallPercentage =
+        totalVotesCast > 0
+          ? ((votes / totalVotesCast) * 100).toFixed(2)
+          : '0.00';
+      const ballotPercentage =
+        positionBallots > 0
+          ? ((votes / positionBallots) * 100).toFixed(2)
+          : '0.00';
+
+      const belowThreshold = isWinner && winThreshold !== null && (positionBallots === 0 || (votes / positionBallots) * 100 <= winThreshold);
+
+      return {
+        candidateId: candidate.id,
+        name: candidate.name,
+        program: candidate.program,
+        photoUrl: candidate.photoUrl,
+        votes,
+        rank: index + 1,
+        votePercentage: parseFloat(votePercentage),
+        overallPercentage: parseFloat(overallPercentage),
+        ballotPercentage: parseFloat(ballotPercentage),
+        isWinner: isWinner && !belowThreshold,
+        belowThreshold,
+      };
+    });
+
+    const thresholdMet = winThreshold === null ? null : !candidatesWithStats.some((candidate) => candidate.belowThreshold);
+    let runoffReason = null;
+    if (tie?.status === 'UNRESOLVED' && tie.rule === 'RUNOFF') {
+      runoffReason = 'TIE';
+    } else if (thresholdMet === false) {
+      runoffReason = 'THRESHOLD';
+    }
+
+    return {
+      positionId: position.id,
+      positionName: position.name,
+      seats: position.seats,
+      minSelections: position.minSelections,
+      questionType: position.questionType,
+      description: position.description,
+      votingMethod: position.votingMethod,
+      totalVotes: positionTotalVotes,
+      ballotsCast: positionBallots, // Includes formal abstentions
+      abstentions,
+      candidates: candidatesWithStats,
+      winner: candidatesWithStats.find((candidate) => candidate.isWinner) || null, // None while the top seat is tied
+      count, // Round-by-round count sheet (IRV/STV only)
+      referendum, // YES/NO/ABSTAIN totals (referendums only)
+      tie, // Tie for the last seat and how it was resolved, if any
+      winThreshold,
+      thresholdMet,
+      runoffReason: position.runoffs.length === 0 ? runoffReason : null, // Why a runoff is still needed (TIE / THRESHOLD)
+      runoffOf: position.runoffOf ? { positionId: position.runoffOf.id, positionName: position.runoffOf.name } : null,
+      runoffs: position.runoffs.map((runoff) => ({
+        positionId: runoff.id,
+        positionName: runoff.name,
+        votingOpens: runoff.votingOpens,
+        votingCloses: runoff.votingCloses,
+      })),
+    };
+  }));
+
+  return {
+    election: { id: election.id, name: election.name, status: election.status },
+    positions: results,
+    unresolvedTies: results.filter((position) => position.tie?.status === 'UNRESOLVED').length,
+    runoffsNeeded: results.filter((position) => position.runoffReason).length,
+    summary: {
+      totalPositions: positions.length,
+      totalCandidates: positions.reduce(
+        (sum, p) => sum + p.candidates.length,
+        0
+      ),
+      totalVotesCast,
+    },
+  };
+};
+
+/**
+ * Content hash of a results snapshot
+ * Keys are sorted first, since MySQL does not keep JSON key order.
+ * @param {Object} snapshot
+ * @returns {String} - Hex sha256
+ */
+const hashResults = (snapshot) =>
+  crypto.createHash('sha256').update(stableStringify(snapshot)).digest('hex');
+
+/**
+ * The certified results of an election, if it has been certified
+ * @param {String} electionId
+ * @returns {Promise<Object|null>} - Certification with signatures
+ */
+const getCertifiedResults = async (electionId) => {
+  const certification = await prisma.resultCertification.findUnique({
+    where: { electionId },
+    include: {
+      signatures: {
+        include: { user: { select: { name: true, role: true } } },
+        orderBy: { signedAt: 'asc' },
+      },
+    },
+  });
+
+  return certification && certification.status === 'CERTIFIED' ? certification : null;
+};
+
+/**
+ * Public summary of a certification (no user ids)
+ * @param {Object} certification - With signatures and their users
+ * @returns {Object}
+ */
+const describeCertification = (certification) => ({
+  status: certification.status,
+  contentHash: certification.contentHash,
+  certifiedAt: certification.certifiedAt,
+  requiredSignatures: certification.requiredSignatures,
+  signatures: certification.signatures.map((signature) => ({
+    name: signature.user.name,
+    role: signature.user.role,
+    signedAt: signature.signedAt,
+  })),
+});
+
+module.exports = {
+  countBallotsByPosition,
+  tallyPosition,
+  buildResults,
+  hashResults,
+  getCertifiedResults,
+  describeCertification,
+};
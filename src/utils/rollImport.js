@@ -0,0 +1,264 @@
+const csv = require('csv-parser');
+const { Prisma } = require('@prisma/client');
+const { prisma } = require('../config/prisma');
+const { stableStringify } = require('./auditLogger');
+
+/**
+ * Voter roll import
+ *
+ * An import runs in three steps, none of which touches the roll until the last:
+ *   parseRoll - stream the CSV and validate every row
+ *   diffRoll  - compare the valid rows with the election's current roll
+ *   applyRoll - write the changes in batched transactions (IMPORT_BATCH_SIZE,
+ *               default 500 rows per transaction)
+ * A dry run stops after diffRoll. Each batch commits on its own, so an import
+ * that fails part way leaves the earlier batches applied; the import job
+ * records how far it got and re-running the same file picks up the rest.
+ */
+
+// Columns stored on the voter itself; any other column is kept as an attribute
+// so positions can restrict their constituency by it (faculty, hall, ...)
+const ROLL_COLUMNS = ['reg_no', 'name', 'email', 'phone', 'program'];
+const VOTER_FIELDS = ['name', 'email', 'phone', 'program', 'attributes'];
+
+const DEFAULT_BATCH_SIZE = 500;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9][0-9 ()-]{5,19}$/;
+
+const extractAttributes = (row) => {
+  const attributes = {};
+  Object.entries(row).forEach(([column, value]) => {
+    const key = column.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (key && !ROLL_COLUMNS.includes(key) && value && String(value).trim()) {
+      attributes[key] = String(value).trim();
+    }
+  });
+  return Object.keys(attributes).length > 0 ? attributes : null;
+};
+
+/**
+ * Validate one CSV row
+ * @param {Object} row - Raw csv-parser row
+ * @returns {{voter: Object|null, reasons: Array<String>}}
+ */
+const validateRow = (row) => {
+  const reasons = [];
+  const value = (column) => (row[column] ? String(row[column]).trim() : '');
+  const voter = {
+    regNo: value('reg_no').toUpperCase(),
+    name: value('name'),
+    email: value('email') || null,
+    phone: value('phone') || null,
+    program: value('program') || null,
+    attributes: extractAttributes(row),
+  };
+
+  if (!voter.regNo) reasons.push('reg_no is required');
+  if (!voter.name) reasons.push('name is required');
+  if (!voter.email && !voter.phone) reasons.push('email or phone is required');
+  if (voter.email && !EMAIL_PATTERN.test(voter.email)) reasons.push(`invalid email "${voter.email}"`);
+  if (voter.phone && !PHONE_PATTERN.test(voter.phone)) reasons.push(`invalid phone "${voter.phone}"`);
+
+  return { voter: reasons.length === 0 ? voter : null, reasons };
+};
+
+/**
+ * Stream and validate a roll CSV
+ * @param {ReadableStream} stream - CSV content
+ * @returns {Promise<{voters: Array<Object>, invalid: Array<Object>, totalRows: Number}>}
+ */
+const parseRoll = async (stream) => {
+  const voters = [];
+  const invalid = [];
+  const firstSeen = new Map(); // regNo -> row
+  let totalRows = 0;
+
+  for await (const row of stream.pipe(csv())) {
+    totalRows++;
+    const { voter, reasons } = validateRow(row);
+
+    if (voter && firstSeen.has(voter.regNo)) {
+      reasons.push(`duplicate reg_no ${voter.regNo} (first on row ${firstSeen.get(voter.regNo)})`);
+    }
+
+    if (reasons.length > 0) {
+      invalid.push({ row: totalRows, regNo: row.reg_no ? String(row.reg_no).trim().toUpperCase() : null, reasons });
+      continue;
+    }
+
+    firstSeen.set(voter.regNo, totalRows);
+    voters.push({ ...voter, row: totalRows });
+  }
+
+  return { voters, invalid, totalRows };
+};
+
+const sameValue = (a, b) => stableStringify(a ?? null) === stableStringify(b ?? null);
+
+/**
+ * Compare validated rows with the current roll
+ * Voters missing from the file are only listed for removal when removeMissing
+ * is set, and never once they have voted (they stay as part of the record).
+ * @param {Array<Object>} voters - From parseRoll
+ * @param {Array<Object>} existing - Current roll (with hasVoted)
+ * @param {{removeMissing: Boolean}} options
+ * @returns {Object} - { created, updated, unchanged, removed, retained }
+ */
+const diffRoll = (voters, existing, { removeMissing = false } = {}) => {
+  const current = new Map(existing.map((voter) => [voter.regNo, voter]));
+  const diff = { created: [], updated: [], unchanged: [], removed: [], retained: [] };
+
+  voters.forEach((voter) => {
+    const match = current.get(voter.regNo);
+    if (!match) {
+      diff.created.push(voter);
+      return;
+    }
+    current.delete(voter.regNo);
+
+    const changes = {};
+    VOTER_FIELDS.forEach((field) => {
+      if (!sameValue(match[field], voter[field])) {
+        changes[field] = { from: match[field] ?? null, to: voter[field] };
+      }
+    });
+    // Re-listing a removed voter restores them; one an admin marked INELIGIBLE stays so
+    if (match.status === 'REMOVED') {
+      changes.status = { from: match.status, to: 'ELIGIBLE' };
+    }
+
+    if (Object.keys(changes).length > 0) {
+      diff.updated.push({ ...voter, id: match.id, status: changes.status ? 'ELIGIBLE' : match.status, changes });
+    } else {
+      diff.unchanged.push({ regNo: voter.regNo, row: voter.row });
+    }
+  });
+
+  if (removeMissing) {
+    current.forEach((voter) => {
+      if (voter.status !== 'ELIGIBLE') return;
+      const entry = { id: voter.id, regNo: voter.regNo, name: voter.name };
+      (voter.hasVoted ? diff.retained : diff.removed).push(entry);
+    });
+  }
+
+  return diff;
+};
+
+/**
+ * Counts for a diff
+ * @param {Object} diff - From diffRoll
+ * @param {Array<Object>} invalid - From parseRoll
+ * @returns {Object}
+ */
+const summarizeDiff = (diff, invalid) => ({
+  created: diff.created.length,
+  updated: diff.updated.length,
+  unchanged: diff.unchanged.length,
+  removed: diff.removed.length,
+  retained: diff.retained.length,
+  invalid: invalid.length,
+});
+
+/**
+ * The election's current roll, as diffRoll expects it
+ * @param {String} electionId
+ * @returns {Promise<Array<Object>>}
+ */
+const loadRoll = async (electionId) => {
+  const voters = await prisma.eligibleVoter.findMany({
+    where: { electionId },
+    select: {
+      id: true,
+      regNo: true,
+      name: true,
+      email: true,
+      phone: true,
+      program: true,
+      attributes: true,
+      status: true,
+      _count: { select: { ballots: { where: { status: 'CONSUMED' } } } },
+    },
+  });
+
+  return voters.map(({ _count, ...voter }) => ({ ...voter, hasVoted: _count.ballots > 0 }));
+};
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+/**
+ * Write a diff to the roll, one transaction per batch
+ * @param {String} electionId
+ * @param {Object} diff - From diffRoll
+ * @param {Function} onBatch - Called with the number of changes applied so far
+ * @returns {Promise<Number>} - Changes applied
+ */
+const applyRoll = async (electionId, diff, onBatch = async () => {}) => {
+  const batchSize = parseInt(process.env.IMPORT_BATCH_SIZE, 10) || DEFAULT_BATCH_SIZE;
+  const fields = (voter) => ({
+    name: voter.name,
+    email: voter.email,
+    phone: voter.phone,
+    program: voter.program,
+    attributes: voter.attributes || Prisma.DbNull,
+    status: voter.status || 'ELIGIBLE',
+  });
+  let applied = 0;
+
+  for (const batch of chunk(diff.created, batchSize)) {
+    await prisma.eligibleVoter.createMany({
+      data: batch.map((voter) => ({ electionId, regNo: voter.regNo, ...fields(voter) })),
+    });
+    applied += batch.length;
+    await onBatch(applied);
+  }
+
+  for (const batch of chunk(diff.updated, batchSize)) {
+    await prisma.$transaction(batch.map((voter) =>
+      prisma.eligibleVoter.update({ where: { id: voter.id }, data: fields(voter) })
+    ));
+    applied += batch.length;
+    await onBatch(applied);
+  }
+
+  for (const batch of chunk(diff.removed, batchSize)) {
+    const ids = batch.map((voter) => voter.id);
+    const now = new Date();
+    // Checked again here: a voter may have voted since the diff was taken.
+    // Whoever is removed loses their unused ballot and any OTP still pending.
+    await prisma.$transaction([
+      prisma.eligibleVoter.updateMany({
+        where: { id: { in: ids }, ballots: { none: { status: 'CONSUMED' } } },
+        data: { status: 'REMOVED' },
+      }),
+      prisma.ballot.updateMany({
+        where: { voterId: { in: ids }, status: 'ACTIVE', voter: { status: 'REMOVED' } },
+        data: { status: 'EXPIRED', expiresAt: now },
+      }),
+      prisma.verification.updateMany({
+        where: { voterId: { in: ids }, verifiedAt: null, invalidatedAt: null, voter: { status: 'REMOVED' } },
+        data: { invalidatedAt: now },
+      }),
+    ]);
+    applied += batch.length;
+    await onBatch(applied);
+  }
+
+  return applied;
+};
+
+module.exports = {
+  extractAttributes,
+  validateRow,
+  parseRoll,
+  diffRoll,
+  summarizeDiff,
+  loadRoll,
+  applyRoll,
+};
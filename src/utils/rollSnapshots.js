@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/prisma');
+const { stableStringify } = require('./auditLogger');
+
+/**
+ * Voter roll snapshots
+ *
+ * A numbered copy of an election's ELIGIBLE voters is taken after every
+ * applied import and when the roll is frozen. Once frozen (before voting
+ * opens), imports and roll deletion are refused and turnout is measured
+ * against the frozen snapshot, so its denominator cannot move mid-election.
+ */
+
+/**
+ * Copy the current roll into a new snapshot version
+ * Pass `tx` to take it inside the caller's transaction (see freezeRoll).
+ * @param {String} electionId
+ * @param {{reason: String, importId: String, createdBy: String}} details - reason is IMPORT or FREEZE
+ * @param {Object} options - Optional { tx }
+ * @returns {Promise<Object>} - RollSnapshot
+ */
+const takeRollSnapshot = async (electionId, { reason, importId = null, createdBy }, { tx } = {}) => {
+  const client = tx || prisma;
+  const voters = await client.eligibleVoter.findMany({
+    where: { electionId, status: 'ELIGIBLE' },
+    select: { id: true, regNo: true, program: true, attributes: true },
+    orderBy: { regNo: 'asc' },
+  });
+  const contentHash = crypto.createHash('sha256').update(stableStringify(voters)).digest('hex');
+
+  // Two snapshots taken at once can pick the same version - the loser takes the next one
+  for (let attempt = 1; ; attempt++) {
+    const latest = await client.rollSnapshot.findFirst({
+      where: { electionId },
+      orderBy: { version: 'desc' },
+      select: { version: true },
+    });
+
+    try {
+      return await client.rollSnapshot.create({
+        data: {
+          electionId,
+          version: (latest?.version || 0) + 1,
+          reason,
+          importId,
+          voterCount: voters.length,
+          voters,
+          contentHash,
+          createdBy,
+        },
+      });
+    } catch (error) {
+      if (error.code !== 'P2002' || attempt >= 3) {
+        throw error;
+      }
+    }
+  }
+};
+
+/**
+ * Whether an election's roll is frozen
+ * @param {Object} election
+ * @returns {Boolean}
+ */
+const isRollFrozen = (election) => Boolean(election.rollFrozenAt);
+
+/**
+ * The roll turnout is measured against: the frozen snapshot, or the live
+ * ELIGIBLE voters while the roll is not frozen
+ * @param {String} electionId
+ * @returns {Promise<Object>} - { voters: [{ id, program, attributes }], votedIds: Set, totalVoters, votesCast, frozenVersion }
+ */
+const getTurnoutRoll = async (electionId) => {
+  const election = await prisma.election.findUnique({
+    where: { id: electionId },
+    select: { frozenRollVersion: true },
+  });
+
+  let voters;
+  let frozenVersion = null;
+  if (election?.frozenRollVersion) {
+    const snapshot = await prisma.rollSnapshot.findUnique({
+      where: { electionId_version: { electionId, version: election.frozenRollVersion } },
+    });
+    voters = snapshot.voters;
+    frozenVersion = snapshot.version;
+  } else {
+    voters = await prisma.eligibleVoter.findMany({
+      where: { electionId, status: 'ELIGIBLE' },
+      select: { id: true, program: true, attributes: true },
+    });
+  }
+
+  // Voters who voted (a runoff gives some of them a second ballot)
+  const consumed = await prisma.ballot.findMany({
+    where: { electionId, status: 'CONSUMED' },
+    distinct: ['voterId'],
+    select: { voterId: true },
+  });
+  const votedIds = new Set(consumed.map((ballot) => ballot.voterId));
+
+  return {
+    voters,
+    votedIds,
+    totalVoters: voters.length,
+    votesCast: voters.filter((voter) => votedIds.has(voter.id)).length,
+    frozenVersion,
+  };
+};
+
+module.exports = {
+  takeRollSnapshot,
+  isRollFrozen,
+  getTurnoutRoll,
+};
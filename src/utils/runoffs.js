@@ -0,0 +1,178 @@
+const { prisma } = require('../config/prisma');
+const { isVoterEligible } = require('./eligibility');
+const { logAudit, auditedTransaction } = require('./auditLogger');
+const { buildResults } = require('./results');
+
+/**
+ * Runoffs
+ *
+ * A runoff is a position linked to the one it decides (Position.runoffOfId),
+ * contested by the top candidates carried over from it. Runoffs open after
+ * most voters have already cast their ballot, so a voter who has voted may be
+ * issued one more ballot - carrying only the runoff positions that opened
+ * after their last ballot was cast.
+ */
+
+/**
+ * The voter's most recently cast ballot
+ * @param {String} voterId
+ * @returns {Promise<{id: String, consumedAt: Date}|null>}
+ */
+const getLastVote = (voterId) =>
+  prisma.ballot.findFirst({
+    where: { voterId, status: 'CONSUMED' },
+    orderBy: { consumedAt: 'desc' },
+    select: { id: true, consumedAt: true },
+  });
+
+/**
+ * Position filter for a voter's ballot: everything for a first-time voter,
+ * otherwise only runoffs that opened after their last ballot
+ * @param {Object|null} lastVote - From getLastVote
+ * @returns {Object} - Prisma where fragment
+ */
+const ballotPositionFilter = (lastVote) => {
+  if (!lastVote) {
+    return {};
+  }
+  return {
+    runoffOfId: { not: null },
+    votingOpens: { gt: lastVote.consumedAt || new Date(0) },
+  };
+};
+
+/**
+ * Whether a voter who has already voted has an open runoff to vote in
+ * @param {Object} voter - Eligible voter (with program and attributes)
+ * @param {Object} lastVote - From getLastVote
+ * @returns {Promise<Boolean>}
+ */
+const hasOpenRunoff = async (voter, lastVote) => {
+  const now = new Date();
+  const runoffs = await prisma.position.findMany({
+    where: {
+      electionId: voter.electionId,
+      votingOpens: { lte: now },
+      votingCloses: { gte: now },
+      ...ballotPositionFilter(lastVote),
+    },
+    select: { id: true, eligibility: true },
+  });
+
+  return runoffs.some((position) => isVoterEligible(position, voter));
+};
+
+/**
+ * Pick the candidates who go through to a runoff
+ * The top `count` candidates by votes, plus anyone level with the last of them
+ * (the cut is never made by sort order).
+ * @param {Array<{candidateId: String, votes: Number}>} candidates - Not yet elected
+ * @param {Number} count
+ * @returns {Array<Object>}
+ */
+const selectRunoffCandidates = (candidates, count) => {
+  const sorted = [...candidates].sort((a, b) => b.votes - a.votes);
+  if (sorted.length <= count) {
+    return sorted;
+  }
+  const cutoff = sorted[count - 1].votes;
+  return sorted.filter((candidate, index) => index < count || candidate.votes === cutoff);
+};
+
+/**
+ * Award ties referred to a runoff once the runoff has been decided
+ * A RUNOFF tie resolution has no winners until its runoff closes; the runoff's
+ * winners (matched back to the tied candidates by user) then become the
+ * resolution's winners. Runoffs that are still open, or that ended tied or
+ * short of winners themselves, are left pending. Later runoffs are settled
+ * first, so a runoff of a runoff feeds into the one it decided.
+ * @param {Object} election
+ * @returns {Promise<Array<{positionId: String, round: Number, winnerIds: Array<String>}>>} - Resolutions settled
+ */
+const settleRunoffTies = async (election) => {
+  const pending = await prisma.tieResolution.findMany({
+    where: { method: 'RUNOFF', runoffPositionId: { not: null }, position: { electionId: election.id } },
+  });
+
+  const runoffs = await prisma.position.findMany({
+    where: { id: { in: pending.map((resolution) => resolution.runoffPositionId) } },
+    select: { id: true, name: true, votingCloses: true },
+  });
+  const runoffById = Object.fromEntries(runoffs.map((runoff) => [runoff.id, runoff]));
+
+  const now = new Date();
+  const due = pending
+    .filter((resolution) => resolution.winnerIds.length === 0)
+    .filter((resolution) => runoffById[resolution.runoffPositionId]?.votingCloses <= now)
+    .sort((a, b) => runoffById[b.runoffPositionId].votingCloses - runoffById[a.runoffPositionId].votingCloses);
+
+  const settled = [];
+  for (const resolution of due) {
+    const [result] = (await buildResults(election, [resolution.runoffPositionId])).positions;
+    if (!result || (result.tie && result.tie.status !== 'RESOLVED')) {
+      continue;
+    }
+
+    const winners = result.candidates.filter((candidate) => candidate.isWinner);
+    if (winners.length !== resolution.seatsContested) {
+      continue;
+    }
+
+    // Runoff candidates are copies; map them back to the tied candidates
+    const [runoffCandidates, tiedCandidates] = await Promise.all([
+      prisma.candidate.findMany({
+        where: { id: { in: winners.map((winner) => winner.candidateId) } },
+        select: { id: true, userId: true },
+      }),
+      prisma.candidate.findMany({
+        where: { id: { in: resolution.tiedCandidateIds } },
+        select: { id: true, userId: true },
+      }),
+    ]);
+    const winnerUsers = new Set(runoffCandidates.map((candidate) => candidate.userId));
+    const winnerIds = tiedCandidates.filter((candidate) => winnerUsers.has(candidate.userId)).map((candidate) => candidate.id);
+    if (winnerIds.length !== resolution.seatsContested) {
+      continue;
+    }
+
+    const updated = await auditedTransaction(async (tx) => {
+      // Skip it if the resolution was cleared or settled in the meantime
+      const { count } = await tx.tieResolution.updateMany({
+        where: { id: resolution.id, runoffPositionId: resolution.runoffPositionId },
+        data: { winnerIds },
+      });
+      if (count === 0) {
+        return false;
+      }
+
+      await logAudit({
+        actorType: 'system',
+        action: 'SETTLE_RUNOFF_TIE',
+        entity: 'position',
+        entityId: resolution.positionId,
+        payload: {
+          round: resolution.round,
+          runoffPositionId: resolution.runoffPositionId,
+          runoffName: runoffById[resolution.runoffPositionId].name,
+          winners: winners.map((winner) => ({ candidateId: winner.candidateId, name: winner.name, votes: winner.votes })),
+          winnerIds,
+        },
+      }, { tx });
+      return true;
+    });
+
+    if (updated) {
+      settled.push({ positionId: resolution.positionId, round: resolution.round, winnerIds });
+    }
+  }
+
+  return settled;
+};
+
+module.exports = {
+  getLastVote,
+  ballotPositionFilter,
+  hasOpenRunoff,
+  selectRunoffCandidates,
+  settleRunoffTies,
+};
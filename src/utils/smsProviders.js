@@ -0,0 +1,228 @@
+const axios = require('axios');
+const { prisma } = require('../config/prisma');
+
+/**
+ * SMS providers
+ *
+ * Every provider exposes the same interface:
+ *   name                         - provider key used in SMS_PROVIDER
+ *   send({ to, message })        - resolves { success: true, messageId } or throws
+ *
+ * Phone numbers are already in international format (+256...) when they
+ * reach a provider; see formatPhoneNumber in smsService.js.
+ */
+
+const REQUEST_TIMEOUT = 30000; // 30 seconds (SMS gateways can be slow)
+
+// Turn an axios failure into an actionable message
+const describeHttpError = (error, providerName, configHint) => {
+  if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
+    return new Error(
+      `${providerName} request timed out. The SMS provider may be slow or unreachable.\n` +
+      'Please check:\n' +
+      `1. ${configHint}\n` +
+      '2. Internet connection is active\n' +
+      '3. SMS provider service is available\n' +
+      '4. Try again in a few moments'
+    );
+  }
+
+  if (error.response) {
+    const { status, data } = error.response;
+
+    if (status === 401 || status === 403) {
+      return new Error(
+        `${providerName} authentication failed. Please check:\n` +
+        `1. ${configHint}\n` +
+        '2. Credentials have proper permissions\n' +
+        `\nProvider response: ${JSON.stringify(data)}`
+      );
+    }
+    if (status === 400) {
+      return new Error(
+        'Invalid SMS request. Please check phone number format.\n' +
+        `Provider response: ${JSON.stringify(data)}`
+      );
+    }
+    return new Error(`${providerName} error (${status}): ${JSON.stringify(data)}`);
+  }
+
+  if (error.request) {
+    return new Error(
+      `${providerName} request failed - no response from server.\n` +
+      'Please check:\n' +
+      `1. ${configHint}\n` +
+      '2. Internet connection is active\n' +
+      '3. SMS provider service is available'
+    );
+  }
+
+  return error;
+};
+
+/**
+ * YoolaSMS (JSON API)
+ * SMS_API_URL (default https://yoolasms.com/api/v1/send), SMS_API_KEY
+ */
+const yoola = {
+  name: 'yoola',
+
+  send: async ({ to, message }) => {
+    const url = process.env.SMS_API_URL?.trim() || 'https://yoolasms.com/api/v1/send';
+    const apiKey = process.env.SMS_API_KEY?.trim();
+
+    if (!apiKey) {
+      throw new Error(
+        'SMS service not configured. Please set SMS_API_KEY in .env file.\n' +
+        'Example:\n' +
+        'SMS_API_URL=https://yoolasms.com/api/v1/send (optional, this is the default)\n' +
+        'SMS_API_KEY=your_yoolasms_api_key_here'
+      );
+    }
+
+    try {
+      const response = await axios.post(
+        url,
+        { phone: to, message, api_key: apiKey },
+        { headers: { 'Content-Type': 'application/json' }, timeout: REQUEST_TIMEOUT }
+      );
+      const data = response.data || {};
+
+      // YoolaSMS reports success in a few different shapes
+      if (data.status === 'success' ||
+          data.success === true ||
+          data.message_id ||
+          (data.data && data.data.status === 'success')) {
+        return {
+          success: true,
+          messageId: data.message_id || data.id || data.data?.message_id || 'N/A',
+        };
+      }
+
+      console.error('SMS API response:', JSON.stringify(data));
+      throw new Error(`SMS API returned error: ${JSON.stringify(data)}`);
+    } catch (error) {
+      if (error.isAxiosError) {
+        throw describeHttpError(error, 'YoolaSMS', 'SMS_API_URL and SMS_API_KEY in .env are correct');
+      }
+      throw error;
+    }
+  },
+};
+
+/**
+ * Africa's Talking (form-encoded messaging API)
+ * AFRICASTALKING_USERNAME, AFRICASTALKING_API_KEY, AFRICASTALKING_SENDER_ID (optional),
+ * AFRICASTALKING_API_URL (default production endpoint; use the sandbox URL for testing)
+ */
+const africasTalking = {
+  name: 'africastalking',
+
+  send: async ({ to, message }) => {
+    const url = process.env.AFRICASTALKING_API_URL?.trim() || 'https://api.africastalking.com/version1/messaging';
+    const username = process.env.AFRICASTALKING_USERNAME?.trim();
+    const apiKey = process.env.AFRICASTALKING_API_KEY?.trim();
+    const senderId = process.env.AFRICASTALKING_SENDER_ID?.trim();
+
+    if (!username || !apiKey) {
+      throw new Error("Africa's Talking not configured. Please set AFRICASTALKING_USERNAME and AFRICASTALKING_API_KEY in .env file.");
+    }
+
+    const form = new URLSearchParams({ username, to, message });
+    if (senderId) {
+      form.append('from', senderId);
+    }
+
+    try {
+      const response = await axios.post(url, form.toString(), {
+        headers: {
+          apiKey,
+          Accept: 'application/json',
+          'Content-Type': 'application/x-www-form-urlencoded',
+        },
+        timeout: REQUEST_TIMEOUT,
+      });
+
+      const recipient = response.data?.SMSMessageData?.Recipients?.[0];
+      if (recipient && recipient.status === 'Success') {
+        return { success: true, messageId: recipient.messageId };
+      }
+
+      throw new Error(`Africa's Talking rejected the message: ${JSON.stringify(response.data)}`);
+    } catch (error) {
+      if (error.isAxiosError) {
+        throw describeHttpError(error, "Africa's Talking", 'AFRICASTALKING_USERNAME and AFRICASTALKING_API_KEY are correct');
+      }
+      throw error;
+    }
+  },
+};
+
+/**
+ * Twilio-style HTTP API (form-encoded To/From/Body with basic auth)
+ * TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER,
+ * TWILIO_API_URL (default Twilio's Messages endpoint for the account)
+ */
+const twilio = {
+  name: 'twilio',
+
+  send: async ({ to, message }) => {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID?.trim();
+    const authToken = process.env.TWILIO_AUTH_TOKEN?.trim();
+    const from = process.env.TWILIO_FROM_NUMBER?.trim();
+
+    if (!accountSid || !authToken || !from) {
+      throw new Error('Twilio not configured. Please set TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER in .env file.');
+    }
+
+    const url = process.env.TWILIO_API_URL?.trim() ||
+      `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`;
+    const form = new URLSearchParams({ To: to, From: from, Body: message });
+
+    try {
+      const response = await axios.post(url, form.toString(), {
+        auth: { username: accountSid, password: authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: REQUEST_TIMEOUT,
+      });
+
+      if (response.data?.sid) {
+        return { success: true, messageId: response.data.sid };
+      }
+
+      throw new Error(`Twilio returned no message id: ${JSON.stringify(response.data)}`);
+    } catch (error) {
+      if (error.isAxiosError) {
+        throw describeHttpError(error, 'Twilio', 'TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_API_URL are correct');
+      }
+      throw error;
+    }
+  },
+};
+
+/**
+ * Local outbox - nothing leaves the server
+ * Messages are stored in the sms_outbox table and listed at GET /api/sms/outbox
+ * (admin only), so verification flows can run in staging and tests without a gateway.
+ */
+const outbox = {
+  name: 'outbox',
+
+  send: async ({ to, message }) => {
+    const entry = await prisma.smsOutbox.create({
+      data: { to, message },
+    });
+
+    console.log(`📥 SMS captured in outbox for ${to} (${entry.id})`);
+    return { success: true, messageId: entry.id };
+  },
+};
+
+const SMS_PROVIDERS = {
+  [yoola.name]: yoola,
+  [africasTalking.name]: africasTalking,
+  [twilio.name]: twilio,
+  [outbox.name]: outbox,
+};
+
+module.exports = { SMS_PROVIDERS };
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Live stream tickets
+ *
+ * EventSource can't send an Authorization header, and a session token passed
+ * in the URL ends up in access and proxy logs. The live stream is opened with
+ * a ticket instead: bound to one admin and one election, valid for
+ * LIVE_TICKET_SECONDS (default 30) and accepted once. Tickets are signed with
+ * a key derived from JWT_SECRET, so a ticket is never accepted as a session
+ * token, nor a session token as a ticket.
+ */
+
+const DEFAULT_TICKET_SECONDS = 30;
+const PURPOSE = 'live-stream';
+
+const usedTickets = new Map(); // jti -> expiry (ms), until the ticket would have expired anyway
+
+const ticketSecret = () =>
+  crypto.createHmac('sha256', process.env.JWT_SECRET).update(PURPOSE).digest('hex');
+
+const getTicketSeconds = () => {
+  const seconds = parseInt(process.env.LIVE_TICKET_SECONDS, 10);
+  return Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_TICKET_SECONDS;
+};
+
+/**
+ * Issue a ticket for one live stream connection
+ * @param {String} userId
+ * @param {String} electionId
+ * @returns {{ticket: String, expiresAt: Date}}
+ */
+const issueStreamTicket = (userId, electionId) => {
+  const seconds = getTicketSeconds();
+  const ticket = jwt.sign({ userId, electionId, purpose: PURPOSE }, ticketSecret(), {
+    expiresIn: seconds,
+    jwtid: crypto.randomUUID(),
+  });
+  return { ticket, expiresAt: new Date(Date.now() + seconds * 1000) };
+};
+
+/**
+ * Check a ticket and use it up
+ * Throws the jsonwebtoken error for a forged or expired ticket.
+ * @param {String} ticket
+ * @returns {{userId: String, electionId: String}|null} - null if the ticket was already used
+ */
+const redeemStreamTicket = (ticket) => {
+  const decoded = jwt.verify(ticket, ticketSecret());
+  if (decoded.purpose !== PURPOSE || !decoded.jti) {
+    throw new jwt.JsonWebTokenError('Not a stream ticket');
+  }
+
+  const now = Date.now();
+  usedTickets.forEach((expiry, id) => {
+    if (expiry < now) {
+      usedTickets.delete(id);
+    }
+  });
+
+  if (usedTickets.has(decoded.jti)) {
+    return null;
+  }
+  usedTickets.set(decoded.jti, decoded.exp * 1000);
+
+  return { userId: decoded.userId, electionId: decoded.electionId };
+};
+
+module.exports = {
+  issueStreamTicket,
+  redeemStreamTicket,
+};
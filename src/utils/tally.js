@@ -0,0 +1,239 @@
+/**
+ * Ranked-choice tallying (IRV and STV)
+ *
+ * IRV: single winner. Each round every continuing ballot counts for its
+ * highest-ranked continuing candidate; a candidate with a majority of the
+ * continuing ballots wins, otherwise the lowest candidate is eliminated.
+ *
+ * STV: multi-seat with a Droop quota and fractional (Gregory) surplus
+ * transfers. Elected candidates' surpluses are passed on at a reduced weight;
+ * when nobody reaches the quota the lowest candidate is eliminated and their
+ * ballots move on at full weight.
+ *
+ * Elimination ties are broken by the lowest total in the most recent earlier
+ * round where the tied candidates differ. Candidates with no votes at all are
+ * excluded together, since no ballots move. A tie that is still unbroken, or
+ * one for the last seats among candidates reaching the quota together, is
+ * never settled by candidate order: it is passed to `resolveTie`, and the
+ * count stops there until that returns a decision (see utils/tieBreak.js).
+ */
+
+// Keep weights readable in count sheets without accumulating float noise
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Turn individual ranked vote rows into ordered rankings, one per ballot envelope
+ * @param {Array<{envelopeId: String, candidateId: String, rank: Number}>} votes
+ * @returns {Array<Array<String>>} - Candidate ids in preference order
+ */
+function groupRankings(votes) {
+  const byBallot = new Map();
+
+  votes.forEach((vote) => {
+    if (!byBallot.has(vote.envelopeId)) {
+      byBallot.set(vote.envelopeId, []);
+    }
+    byBallot.get(vote.envelopeId).push(vote);
+  });
+
+  return [...byBallot.values()].map((ballotVotes) =>
+    ballotVotes
+      .sort((a, b) => (a.rank || 0) - (b.rank || 0))
+      .map((vote) => vote.candidateId)
+  );
+}
+
+/**
+ * Find the candidates to eliminate among those with the lowest total
+ * @param {Array<String>} continuing - Continuing candidate ids
+ * @param {Object} totals - Current round totals
+ * @param {Array<Object>} rounds - Completed rounds
+ * @param {Number} seatsLeft - Seats still to fill
+ * @returns {{eliminated: Array<String>}|{tied: Array<String>, votes: Number}}
+ */
+function findLowest(continuing, totals, rounds, seatsLeft) {
+  const lowestTotal = Math.min(...continuing.map((id) => totals[id]));
+  let tied = continuing.filter((id) => totals[id] === lowestTotal);
+
+  // Nobody's ballots move when candidates without votes go, so they can go together
+  if (tied.length > 1 && lowestTotal === 0 && continuing.length - tied.length >= seatsLeft) {
+    return { eliminated: tied };
+  }
+
+  for (let i = rounds.length - 1; i >= 0 && tied.length > 1; i--) {
+    const previous = rounds[i].totals;
+    const lowestPrevious = Math.min(...tied.map((id) => previous[id] || 0));
+    tied = tied.filter((id) => (previous[id] || 0) === lowestPrevious);
+  }
+
+  return tied.length === 1 ? { eliminated: tied } : { tied, votes: lowestTotal };
+}
+
+// A decision must pick exactly `seatsContested` of the tied candidates
+const validDecision = (tie, winnerIds) =>
+  Array.isArray(winnerIds) &&
+  winnerIds.length === tie.seatsContested &&
+  new Set(winnerIds).size === winnerIds.length &&
+  winnerIds.every((id) => tie.candidateIds.includes(id));
+
+/**
+ * Run a round-by-round ranked count
+ * @param {Object} params
+ * @param {Array<Array<String>>} params.rankings - One ordered list of candidate ids per ballot
+ * @param {Array<String>} params.candidateIds - Candidates standing
+ * @param {Number} params.seats - Seats to fill (IRV always fills one)
+ * @param {String} params.method - "IRV" or "STV"
+ * @param {Function} params.resolveTie - Called with each unbroken tie
+ *   ({ round, kind: ELIMINATION|ELECTION, candidateIds, votes, seatsContested });
+ *   returns the seatsContested candidates who prevail (stay in, or are elected),
+ *   or null to stop the count at that tie
+ * @returns {{quota: Number|null, rounds: Array<Object>, elected: Array<String>, exhausted: Number, ties: Array<Object>, tie: Object|null}}
+ *   - ties: the ties decided along the way (with winnerIds); tie: the tie the count stopped at
+ */
+function countRanked({ rankings, candidateIds, seats, method, resolveTie = () => null }) {
+  const seatsToFill = method === 'IRV' ? 1 : Math.max(1, seats);
+  const standing = new Set(candidateIds);
+
+  // Each ballot carries a weight that shrinks as STV surpluses are transferred
+  const ballots = rankings
+    .map((ranking) => ({ ranking: ranking.filter((id) => standing.has(id)), weight: 1 }))
+    .filter((ballot) => ballot.ranking.length > 0);
+
+  const validBallots = ballots.length;
+  const quota = method === 'STV' ? Math.floor(validBallots / (seatsToFill + 1)) + 1 : null;
+
+  let continuing = [...candidateIds];
+  const elected = [];
+  const rounds = [];
+  const ties = [];
+  let unresolved = null;
+
+  if (validBallots === 0) {
+    return { quota, rounds, elected, exhausted: 0, ties, tie: null };
+  }
+
+  // Ask for a decision on a tie; a missing or invalid one stops the count
+  const decide = (tie) => {
+    const winnerIds = resolveTie(tie);
+    if (!validDecision(tie, winnerIds)) {
+      unresolved = tie;
+      return null;
+    }
+    ties.push({ ...tie, winnerIds });
+    return winnerIds;
+  };
+
+  while (elected.length < seatsToFill && continuing.length > 0) {
+    const continuingSet = new Set(continuing);
+    const totals = Object.fromEntries(continuing.map((id) => [id, 0]));
+    const piles = Object.fromEntries(continuing.map((id) => [id, []]));
+    let exhausted = 0;
+
+    ballots.forEach((ballot) => {
+      const next = ballot.ranking.find((id) => continuingSet.has(id));
+      if (next) {
+        totals[next] += ballot.weight;
+        piles[next].push(ballot);
+      } else {
+        exhausted += ballot.weight;
+      }
+    });
+
+    const round = {
+      round: rounds.length + 1,
+      totals: Object.fromEntries(continuing.map((id) => [id, round4(totals[id])])),
+      exhausted: round4(exhausted),
+      elected: [],
+      eliminated: [],
+      transfers: null,
+    };
+
+    // Fill every remaining seat when there are no more candidates than seats left
+    if (continuing.length <= seatsToFill - elected.length) {
+      const remaining = [...continuing].sort((a, b) => totals[b] - totals[a]);
+      round.elected.push(...remaining);
+      elected.push(...remaining);
+      rounds.push(round);
+      break;
+    }
+
+    const seatsLeft = seatsToFill - elected.length;
+    const activeWeight = validBallots - exhausted;
+    const threshold = method === 'STV' ? quota : Math.floor(activeWeight / 2) + 1;
+    const reached = continuing
+      .filter((id) => totals[id] >= threshold && totals[id] > 0)
+      .sort((a, b) => totals[b] - totals[a]);
+
+    if (reached.length > 0) {
+      let electing = reached.slice(0, seatsLeft);
+
+      // More candidates reached the quota level with each other than there are seats
+      const cutoff = reached.length > seatsLeft ? round.totals[reached[seatsLeft - 1]] : null;
+      if (cutoff !== null && round.totals[reached[seatsLeft]] === cutoff) {
+        const secured = reached.filter((id) => round.totals[id] > cutoff);
+        const winnerIds = decide({
+          round: round.round,
+          kind: 'ELECTION',
+          candidateIds: reached.filter((id) => round.totals[id] === cutoff),
+          votes: cutoff,
+          seatsContested: seatsLeft - secured.length,
+        });
+        electing = winnerIds ? [...secured, ...winnerIds] : secured;
+      }
+
+      electing.forEach((id) => {
+        elected.push(id);
+        round.elected.push(id);
+
+        // Transfer the surplus: ballots on this pile continue at reduced weight
+        if (method === 'STV' && totals[id] > 0) {
+          const surplus = totals[id] - quota;
+          const factor = surplus > 0 ? surplus / totals[id] : 0;
+          piles[id].forEach((ballot) => {
+            ballot.weight *= factor;
+          });
+          round.transfers = { ...(round.transfers || {}), [id]: round4(Math.max(surplus, 0)) };
+        }
+      });
+      continuing = continuing.filter((id) => !round.elected.includes(id));
+    } else {
+      const lowest = findLowest(continuing, round.totals, rounds, seatsLeft);
+      let eliminated = lowest.eliminated;
+
+      if (lowest.tied) {
+        // All but one of the tied candidates stay in
+        const winnerIds = decide({
+          round: round.round,
+          kind: 'ELIMINATION',
+          candidateIds: lowest.tied,
+          votes: lowest.votes,
+          seatsContested: lowest.tied.length - 1,
+        });
+        eliminated = winnerIds ? lowest.tied.filter((id) => !winnerIds.includes(id)) : [];
+      }
+
+      round.eliminated.push(...eliminated);
+      continuing = continuing.filter((id) => !eliminated.includes(id));
+    }
+
+    rounds.push(round);
+
+    if (unresolved) {
+      break;
+    }
+  }
+
+  return {
+    quota,
+    rounds,
+    elected,
+    exhausted: rounds.length > 0 ? rounds[rounds.length - 1].exhausted : 0,
+    ties,
+    tie: unresolved,
+  };
+}
+
+module.exports = {
+  groupRankings,
+  countRanked,
+};
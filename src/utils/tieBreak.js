@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+/**
+ * Ties at the seat boundary
+ *
+ * On PLURALITY and APPROVAL positions candidates are ranked by votes. When the
+ * last seat is shared by several candidates with the same total the seat is
+ * not awarded by sort order; the tie is reported and resolved with the
+ * position's tie-break rule:
+ *   RUNOFF - a runoff between the tied candidates decides it
+ *   LOT    - lots drawn from a server-generated seed recorded in the audit log (see drawLots)
+ *   MANUAL - an admin records the decision and the reason for it
+ * IRV/STV counts report their unbroken elimination and election ties the same
+ * way (see utils/tally.js), one resolution per count round; a seat tie on a
+ * plurality or approval position is round 0.
+ */
+
+const TIE_BREAK_RULES = ['RUNOFF', 'LOT', 'MANUAL'];
+
+/**
+ * Find a tie at the seat boundary
+ * @param {Array<{id: String, votes: Number}>} standings - Sorted by votes, highest first
+ * @param {Number} seats
+ * @returns {{round: 0, kind: 'SEAT', candidateIds: Array<String>, votes: Number, seatsContested: Number, securedIds: Array<String>}|null}
+ */
+function findSeatTie(standings, seats) {
+  if (seats < 1 || standings.length <= seats) {
+    return null;
+  }
+
+  const cutoff = standings[seats - 1].votes;
+  if (standings[seats].votes !== cutoff) {
+    return null;
+  }
+
+  const securedIds = standings.filter((entry) => entry.votes > cutoff).map((entry) => entry.id);
+  return {
+    round: 0,
+    kind: 'SEAT',
+    candidateIds: standings.filter((entry) => entry.votes === cutoff).map((entry) => entry.id),
+    votes: cutoff,
+    seatsContested: seats - securedIds.length,
+    securedIds,
+  };
+}
+
+/**
+ * Draw lots between tied candidates
+ * Each candidate's lot is sha256("<seed>:<candidateId>"); the lowest lots win.
+ * Anyone holding the seed and the candidate ids can repeat the draw.
+ * @param {String} seed
+ * @param {Array<String>} candidateIds
+ * @param {Number} seats - Seats to award
+ * @returns {{order: Array<{candidateId: String, lot: String}>, winnerIds: Array<String>}}
+ */
+function drawLots(seed, candidateIds, seats) {
+  const order = candidateIds
+    .map((candidateId) => ({
+      candidateId,
+      lot: crypto.createHash('sha256').update(`${seed}:${candidateId}`).digest('hex'),
+    }))
+    .sort((a, b) => a.lot.localeCompare(b.lot));
+
+  return { order, winnerIds: order.slice(0, seats).map((entry) => entry.candidateId) };
+}
+
+/**
+ * Whether a stored resolution still applies to the tie found now
+ * (a resolution for a different round, set of tied candidates or totals is stale)
+ * @param {Object} tie - From findSeatTie, or a tie reported by countRanked
+ * @param {Object} resolution - TieResolution row
+ * @returns {Boolean}
+ */
+function resolutionMatches(tie, resolution) {
+  if (!tie || !resolution) {
+    return false;
+  }
+  const stored = [...(resolution.tiedCandidateIds || [])].sort();
+  const current = [...tie.candidateIds].sort();
+  return (resolution.round || 0) === (tie.round || 0) &&
+    resolution.tiedVotes === tie.votes &&
+    stored.length === current.length &&
+    stored.every((id, index) => id === current[index]);
+}
+
+module.exports = {
+  TIE_BREAK_RULES,
+  findSeatTie,
+  drawLots,
+  resolutionMatches,
+};
@@ -0,0 +1,115 @@
+/**
+ * Turnout breakdowns
+ *
+ * Turnout for a small group can expose how individual voters behaved (a
+ * program of three where everyone voted, or nobody did), so groups below
+ * TURNOUT_MIN_GROUP_SIZE eligible voters (default 5) are never reported on
+ * their own.
+ */
+
+const DEFAULT_MIN_GROUP_SIZE = 5;
+
+/**
+ * Smallest group whose turnout may be reported
+ * @returns {Number}
+ */
+function getMinGroupSize() {
+  const size = parseInt(process.env.TURNOUT_MIN_GROUP_SIZE, 10);
+  return Number.isInteger(size) && size >= 0 ? size : DEFAULT_MIN_GROUP_SIZE;
+}
+
+const percentage = (part, whole) => (whole > 0 ? parseFloat(((part / whole) * 100).toFixed(2)) : 0);
+
+/**
+ * Turnout per group with small groups suppressed
+ *
+ * Groups below the minimum size are pooled into one "Other" row. If that pool
+ * is itself too small, the next smallest groups are added to it - otherwise
+ * its figures could be worked out by subtracting the visible groups from the
+ * election totals. A pool that still can't reach the minimum is reported
+ * without its vote figures.
+ *
+ * @param {Array<{group: String, totalVoters: Number, votesCast: Number}>} groups
+ * @param {Number} minSize - Defaults to getMinGroupSize()
+ * @returns {Array<Object>} - { group, totalVoters, votesCast, turnout, suppressed, groups? }
+ */
+function suppressSmallGroups(groups, minSize = getMinGroupSize()) {
+  const sorted = [...groups].sort((a, b) => a.totalVoters - b.totalVoters);
+  const pooled = [];
+
+  while (sorted.length > 0 && sorted[0].totalVoters < minSize) {
+    pooled.push(sorted.shift());
+  }
+
+  const pooledSize = () => pooled.reduce((sum, group) => sum + group.totalVoters, 0);
+  while (pooled.length > 0 && pooledSize() < minSize && sorted.length > 0) {
+    pooled.push(sorted.shift());
+  }
+
+  const rows = sorted
+    .map((group) => ({
+      group: group.group,
+      totalVoters: group.totalVoters,
+      votesCast: group.votesCast,
+      turnout: percentage(group.votesCast, group.totalVoters),
+      suppressed: false,
+    }))
+    .sort((a, b) => a.group.localeCompare(b.group));
+
+  if (pooled.length > 0) {
+    const totalVoters = pooledSize();
+    const votesCast = pooled.reduce((sum, group) => sum + group.votesCast, 0);
+    const hidden = totalVoters < minSize;
+    rows.push({
+      group: `Other (${pooled.length} group${pooled.length === 1 ? '' : 's'})`,
+      groups: pooled.length,
+      totalVoters,
+      votesCast: hidden ? null : votesCast,
+      turnout: hidden ? null : percentage(votesCast, totalVoters),
+      suppressed: true,
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Count timestamps per hour (UTC), filling hours with no activity
+ * @param {Object<String, Array<Date>>} series - e.g. { ballotsConsumed: [...], otpsVerified: [...] }
+ * @returns {Array<Object>} - [{ hour, ballotsConsumed, otpsVerified }, ...] in time order
+ */
+function bucketByHour(series) {
+  const HOUR = 60 * 60 * 1000;
+  const names = Object.keys(series);
+  const buckets = new Map();
+
+  names.forEach((name) => {
+    series[name].filter(Boolean).forEach((date) => {
+      const hour = Math.floor(new Date(date).getTime() / HOUR) * HOUR;
+      if (!buckets.has(hour)) {
+        buckets.set(hour, Object.fromEntries(names.map((n) => [n, 0])));
+      }
+      buckets.get(hour)[name]++;
+    });
+  });
+
+  if (buckets.size === 0) {
+    return [];
+  }
+
+  const hours = [...buckets.keys()];
+  const rows = [];
+  for (let hour = Math.min(...hours); hour <= Math.max(...hours); hour += HOUR) {
+    rows.push({
+      hour: new Date(hour).toISOString(),
+      ...(buckets.get(hour) || Object.fromEntries(names.map((n) => [n, 0]))),
+    });
+  }
+  return rows;
+}
+
+module.exports = {
+  getMinGroupSize,
+  suppressSmallGroups,
+  bucketByHour,
+};
@@ -0,0 +1,199 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma } = require('./helpers/prisma');
+const {
+  stableStringify,
+  computeAuditHash,
+  verifyAuditChain,
+  auditedTransaction,
+  resealRedactedEntries,
+} = require('../src/utils/auditLogger');
+
+// Build a valid chain of `length` entries, after `unhashed` pre-chaining entries
+const buildChain = (length, unhashed = 0) => {
+  const entries = [];
+  for (let sequence = 1; sequence <= unhashed + length; sequence++) {
+    const entry = {
+      id: `log-${sequence}`,
+      sequence,
+      actorType: 'admin',
+      actorId: 'admin-1',
+      action: 'UPDATE_ELECTION_STATUS',
+      entity: 'election',
+      entityId: 'election-1',
+      payload: { to: 'VOTING', step: sequence },
+      createdAt: new Date(Date.UTC(2025, 2, 1, 9, 0, sequence)),
+      prevHash: null,
+      hash: null,
+    };
+    if (sequence > unhashed) {
+      entry.prevHash = entries[sequence - 2]?.hash || null;
+      entry.hash = computeAuditHash(entry);
+    }
+    entries.push(entry);
+  }
+  return entries;
+};
+
+// Serve the chain as the audit_logs table, for the queries the audit logger makes
+const serveChain = (entries) => {
+  prisma.auditLog = {
+    findMany: async ({ where, take }) =>
+      entries
+        .filter((entry) => !where.sequence || entry.sequence > where.sequence.gt)
+        .filter((entry) => !where.action || entry.action === where.action)
+        .filter((entry) => !where.hash || entry.hash !== null)
+        .filter((entry) => !where.payload || entry.payload?.choicesRedacted === true)
+        .sort((a, b) => a.sequence - b.sequence)
+        .slice(0, take),
+    findUnique: async ({ where }) => entries.find((entry) => entry.sequence === where.sequence) || null,
+    update: async ({ where, data }) => Object.assign(entries.find((entry) => entry.id === where.id), data),
+    create: async ({ data }) => {
+      entries.push({ id: `log-${data.sequence}`, ...data });
+      return data;
+    },
+  };
+  prisma.$queryRaw = async () => entries.slice(-1);
+  prisma.$transaction = async (fn) => fn(prisma);
+};
+
+test('stableStringify sorts keys at every level and keeps array order', () => {
+  assert.equal(
+    stableStringify({ b: 1, a: { d: [2, { f: true, e: null }], c: 'x' } }),
+    '{"a":{"c":"x","d":[2,{"e":null,"f":true}]},"b":1}'
+  );
+  assert.equal(stableStringify({ b: 1, a: 2 }), stableStringify({ a: 2, b: 1 }));
+  assert.equal(stableStringify([undefined]), '[null]');
+});
+
+test('computeAuditHash does not depend on payload key order', () => {
+  const [entry] = buildChain(1);
+
+  assert.equal(
+    computeAuditHash({ ...entry, payload: { step: 1, to: 'VOTING' } }),
+    computeAuditHash(entry)
+  );
+  assert.notEqual(computeAuditHash({ ...entry, payload: { to: 'CLOSED', step: 1 } }), computeAuditHash(entry));
+});
+
+test('verifyAuditChain accepts an intact chain after unhashed legacy entries', async () => {
+  const entries = buildChain(3, 2);
+  serveChain(entries);
+
+  const result = await verifyAuditChain();
+
+  assert.equal(result.valid, true);
+  assert.equal(result.checked, 5);
+  assert.equal(result.unhashed, 2);
+  assert.equal(result.head.sequence, 5);
+  assert.equal(result.head.hash, entries[4].hash);
+  assert.equal(result.brokenAt, null);
+});
+
+test('verifyAuditChain reports an edited entry', async () => {
+  const entries = buildChain(4);
+  entries[2].payload = { to: 'CLOSED', step: 3 };
+  serveChain(entries);
+
+  const result = await verifyAuditChain();
+
+  assert.equal(result.valid, false);
+  assert.equal(result.checked, 2);
+  assert.deepEqual(result.brokenAt, {
+    id: 'log-3',
+    sequence: 3,
+    expectedSequence: 3,
+    reason: 'Entry contents do not match its hash',
+  });
+});
+
+test('verifyAuditChain reports a deleted entry as a sequence gap', async () => {
+  serveChain(buildChain(4).filter((entry) => entry.sequence !== 2));
+
+  const result = await verifyAuditChain();
+
+  assert.equal(result.valid, false);
+  assert.equal(result.brokenAt.sequence, 3);
+  assert.equal(result.brokenAt.expectedSequence, 2);
+  assert.match(result.brokenAt.reason, /Sequence gap/);
+});
+
+test('verifyAuditChain reports a re-linked entry and a missing hash', async () => {
+  const relinked = buildChain(3);
+  relinked[2].prevHash = 'f'.repeat(64);
+  relinked[2].hash = computeAuditHash(relinked[2]);
+  serveChain(relinked);
+  assert.equal((await verifyAuditChain()).brokenAt.reason, 'Previous hash does not match the preceding entry');
+
+  const unhashed = buildChain(3);
+  unhashed[1].hash = null;
+  serveChain(unhashed);
+  assert.equal((await verifyAuditChain()).brokenAt.reason, 'Entry is missing its hash');
+});
+
+const sequenceConflict = () => Object.assign(new Error('Unique constraint failed'), {
+  code: 'P2002',
+  meta: { target: 'audit_logs_sequence_key' },
+});
+
+test('auditedTransaction retries a transaction that lost the race for the next sequence', async () => {
+  let attempts = 0;
+  prisma.$transaction = async (fn) => {
+    attempts++;
+    if (attempts < 3) {
+      throw sequenceConflict();
+    }
+    return fn('tx');
+  };
+
+  assert.equal(await auditedTransaction(async (tx) => `done in ${tx}`), 'done in tx');
+  assert.equal(attempts, 3);
+});
+
+test('auditedTransaction gives up with a non-P2002 error and passes other errors through', async () => {
+  prisma.$transaction = async () => {
+    throw sequenceConflict();
+  };
+  await assert.rejects(auditedTransaction(async () => {}), (error) => {
+    assert.notEqual(error.code, 'P2002');
+    assert.match(error.message, /after 5 attempts/);
+    return true;
+  });
+
+  const failure = Object.assign(new Error('Unique constraint failed'), { code: 'P2002', meta: { target: 'ballots_token_key' } });
+  let attempts = 0;
+  prisma.$transaction = async () => {
+    attempts++;
+    throw failure;
+  };
+  await assert.rejects(auditedTransaction(async () => {}), failure);
+  assert.equal(attempts, 1);
+});
+
+test('resealRedactedEntries re-seals the chain after redacted entries and records it', async () => {
+  const entries = buildChain(4);
+  entries[1].action = 'CAST_VOTE';
+  entries[1].payload = { ballotId: 'ballot-1', choicesRedacted: true };
+  const previousHead = entries[3].hash;
+  serveChain(entries);
+
+  assert.equal((await verifyAuditChain()).valid, false);
+
+  const resealed = await resealRedactedEntries();
+
+  assert.deepEqual(resealed, {
+    reason: 'Ballot choices redacted from CAST_VOTE entries',
+    redactedSequences: [2],
+    fromSequence: 2,
+    entriesResealed: 3,
+    previousHead: { sequence: 4, hash: previousHead },
+  });
+  assert.equal(entries[4].action, 'RESEAL_AUDIT_CHAIN');
+
+  const result = await verifyAuditChain();
+  assert.equal(result.valid, true);
+  assert.equal(result.checked, 5);
+
+  // Nothing left to re-seal
+  assert.equal(await resealRedactedEntries(), null);
+});
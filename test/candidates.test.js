@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma } = require('./helpers/prisma');
+const { request, response } = require('./helpers/http');
+const { approveNomination, rejectNomination } = require('../src/controllers/candidates.controller');
+
+const MINUTE = 60 * 1000;
+
+// Serve one SUBMITTED nomination whose window closes at `nominationCloses`
+const serveNomination = (nominationCloses) => {
+  const updates = [];
+  prisma.candidate = {
+    findUnique: async () => ({
+      id: 'cand-1',
+      status: 'SUBMITTED',
+      name: 'Ada',
+      position: { name: 'Chair', nominationCloses, election: { status: 'NOMINATIONS' } },
+      user: { name: 'Ada', email: 'ada@example.com' },
+    }),
+    update: async ({ data }) => {
+      updates.push(data);
+      return { id: 'cand-1', ...data };
+    },
+  };
+  prisma.auditLog = { create: async ({ data }) => data };
+  prisma.$queryRaw = async () => [];
+  prisma.$transaction = async (fn) => fn(prisma);
+  return updates;
+};
+
+test('approveNomination and rejectNomination refuse once the nomination window has closed', async () => {
+  const updates = serveNomination(new Date(Date.now() - MINUTE));
+
+  const approved = response();
+  await approveNomination(request({ params: { id: 'cand-1' } }), approved);
+  assert.equal(approved.statusCode, 400);
+  assert.match(approved.body.error, /have closed/);
+
+  const rejected = response();
+  await rejectNomination(request({ params: { id: 'cand-1' }, body: { reason: 'Late' } }), rejected);
+  assert.equal(rejected.statusCode, 400);
+  assert.match(rejected.body.error, /have closed/);
+
+  assert.deepEqual(updates, []);
+});
+
+test('approveNomination still reviews while the nomination window is open', async () => {
+  const updates = serveNomination(new Date(Date.now() + MINUTE));
+
+  const res = response();
+  await approveNomination(request({ params: { id: 'cand-1' } }), res);
+  assert.notEqual(res.statusCode, 400);
+  assert.equal(updates[0].status, 'APPROVED');
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeEligibilityRules,
+  getVoterAttribute,
+  isVoterEligible,
+  describeConstituency,
+} = require('../src/utils/eligibility');
+
+const voter = { program: 'BSc Civil Engineering', attributes: { hall: 'Mitchell', year: '2' } };
+
+test('normalizeEligibilityRules opens the position to everyone when empty', () => {
+  assert.deepEqual(normalizeEligibilityRules(null), { rules: null, error: null });
+  assert.deepEqual(normalizeEligibilityRules([]), { rules: null, error: null });
+});
+
+test('normalizeEligibilityRules trims, lowercases attributes and drops duplicate values', () => {
+  const { rules, error } = normalizeEligibilityRules([
+    { attribute: ' Hall ', values: ['Mitchell', ' Mitchell', '', 'Africa'] },
+  ]);
+
+  assert.equal(error, null);
+  assert.deepEqual(rules, [{ attribute: 'hall', values: ['Mitchell', 'Africa'] }]);
+});
+
+test('normalizeEligibilityRules rejects malformed rules', () => {
+  assert.match(normalizeEligibilityRules({ attribute: 'hall' }).error, /must be a list/);
+  assert.match(normalizeEligibilityRules([{ attribute: '1st', values: ['x'] }]).error, /Invalid eligibility attribute/);
+  assert.match(normalizeEligibilityRules([{ attribute: 'hall', values: [] }]).error, /needs at least one value/);
+});
+
+test('getVoterAttribute reads program from its column and the rest from attributes', () => {
+  assert.equal(getVoterAttribute(voter, 'program'), 'BSc Civil Engineering');
+  assert.equal(getVoterAttribute(voter, 'hall'), 'Mitchell');
+  assert.equal(getVoterAttribute(voter, 'faculty'), null);
+  assert.equal(getVoterAttribute({ program: null, attributes: null }, 'hall'), null);
+});
+
+test('isVoterEligible requires every rule, matching values case-insensitively', () => {
+  assert.equal(isVoterEligible({ eligibility: null }, voter), true);
+  assert.equal(isVoterEligible({
+    eligibility: [
+      { attribute: 'program', values: ['bsc civil engineering ', 'BSc Electrical Engineering'] },
+      { attribute: 'hall', values: ['MITCHELL'] },
+    ],
+  }, voter), true);
+  assert.equal(isVoterEligible({
+    eligibility: [
+      { attribute: 'program', values: ['BSc Civil Engineering'] },
+      { attribute: 'year', values: ['3'] },
+    ],
+  }, voter), false);
+  // A missing attribute never matches
+  assert.equal(isVoterEligible({ eligibility: [{ attribute: 'faculty', values: [''] }] }, voter), false);
+});
+
+test('describeConstituency labels the rules', () => {
+  assert.equal(describeConstituency(null), 'All voters');
+  assert.equal(
+    describeConstituency([{ attribute: 'hall', values: ['Mitchell', 'Africa'] }, { attribute: 'year', values: ['2'] }]),
+    'hall: Mitchell, Africa; year: 2'
+  );
+});
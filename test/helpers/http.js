@@ -0,0 +1,29 @@
+/**
+ * Minimal Express request/response pair for calling a controller directly
+ *
+ * The response records the status and JSON body the controller sent.
+ */
+
+const request = ({ params = {}, query = {}, body = {}, user = { id: 'admin-1', role: 'ADMIN' } } = {}) => ({
+  params,
+  query,
+  body,
+  user,
+  headers: {},
+  get: () => undefined,
+});
+
+const response = () => {
+  const res = { statusCode: 200, body: undefined };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+module.exports = { request, response };
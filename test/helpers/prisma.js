@@ -0,0 +1,22 @@
+const path = require('path');
+
+/**
+ * Stand-in for the Prisma client
+ *
+ * The utils load src/config/prisma (and @prisma/client), which need a
+ * generated client and a database. Require this first in a test: it puts a
+ * bare `prisma` object in their place, and the test adds the model methods
+ * it needs.
+ */
+
+const prisma = {};
+
+const stubModule = (request, exports) => {
+  const filename = require.resolve(request);
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+};
+
+stubModule(path.join(__dirname, '../../src/config/prisma'), { prisma });
+stubModule('@prisma/client', { Prisma: { DbNull: 'DbNull', JsonNull: 'JsonNull' } });
+
+module.exports = { prisma };
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma } = require('./helpers/prisma');
+const {
+  readIdempotencyKey,
+  createIdempotency,
+  findStoredResult,
+  storedResultData,
+} = require('../src/utils/idempotency');
+
+const request = (key) => ({ get: (name) => (name === 'Idempotency-Key' ? key : undefined) });
+
+// Serve one stored row the way prisma.idempotencyKey.findUnique would
+const storeRow = (row) => {
+  prisma.idempotencyKey = { findUnique: async ({ where }) => (row && where.keyHash === row.keyHash ? row : null) };
+};
+
+test('readIdempotencyKey accepts a missing key and rejects blank or long ones', () => {
+  assert.deepEqual(readIdempotencyKey(request(undefined)), { key: null, error: null });
+  assert.deepEqual(readIdempotencyKey(request('retry-1')), { key: 'retry-1', error: null });
+  assert.match(readIdempotencyKey(request('  ')).error, /1 to 128 characters/);
+  assert.match(readIdempotencyKey(request('k'.repeat(129))).error, /1 to 128 characters/);
+});
+
+test('createIdempotency ignores key order in the body and stores neither token nor key', () => {
+  const first = createIdempotency('token', 'key', { votes: [{ positionId: 'p', candidateId: 'c' }], a: 1 });
+  const reordered = createIdempotency('token', 'key', { a: 1, votes: [{ candidateId: 'c', positionId: 'p' }] });
+
+  assert.equal(first.requestHash, reordered.requestHash);
+  assert.equal(first.keyHash, reordered.keyHash);
+  assert.notEqual(first.keyHash, createIdempotency('token', 'other', {}).keyHash);
+  assert.doesNotMatch(first.keyHash, /token|key/);
+});
+
+test('a stored result is encrypted, expires on the hour and replays for the same request', async () => {
+  const idempotency = createIdempotency('token', 'key', { votes: [] });
+  const body = { message: 'Vote cast successfully', receipt: 'R-123' };
+  const row = storedResultData(idempotency, 201, body);
+
+  assert.doesNotMatch(row.response, /R-123/);
+  assert.equal(row.expiresAt.getTime() % (60 * 60 * 1000), 0);
+  assert.equal('createdAt' in row, false);
+
+  storeRow(row);
+  assert.deepEqual(await findStoredResult(idempotency), { statusCode: 201, body });
+});
+
+test('findStoredResult flags a different body and skips expired results', async () => {
+  const idempotency = createIdempotency('token', 'key', { votes: [] });
+  const row = storedResultData(idempotency, 201, { receipt: 'R-123' });
+
+  storeRow(row);
+  assert.deepEqual(await findStoredResult(createIdempotency('token', 'key', { votes: ['x'] })), { mismatch: true });
+
+  storeRow({ ...row, expiresAt: new Date(Date.now() - 1000) });
+  assert.equal(await findStoredResult(idempotency), null);
+
+  storeRow(null);
+  assert.equal(await findStoredResult(idempotency), null);
+});
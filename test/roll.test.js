@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma } = require('./helpers/prisma');
+const { request, response } = require('./helpers/http');
+const { freezeRoll } = require('../src/controllers/roll.controller');
+
+// One NOMINATIONS election with a two-voter roll, updated in place like the real rows
+const serveElection = () => {
+  const election = { id: 'election-1', name: 'SRC 2026', status: 'NOMINATIONS', rollFrozenAt: null, frozenRollVersion: null };
+  const snapshots = [];
+  const voters = [
+    { id: 'v1', regNo: 'ENG001', program: 'BSc Civil Engineering', attributes: null },
+    { id: 'v2', regNo: 'ENG002', program: 'BSc Civil Engineering', attributes: null },
+  ];
+
+  prisma.election = {
+    findUnique: async () => ({ ...election }),
+    updateMany: async ({ where, data }) => {
+      if (election.rollFrozenAt !== where.rollFrozenAt || !where.status.in.includes(election.status)) {
+        return { count: 0 };
+      }
+      Object.assign(election, data);
+      return { count: 1 };
+    },
+    update: async ({ data }) => Object.assign(election, data),
+  };
+  prisma.eligibleVoter = {
+    count: async () => voters.length,
+    findMany: async () => voters,
+  };
+  prisma.rollSnapshot = {
+    findFirst: async () => snapshots[snapshots.length - 1] || null,
+    create: async ({ data }) => {
+      const snapshot = { id: `snapshot-${data.version}`, ...data };
+      snapshots.push(snapshot);
+      return snapshot;
+    },
+  };
+  prisma.auditLog = { create: async ({ data }) => data };
+  prisma.$queryRaw = async () => [];
+  prisma.$transaction = async (fn) => fn(prisma);
+  return { election, snapshots };
+};
+
+test('freezeRoll lets one of two simultaneous freezes win and snapshots the roll once', async () => {
+  const { election, snapshots } = serveElection();
+
+  const [first, second] = [response(), response()];
+  await Promise.all([
+    freezeRoll(request({ params: { id: 'election-1' } }), first),
+    freezeRoll(request({ params: { id: 'election-1' } }), second),
+  ]);
+
+  assert.deepEqual([first.statusCode, second.statusCode].sort(), [201, 409]);
+  assert.equal(snapshots.length, 1);
+  assert.equal(snapshots[0].voterCount, 2);
+  assert.equal(election.frozenRollVersion, snapshots[0].version);
+});
+
+test('freezeRoll takes no snapshot once voting has opened in the meantime', async () => {
+  const { election, snapshots } = serveElection();
+  const findUnique = prisma.election.findUnique;
+  prisma.election.findUnique = async () => {
+    const current = await findUnique();
+    election.status = 'VOTING';
+    return current;
+  };
+
+  const res = response();
+  await freezeRoll(request({ params: { id: 'election-1' } }), res);
+
+  assert.equal(res.statusCode, 409);
+  assert.deepEqual(snapshots, []);
+  assert.equal(election.rollFrozenAt, null);
+});
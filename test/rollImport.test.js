@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { prisma } = require('./helpers/prisma');
+const { validateRow, parseRoll, diffRoll, summarizeDiff, applyRoll } = require('../src/utils/rollImport');
+
+const current = (overrides) => ({
+  id: 'v1',
+  regNo: 'ENG001',
+  name: 'Ama Mensah',
+  email: 'ama@example.com',
+  phone: null,
+  program: 'BSc Civil Engineering',
+  attributes: { hall: 'Mitchell' },
+  status: 'ELIGIBLE',
+  hasVoted: false,
+  ...overrides,
+});
+
+const listed = (overrides) => {
+  const { id, status, hasVoted, ...voter } = current(overrides);
+  return { ...voter, row: 1 };
+};
+
+test('validateRow normalizes a row and keeps extra columns as attributes', () => {
+  const { voter, reasons } = validateRow({
+    reg_no: ' eng001 ',
+    name: 'Ama Mensah',
+    email: 'ama@example.com',
+    program: 'BSc Civil Engineering',
+    'Hall Name': ' Mitchell ',
+    Year: '',
+  });
+
+  assert.deepEqual(reasons, []);
+  assert.equal(voter.regNo, 'ENG001');
+  assert.equal(voter.phone, null);
+  assert.deepEqual(voter.attributes, { hall_name: 'Mitchell' });
+});
+
+test('validateRow lists every problem with a row', () => {
+  const { voter, reasons } = validateRow({ reg_no: '', name: '', email: 'not-an-email', phone: '12' });
+
+  assert.equal(voter, null);
+  assert.deepEqual(reasons, [
+    'reg_no is required',
+    'name is required',
+    'invalid email "not-an-email"',
+    'invalid phone "12"',
+  ]);
+});
+
+test('parseRoll keeps valid rows and reports invalid and duplicate ones by row number', async () => {
+  const csv = [
+    'reg_no,name,email,phone',
+    'ENG001,Ama Mensah,ama@example.com,',
+    'ENG002,,kofi@example.com,',
+    'eng001,Ama Again,,+233201234567',
+  ].join('\n');
+
+  const { voters, invalid, totalRows } = await parseRoll(Readable.from([csv]));
+
+  assert.equal(totalRows, 3);
+  assert.deepEqual(voters.map((voter) => [voter.regNo, voter.row]), [['ENG001', 1]]);
+  assert.deepEqual(invalid, [
+    { row: 2, regNo: 'ENG002', reasons: ['name is required'] },
+    { row: 3, regNo: 'ENG001', reasons: ['duplicate reg_no ENG001 (first on row 1)'] },
+  ]);
+});
+
+test('diffRoll sorts rows into created, updated and unchanged', () => {
+  const diff = diffRoll(
+    [
+      listed(),
+      listed({ regNo: 'ENG002', attributes: { hall: 'Africa' } }),
+      listed({ regNo: 'ENG003' }),
+    ],
+    [
+      current(),
+      current({ id: 'v2', regNo: 'ENG002' }),
+    ]
+  );
+
+  assert.deepEqual(diff.unchanged, [{ regNo: 'ENG001', row: 1 }]);
+  assert.deepEqual(diff.updated.map((voter) => [voter.id, voter.changes]), [
+    ['v2', { attributes: { from: { hall: 'Mitchell' }, to: { hall: 'Africa' } } }],
+  ]);
+  assert.deepEqual(diff.created.map((voter) => voter.regNo), ['ENG003']);
+  assert.deepEqual(diff.removed, []);
+});
+
+test('diffRoll restores removed voters and only drops missing ones who have not voted', () => {
+  const existing = [
+    current({ status: 'REMOVED' }),
+    current({ id: 'v2', regNo: 'ENG002' }),
+    current({ id: 'v3', regNo: 'ENG003', hasVoted: true }),
+    current({ id: 'v4', regNo: 'ENG004', status: 'INELIGIBLE' }),
+  ];
+
+  assert.deepEqual(diffRoll([listed()], existing).removed, []);
+
+  const diff = diffRoll([listed()], existing, { removeMissing: true });
+  assert.equal(diff.updated[0].status, 'ELIGIBLE');
+  assert.deepEqual(diff.updated[0].changes, { status: { from: 'REMOVED', to: 'ELIGIBLE' } });
+  assert.deepEqual(diff.removed.map((voter) => voter.id), ['v2']);
+  assert.deepEqual(diff.retained.map((voter) => voter.id), ['v3']);
+
+  assert.deepEqual(summarizeDiff(diff, [{ row: 5 }]), {
+    created: 0,
+    updated: 1,
+    unchanged: 0,
+    removed: 1,
+    retained: 1,
+    invalid: 1,
+  });
+});
+
+test('applyRoll expires the ballots and pending OTPs of removed voters in the same transaction', async () => {
+  const transactions = [];
+  const call = (model, method) => async (args) => ({ model, method, ...args });
+  prisma.eligibleVoter = { updateMany: call('eligibleVoter', 'updateMany') };
+  prisma.ballot = { updateMany: call('ballot', 'updateMany') };
+  prisma.verification = { updateMany: call('verification', 'updateMany') };
+  prisma.$transaction = async (operations) => {
+    transactions.push(await Promise.all(operations));
+  };
+
+  const diff = { created: [], updated: [], removed: [current({ id: 'v1' }), current({ id: 'v2', regNo: 'ENG002' })] };
+  assert.equal(await applyRoll('election-1', diff), 2);
+
+  assert.equal(transactions.length, 1);
+  const [voters, ballots, verifications] = transactions[0];
+  assert.deepEqual(voters.where.id, { in: ['v1', 'v2'] });
+  assert.equal(voters.data.status, 'REMOVED');
+  assert.deepEqual(ballots.where, { voterId: { in: ['v1', 'v2'] }, status: 'ACTIVE', voter: { status: 'REMOVED' } });
+  assert.equal(ballots.data.status, 'EXPIRED');
+  assert.deepEqual(verifications.where.voter, { status: 'REMOVED' });
+  assert.ok(verifications.data.invalidatedAt instanceof Date);
+});
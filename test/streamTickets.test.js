@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+const { issueStreamTicket, redeemStreamTicket } = require('../src/utils/streamTickets');
+
+test('a stream ticket opens one stream for its admin and election', () => {
+  const { ticket, expiresAt } = issueStreamTicket('admin-1', 'election-1');
+
+  assert.ok(expiresAt > new Date());
+  assert.deepEqual(redeemStreamTicket(ticket), { userId: 'admin-1', electionId: 'election-1' });
+  assert.equal(redeemStreamTicket(ticket), null);
+});
+
+test('session tokens and stream tickets are not interchangeable', () => {
+  const session = jwt.sign({ userId: 'admin-1' }, process.env.JWT_SECRET, { expiresIn: '1h' });
+  assert.throws(() => redeemStreamTicket(session), { name: 'JsonWebTokenError' });
+
+  const { ticket } = issueStreamTicket('admin-1', 'election-1');
+  assert.throws(() => jwt.verify(ticket, process.env.JWT_SECRET), { name: 'JsonWebTokenError' });
+});
+
+test('an expired stream ticket is refused', () => {
+  const saved = process.env.LIVE_TICKET_SECONDS;
+  process.env.LIVE_TICKET_SECONDS = '1';
+  try {
+    const { ticket } = issueStreamTicket('admin-1', 'election-1');
+    const realNow = Date.now;
+    Date.now = () => realNow() + 5000;
+    try {
+      assert.throws(() => redeemStreamTicket(ticket), { name: 'TokenExpiredError' });
+    } finally {
+      Date.now = realNow;
+    }
+  } finally {
+    if (saved === undefined) {
+      delete process.env.LIVE_TICKET_SECONDS;
+    } else {
+      process.env.LIVE_TICKET_SECONDS = saved;
+    }
+  }
+});
@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { groupRankings, countRanked } = require('../src/utils/tally');
+
+// n copies of a ranking
+const ballots = (n, ranking) => Array.from({ length: n }, () => ranking);
+
+test('groupRankings orders each envelope by rank', () => {
+  const rankings = groupRankings([
+    { envelopeId: 'e1', candidateId: 'B', rank: 2 },
+    { envelopeId: 'e2', candidateId: 'C', rank: 1 },
+    { envelopeId: 'e1', candidateId: 'A', rank: 1 },
+  ]);
+
+  assert.deepEqual(rankings, [['A', 'B'], ['C']]);
+});
+
+test('IRV eliminates the lowest candidate until one has a majority', () => {
+  const result = countRanked({
+    rankings: [...ballots(4, ['A', 'B']), ...ballots(3, ['B', 'A']), ...ballots(2, ['C', 'B'])],
+    candidateIds: ['A', 'B', 'C'],
+    seats: 1,
+    method: 'IRV',
+  });
+
+  assert.deepEqual(result.elected, ['B']);
+  assert.equal(result.rounds.length, 2);
+  assert.deepEqual(result.rounds[0].eliminated, ['C']);
+  assert.deepEqual(result.rounds[1].totals, { A: 4, B: 5 });
+  assert.equal(result.tie, null);
+});
+
+test('IRV breaks an elimination tie on the earlier round', () => {
+  const result = countRanked({
+    rankings: [...ballots(1, ['D', 'A']), ...ballots(2, ['A']), ...ballots(3, ['B']), ...ballots(4, ['C'])],
+    candidateIds: ['A', 'B', 'C', 'D'],
+    seats: 1,
+    method: 'IRV',
+  });
+
+  // A and B both have 3 in round 2; A had fewer in round 1
+  assert.deepEqual(result.rounds[1].eliminated, ['A']);
+  assert.deepEqual(result.elected, ['C']);
+  assert.deepEqual(result.ties, []);
+});
+
+test('IRV stops at an unbroken elimination tie until it is decided', () => {
+  const params = {
+    rankings: [...ballots(2, ['A', 'C']), ...ballots(2, ['B', 'C']), ...ballots(3, ['C'])],
+    candidateIds: ['A', 'B', 'C'],
+    seats: 1,
+    method: 'IRV',
+  };
+
+  const stopped = countRanked(params);
+  assert.deepEqual(stopped.elected, []);
+  assert.deepEqual(stopped.tie, {
+    round: 1,
+    kind: 'ELIMINATION',
+    candidateIds: ['A', 'B'],
+    votes: 2,
+    seatsContested: 1,
+  });
+
+  // An invalid decision is no decision
+  assert.deepEqual(countRanked({ ...params, resolveTie: () => ['X'] }).tie, stopped.tie);
+
+  const decided = countRanked({ ...params, resolveTie: () => ['A'] });
+  assert.equal(decided.tie, null);
+  assert.deepEqual(decided.rounds[0].eliminated, ['B']);
+  assert.deepEqual(decided.ties, [{ ...stopped.tie, winnerIds: ['A'] }]);
+  assert.deepEqual(decided.elected, ['C']);
+});
+
+test('STV elects on the Droop quota and transfers surpluses at reduced weight', () => {
+  const result = countRanked({
+    rankings: [...ballots(6, ['A', 'B']), ...ballots(2, ['B']), ...ballots(3, ['C'])],
+    candidateIds: ['A', 'B', 'C'],
+    seats: 2,
+    method: 'STV',
+  });
+
+  assert.equal(result.quota, 4);
+  assert.deepEqual(result.rounds[0].elected, ['A']);
+  assert.deepEqual(result.rounds[0].transfers, { A: 2 });
+  assert.deepEqual(result.rounds[1].totals, { B: 4, C: 3 });
+  assert.deepEqual(result.elected, ['A', 'B']);
+});
+
+test('STV reports a tie that earlier rounds do not break', () => {
+  const result = countRanked({
+    rankings: [...ballots(5, ['A']), ...ballots(2, ['B']), ...ballots(2, ['C'])],
+    candidateIds: ['A', 'B', 'C'],
+    seats: 2,
+    method: 'STV',
+  });
+
+  assert.deepEqual(result.elected, ['A']);
+  assert.equal(result.tie.round, 2);
+  assert.equal(result.tie.kind, 'ELIMINATION');
+  assert.deepEqual(result.tie.candidateIds, ['B', 'C']);
+});
+
+test('no ballots means no rounds', () => {
+  const result = countRanked({ rankings: [], candidateIds: ['A', 'B'], seats: 1, method: 'IRV' });
+
+  assert.deepEqual(result, { quota: null, rounds: [], elected: [], exhausted: 0, ties: [], tie: null });
+});
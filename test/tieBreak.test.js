@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findSeatTie, drawLots, resolutionMatches } = require('../src/utils/tieBreak');
+
+const standings = (...votes) => votes.map((count, index) => ({ id: String.fromCharCode(65 + index), votes: count }));
+
+test('findSeatTie finds no tie when the last seat is clear', () => {
+  assert.equal(findSeatTie(standings(5, 3, 3), 1), null);
+  assert.equal(findSeatTie(standings(5, 3), 2), null);
+  assert.equal(findSeatTie(standings(5, 5), 0), null);
+});
+
+test('findSeatTie reports the candidates level on the last seat', () => {
+  assert.deepEqual(findSeatTie(standings(7, 4, 4, 4, 1), 2), {
+    round: 0,
+    kind: 'SEAT',
+    candidateIds: ['B', 'C', 'D'],
+    votes: 4,
+    seatsContested: 1,
+    securedIds: ['A'],
+  });
+});
+
+test('drawLots is repeatable from the seed', () => {
+  const first = drawLots('seed-1', ['A', 'B', 'C'], 2);
+  const again = drawLots('seed-1', ['C', 'A', 'B'], 2);
+
+  assert.deepEqual(again, first);
+  assert.equal(first.winnerIds.length, 2);
+  assert.deepEqual(first.order.map((entry) => entry.candidateId).slice(0, 2), first.winnerIds);
+  assert.match(first.order[0].lot, /^[0-9a-f]{64}$/);
+});
+
+test('resolutionMatches only applies a resolution to the same tie', () => {
+  const tie = findSeatTie(standings(4, 4, 1), 1);
+  const resolution = { round: 0, tiedCandidateIds: ['B', 'A'], tiedVotes: 4 };
+
+  assert.equal(resolutionMatches(tie, resolution), true);
+  assert.equal(resolutionMatches(tie, { ...resolution, tiedVotes: 5 }), false);
+  assert.equal(resolutionMatches(tie, { ...resolution, tiedCandidateIds: ['A', 'C'] }), false);
+  assert.equal(resolutionMatches(tie, { ...resolution, round: 2 }), false);
+  assert.equal(resolutionMatches(null, resolution), false);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getMinGroupSize, suppressSmallGroups, bucketByHour } = require('../src/utils/turnoutStats');
+
+test('getMinGroupSize reads TURNOUT_MIN_GROUP_SIZE and falls back to 5', () => {
+  const saved = process.env.TURNOUT_MIN_GROUP_SIZE;
+  try {
+    delete process.env.TURNOUT_MIN_GROUP_SIZE;
+    assert.equal(getMinGroupSize(), 5);
+    process.env.TURNOUT_MIN_GROUP_SIZE = '10';
+    assert.equal(getMinGroupSize(), 10);
+    process.env.TURNOUT_MIN_GROUP_SIZE = 'lots';
+    assert.equal(getMinGroupSize(), 5);
+  } finally {
+    if (saved === undefined) {
+      delete process.env.TURNOUT_MIN_GROUP_SIZE;
+    } else {
+      process.env.TURNOUT_MIN_GROUP_SIZE = saved;
+    }
+  }
+});
+
+test('suppressSmallGroups reports large groups on their own', () => {
+  const rows = suppressSmallGroups([
+    { group: 'Law', totalVoters: 10, votesCast: 4 },
+    { group: 'Arts', totalVoters: 8, votesCast: 8 },
+  ], 5);
+
+  assert.deepEqual(rows, [
+    { group: 'Arts', totalVoters: 8, votesCast: 8, turnout: 100, suppressed: false },
+    { group: 'Law', totalVoters: 10, votesCast: 4, turnout: 40, suppressed: false },
+  ]);
+});
+
+test('suppressSmallGroups pools small groups, topping the pool up to the minimum', () => {
+  const rows = suppressSmallGroups([
+    { group: 'Law', totalVoters: 20, votesCast: 10 },
+    { group: 'Arts', totalVoters: 6, votesCast: 3 },
+    { group: 'Music', totalVoters: 2, votesCast: 2 },
+  ], 5);
+
+  // Music alone would be too small, and visible by subtraction, so Arts joins it
+  assert.deepEqual(rows, [
+    { group: 'Law', totalVoters: 20, votesCast: 10, turnout: 50, suppressed: false },
+    { group: 'Other (2 groups)', groups: 2, totalVoters: 8, votesCast: 5, turnout: 62.5, suppressed: true },
+  ]);
+});
+
+test('suppressSmallGroups hides the figures of a pool that stays too small', () => {
+  const [row] = suppressSmallGroups([
+    { group: 'Music', totalVoters: 2, votesCast: 1 },
+    { group: 'Dance', totalVoters: 1, votesCast: 1 },
+  ], 5);
+
+  assert.equal(row.totalVoters, 3);
+  assert.equal(row.votesCast, null);
+  assert.equal(row.turnout, null);
+  assert.equal(row.suppressed, true);
+});
+
+test('bucketByHour counts per UTC hour and fills quiet hours', () => {
+  const rows = bucketByHour({
+    ballotsConsumed: [new Date('2025-03-01T09:10:00Z'), new Date('2025-03-01T09:50:00Z'), new Date('2025-03-01T11:05:00Z')],
+    otpsVerified: [new Date('2025-03-01T09:05:00Z'), null],
+  });
+
+  assert.deepEqual(rows, [
+    { hour: '2025-03-01T09:00:00.000Z', ballotsConsumed: 2, otpsVerified: 1 },
+    { hour: '2025-03-01T10:00:00.000Z', ballotsConsumed: 0, otpsVerified: 0 },
+    { hour: '2025-03-01T11:00:00.000Z', ballotsConsumed: 1, otpsVerified: 0 },
+  ]);
+  assert.deepEqual(bucketByHour({ ballotsConsumed: [] }), []);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma } = require('./helpers/prisma');
+const { request, response } = require('./helpers/http');
+const { confirmOTP } = require('../src/controllers/verification.controller');
+
+test('confirmOTP refuses a voter who is no longer eligible before checking the code', async () => {
+  const lookups = [];
+  prisma.election = { findUnique: async ({ where }) => ({ id: where.id, status: 'VOTING' }) };
+  prisma.eligibleVoter = {
+    findUnique: async () => ({ id: 'voter-1', regNo: 'ENG001', status: 'INELIGIBLE', lockedUntil: null }),
+  };
+  prisma.verification = {
+    findFirst: async (args) => {
+      lookups.push(args);
+      return null;
+    },
+  };
+
+  const res = response();
+  await confirmOTP(request({ query: { electionId: 'election-1' }, body: { reg_no: 'eng001', otp: '123456' } }), res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Voter is not eligible');
+  assert.deepEqual(lookups, []);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma } = require('./helpers/prisma');
+const { request, response } = require('./helpers/http');
+const { importCSV, getImport, markIneligible } = require('../src/controllers/voters.controller');
+
+const MINUTE = 60 * 1000;
+const CSV = 'reg_no,name,email,program\nENG001,Ama Mensah,ama@example.com,BSc Civil Engineering\n';
+
+// An in-memory voter_imports table (activeKey unique, like the real one) and an empty roll
+const serveImports = (rows = []) => {
+  let nextId = rows.length + 1;
+  const matches = (row, where) => Object.entries(where).every(([field, condition]) =>
+    condition && condition.lt ? row[field] < condition.lt : row[field] === condition
+  );
+
+  prisma.election = {
+    findUnique: async ({ where }) => ({ id: where.id, name: 'SRC 2026', status: 'NOMINATIONS', rollFrozenAt: null }),
+  };
+  prisma.voterImport = {
+    create: async ({ data }) => {
+      if (data.activeKey && rows.some((row) => row.activeKey === data.activeKey)) {
+        throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      }
+      const row = { id: `import-${nextId++}`, progressAt: new Date(), ...data };
+      rows.push(row);
+      return row;
+    },
+    update: async ({ where, data }) => Object.assign(rows.find((row) => row.id === where.id), data),
+    updateMany: async ({ where, data }) => {
+      const found = rows.filter((row) => matches(row, where));
+      found.forEach((row) => Object.assign(row, data));
+      return { count: found.length };
+    },
+    findUnique: async ({ where }) => rows.find((row) => matches(row, where)) || null,
+    findFirst: async ({ where }) => rows.find((row) => matches(row, where)) || null,
+  };
+  prisma.eligibleVoter = {
+    findMany: async () => [],
+    createMany: async ({ data }) => ({ count: data.length }),
+    count: async () => 1,
+  };
+  prisma.rollSnapshot = {
+    findFirst: async () => null,
+    create: async ({ data }) => data,
+  };
+  prisma.auditLog = { create: async ({ data }) => data };
+  prisma.$queryRaw = async () => [];
+  prisma.$transaction = async (arg) => (Array.isArray(arg) ? Promise.all(arg) : arg(prisma));
+  return rows;
+};
+
+const importRequest = () => ({
+  ...request({ query: { electionId: 'election-1' } }),
+  file: { buffer: Buffer.from(CSV), originalname: 'roll.csv' },
+});
+
+test('importCSV refuses while another import holds the roll', async () => {
+  const rows = serveImports([
+    { id: 'import-running', electionId: 'election-1', status: 'RUNNING', activeKey: 'election-1', progressAt: new Date() },
+  ]);
+
+  const res = response();
+  await importCSV(importRequest(), res);
+
+  assert.equal(res.statusCode, 409);
+  assert.equal(res.body.importId, 'import-running');
+  assert.equal(rows.length, 1);
+});
+
+test('importCSV lets only one of two simultaneous imports run', async () => {
+  const rows = serveImports();
+
+  const [first, second] = [response(), response()];
+  await Promise.all([importCSV(importRequest(), first), importCSV(importRequest(), second)]);
+
+  assert.deepEqual([first.statusCode, second.statusCode].sort(), [200, 409]);
+  assert.deepEqual(rows.map((row) => row.status), ['COMPLETED']);
+  assert.equal(rows[0].activeKey, null);
+});
+
+test('importCSV takes the roll over from an import that stopped making progress', async () => {
+  const rows = serveImports([
+    { id: 'import-stale', electionId: 'election-1', status: 'RUNNING', activeKey: 'election-1', progressAt: new Date(Date.now() - 11 * MINUTE) },
+  ]);
+
+  const res = response();
+  await importCSV(importRequest(), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(rows[0].status, 'FAILED');
+  assert.equal(rows[0].activeKey, null);
+  assert.equal(rows[1].status, 'COMPLETED');
+});
+
+test('getImport only finds imports of the requested election', async () => {
+  serveImports([{ id: 'import-1', electionId: 'election-2', status: 'COMPLETED', activeKey: null }]);
+
+  const other = response();
+  await getImport(request({ params: { importId: 'import-1' }, query: { electionId: 'election-1' } }), other);
+  assert.equal(other.statusCode, 404);
+
+  const own = response();
+  await getImport(request({ params: { importId: 'import-1' }, query: { electionId: 'election-2' } }), own);
+  assert.equal(own.body.import.id, 'import-1');
+});
+
+test('markIneligible cancels the unused ballot and pending OTPs in the same transaction', async () => {
+  const transactions = [];
+  const call = (model, method) => async (args) => ({ model, method, ...args });
+  prisma.eligibleVoter = {
+    findUnique: async () => ({
+      id: 'voter-1',
+      electionId: 'election-1',
+      regNo: 'ENG001',
+      status: 'ELIGIBLE',
+      election: { status: 'VOTING' },
+    }),
+    update: async ({ data }) => ({ id: 'voter-1', ...data }),
+  };
+  prisma.ballot = { updateMany: async () => ({ count: 1 }), count: async () => 0 };
+  prisma.verification = { updateMany: call('verification', 'updateMany') };
+  prisma.auditLog = { create: async ({ data }) => data };
+  prisma.$queryRaw = async () => [];
+  prisma.$transaction = async (arg) => {
+    if (!Array.isArray(arg)) {
+      return arg(prisma);
+    }
+    const results = await Promise.all(arg);
+    transactions.push(results);
+    return results;
+  };
+
+  const res = response();
+  await markIneligible(request({ params: { id: 'voter-1' }, body: { reason: 'Graduated' } }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.ballotsCancelled, 1);
+  const invalidated = transactions[0].find((result) => result.model === 'verification');
+  assert.deepEqual(invalidated.where, { voterId: 'voter-1', verifiedAt: null, invalidatedAt: null });
+  assert.ok(invalidated.data.invalidatedAt instanceof Date);
+});
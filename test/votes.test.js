@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { prisma } = require('./helpers/prisma');
+const { request, response } = require('./helpers/http');
+const { castVote } = require('../src/controllers/votes.controller');
+
+test('castVote refuses the ballot of a voter removed from the roll after it was issued', async () => {
+  const consumed = [];
+  prisma.ballot = {
+    findUnique: async () => ({
+      id: 'ballot-1',
+      electionId: 'election-1',
+      status: 'ACTIVE',
+      expiresAt: new Date(Date.now() + 60 * 1000),
+      clientHash: null,
+      election: { status: 'VOTING' },
+      voter: { id: 'voter-1', regNo: 'ENG001', program: 'BSc Civil Engineering', attributes: null, status: 'REMOVED' },
+    }),
+    updateMany: async (args) => {
+      consumed.push(args);
+      return { count: 1 };
+    },
+  };
+
+  const res = response();
+  await castVote(request({ body: { token: 'token-1', votes: [{ positionId: 'p1', candidateId: 'c1' }] } }), res);
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error, 'Voter is not eligible');
+  assert.deepEqual(consumed, []);
+});